@@ -5,6 +5,8 @@
 
 const jwt = require('jsonwebtoken');
 const { getUserByToken, getUserProfile } = require('../services/supabase');
+const { getWorkspaceMembership } = require('../services/workspaces');
+const { PERMISSIONS, getRole, hasPermission } = require('../services/permissions');
 
 /**
  * Verify JWT token and attach user to request
@@ -64,6 +66,13 @@ async function authenticateToken(req, res, next) {
       req.userProfile = profileResult.profile;
     }
 
+    // Resolve team workspace and role (null for users working on their own)
+    const membership = await getWorkspaceMembership(result.user.id);
+    if (!membership.success) {
+      throw new Error(membership.error);
+    }
+    req.workspace = membership.workspace;
+
     next();
   } catch (err) {
     console.error('Auth middleware error:', err);
@@ -193,6 +202,33 @@ async function requireSubscription(req, res, next) {
   }
 }
 
+// Contacts allowed per subscription plan
+const PLAN_CONTACT_LIMITS = {
+  free: 50,
+  trial: 50,
+  base: 250000,
+  enterprise: 1000000,
+};
+
+/**
+ * Get a user's contact allowance from their profile
+ * @param {object} profile - User profile
+ * @returns {{current: number, max: number, remaining: number}}
+ */
+function getContactLimit(profile) {
+  const userPlan = profile?.subscription_plan || 'free';
+  const maxContacts = PLAN_CONTACT_LIMITS[userPlan] || PLAN_CONTACT_LIMITS.free;
+
+  // Get current contact count from profile
+  const currentCount = profile?.contact_count || 0;
+
+  return {
+    current: currentCount,
+    max: maxContacts,
+    remaining: Math.max(maxContacts - currentCount, 0),
+  };
+}
+
 /**
  * Check contact limit based on subscription plan
  */
@@ -211,38 +247,24 @@ function checkContactLimit(limit) {
       }
 
       const profile = req.userProfile;
-      const planLimits = {
-        free: 50,
-        trial: 50,
-        base: 250000,
-        enterprise: 1000000,
-      };
-
       const userPlan = profile?.subscription_plan || 'free';
-      const maxContacts = planLimits[userPlan] || planLimits.free;
-
-      // Get current contact count from profile
-      const currentCount = profile?.contact_count || 0;
+      const contactLimit = getContactLimit(profile);
 
-      if (currentCount >= maxContacts) {
+      if (contactLimit.remaining <= 0) {
         return res.status(403).json({
           success: false,
           data: null,
           error: {
             code: 'CONTACT_LIMIT_REACHED',
-            message: `Contact limit reached (${maxContacts} contacts)`,
-            currentCount,
-            limit: maxContacts,
+            message: `Contact limit reached (${contactLimit.max} contacts)`,
+            currentCount: contactLimit.current,
+            limit: contactLimit.max,
             plan: userPlan,
           },
         });
       }
 
-      req.contactLimit = {
-        current: currentCount,
-        max: maxContacts,
-        remaining: maxContacts - currentCount,
-      };
+      req.contactLimit = contactLimit;
 
       next();
     } catch (err) {
@@ -252,6 +274,47 @@ function checkContactLimit(limit) {
   };
 }
 
+/**
+ * Require the caller's role to grant every given permission
+ * e.g. router.delete('/:id', authenticateToken, requirePermission('contacts:delete'), ...)
+ */
+function requirePermission(...permissions) {
+  const unknown = permissions.filter((permission) => !PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required',
+        },
+      });
+    }
+
+    const role = getRole(req);
+    const missing = permissions.filter((permission) => !hasPermission(role, permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'FORBIDDEN',
+          message: `Your role (${role}) does not allow this action`,
+          missingPermissions: missing,
+        },
+      });
+    }
+
+    next();
+  };
+}
+
 /**
  * Verify request is from allowed origin
  */
@@ -311,6 +374,8 @@ module.exports = {
   optionalAuth,
   requireSubscription,
   checkContactLimit,
+  getContactLimit,
+  requirePermission,
   verifyOrigin,
   getUserId,
   checkOwnership,
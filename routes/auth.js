@@ -14,6 +14,10 @@ const {
 } = require('../services/supabase');
 const { authenticateToken } = require('../middleware/auth');
 const { authRateLimit, otpVerifyRateLimit } = require('../middleware/rateLimit');
+const { deleteAttachments } = require('../services/attachments');
+
+// Interactions whose attachments are deleted per round when an account is deleted
+const ACCOUNT_ATTACHMENT_BATCH_SIZE = 200;
 
 /**
  * Validate Malaysian phone number
@@ -429,6 +433,33 @@ router.delete('/account', authenticateToken, async (req, res) => {
 
     const { supabase } = require('../services/supabase');
 
+    // Attachment files first - once the interactions are gone their storage paths are lost
+    let lastId = null;
+    for (;;) {
+      let query = supabase.from('interactions').select('id').eq('user_id', userId);
+
+      if (lastId) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data: batch, error: batchError } = await query
+        .order('id', { ascending: true })
+        .limit(ACCOUNT_ATTACHMENT_BATCH_SIZE);
+
+      if (batchError) {
+        throw batchError;
+      }
+
+      if (batch.length === 0) break;
+
+      const attachments = await deleteAttachments({ interactionIds: batch.map((row) => row.id) });
+      if (!attachments.success) {
+        throw new Error(attachments.error);
+      }
+
+      lastId = batch[batch.length - 1].id;
+    }
+
     // Delete user data (contacts, interactions, etc.)
     await supabase.from('contacts').delete().eq('user_id', userId);
     await supabase.from('interactions').delete().eq('user_id', userId);
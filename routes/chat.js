@@ -11,8 +11,20 @@ const {
   generateFollowUpSuggestions,
   categorizeContact,
 } = require('../services/ai');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { chatRateLimit } = require('../middleware/rateLimit');
+const { recordContactHistory } = require('../services/audit');
+const { getContactList, countListMembers, getListMembers } = require('../services/contactLists');
+const { scopeToAccess, workspaceColumns } = require('../services/workspaces');
+const { advanceLastInteraction } = require('../services/interactions');
+const { advanceLifecycle } = require('../services/lifecycle');
+const {
+  isCursorMode,
+  parsePageSize,
+  decodeCursor,
+  applyKeyset,
+  buildCursorPage,
+} = require('../utils/pagination');
 
 // Maximum context window for AI
 const MAX_CONTEXT_CONTACTS = 50;
@@ -22,10 +34,10 @@ const MAX_HISTORY_MESSAGES = 20;
  * POST /api/chat
  * Send message to AI assistant
  */
-router.post('/', authenticateToken, chatRateLimit, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('chat:use'), chatRateLimit, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { message, conversationId, includeContext = true } = req.body;
+    const { message, conversationId, includeContext = true, listId } = req.body;
 
     if (!message || message.trim().length === 0) {
       return res.status(400).json({
@@ -77,6 +89,31 @@ router.post('/', authenticateToken, chatRateLimit, async (req, res) => {
       context = await buildContext(userId, message);
     }
 
+    // A saved list pins the conversation to its current members
+    if (listId) {
+      const listResult = await getContactList(userId, listId);
+      if (!listResult.success) {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'LIST_NOT_FOUND',
+            message: 'List not found',
+          },
+        });
+      }
+
+      const { list } = listResult;
+      context.list = {
+        name: list.name,
+        total: await countListMembers(req, list.filters),
+      };
+      context.contacts = await getListMembers(req, list.filters, {
+        columns: 'id, name, company, phone, email, industry, last_interaction',
+        limit: MAX_CONTEXT_CONTACTS,
+      });
+    }
+
     // Send to AI
     const result = await sendChatMessage(message, conversationHistory, context);
 
@@ -141,11 +178,64 @@ router.post('/', authenticateToken, chatRateLimit, async (req, res) => {
 /**
  * GET /api/chat/history
  * Get chat history
+ * With ?cursor= pages backwards from the newest message; each page is in chronological order
  */
-router.get('/history', authenticateToken, async (req, res) => {
+router.get('/history', authenticateToken, requirePermission('chat:use'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { conversationId, limit = 50 } = req.query;
+    const { conversationId, limit = 50, cursor } = req.query;
+
+    if (isCursorMode(req.query)) {
+      const after = cursor ? decodeCursor(cursor, 'created_at') : null;
+
+      if (cursor && !after) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'INVALID_CURSOR',
+            message: 'Invalid cursor for chat history',
+          },
+        });
+      }
+
+      let cursorQuery = supabase
+        .from('chat_messages')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (conversationId) {
+        cursorQuery = cursorQuery.eq('conversation_id', conversationId);
+      }
+
+      const pageSize = parsePageSize(limit);
+      const { data, error } = await applyKeyset(cursorQuery, {
+        sortField: 'created_at',
+        ascending: false,
+        after,
+        limit: pageSize,
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      const { items, nextCursor, hasMore } = buildCursorPage(data, pageSize, 'created_at');
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          messages: items.reverse(),
+          count: items.length,
+          pagination: {
+            limit: pageSize,
+            nextCursor,
+            hasMore,
+          },
+        },
+        error: null,
+      });
+    }
 
     let query = supabase
       .from('chat_messages')
@@ -189,7 +279,7 @@ router.get('/history', authenticateToken, async (req, res) => {
  * GET /api/chat/conversations
  * Get chat conversations list
  */
-router.get('/conversations', authenticateToken, async (req, res) => {
+router.get('/conversations', authenticateToken, requirePermission('chat:use'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { limit = 20, offset = 0 } = req.query;
@@ -230,7 +320,7 @@ router.get('/conversations', authenticateToken, async (req, res) => {
  * DELETE /api/chat/conversations/:id
  * Delete a conversation
  */
-router.delete('/conversations/:id', authenticateToken, async (req, res) => {
+router.delete('/conversations/:id', authenticateToken, requirePermission('chat:use'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { id } = req.params;
@@ -277,7 +367,7 @@ router.delete('/conversations/:id', authenticateToken, async (req, res) => {
  * POST /api/chat/suggest-followups
  * Get AI-generated follow-up suggestions for a contact
  */
-router.post('/suggest-followups', authenticateToken, async (req, res) => {
+router.post('/suggest-followups', authenticateToken, requirePermission('chat:use'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { contactId } = req.body;
@@ -299,6 +389,7 @@ router.post('/suggest-followups', authenticateToken, async (req, res) => {
       .select('*')
       .eq('id', contactId)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .single();
 
     if (contactError || !contact) {
@@ -317,6 +408,7 @@ router.post('/suggest-followups', authenticateToken, async (req, res) => {
       .from('interactions')
       .select('*')
       .eq('contact_id', contactId)
+      .is('deleted_at', null)
       .order('interaction_date', { ascending: false })
       .limit(10);
 
@@ -359,7 +451,7 @@ router.post('/suggest-followups', authenticateToken, async (req, res) => {
  * POST /api/chat/categorize
  * Categorize a contact by industry using AI
  */
-router.post('/categorize', authenticateToken, async (req, res) => {
+router.post('/categorize', authenticateToken, requirePermission('chat:use'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { contactId } = req.body;
@@ -381,6 +473,7 @@ router.post('/categorize', authenticateToken, async (req, res) => {
       .select('*')
       .eq('id', contactId)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .single();
 
     if (contactError || !contact) {
@@ -414,6 +507,16 @@ router.post('/categorize', authenticateToken, async (req, res) => {
         .from('contacts')
         .update({ industry: result.category })
         .eq('id', contactId);
+
+      await recordContactHistory({
+        userId,
+        contactId,
+        action: 'update',
+        source: 'chat_quick_action',
+        before: contact,
+        after: { ...contact, industry: result.category },
+        metadata: { confidence: result.confidence },
+      });
     }
 
     return res.status(200).json({
@@ -443,7 +546,7 @@ router.post('/categorize', authenticateToken, async (req, res) => {
  * POST /api/chat/quick-action
  * Execute quick action from AI suggestion
  */
-router.post('/quick-action', authenticateToken, async (req, res) => {
+router.post('/quick-action', authenticateToken, requirePermission('chat:use'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { action, params } = req.body;
@@ -463,11 +566,11 @@ router.post('/quick-action', authenticateToken, async (req, res) => {
 
     switch (action) {
       case 'create_reminder':
-        result = await createReminderFromAction(userId, params);
+        result = await createReminderFromAction(req, params);
         break;
 
       case 'log_interaction':
-        result = await logInteractionFromAction(userId, params);
+        result = await logInteractionFromAction(req, params);
         break;
 
       case 'search_contacts':
@@ -485,6 +588,17 @@ router.post('/quick-action', authenticateToken, async (req, res) => {
         });
     }
 
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'CONTACT_NOT_FOUND',
+          message: 'Contact not found',
+        },
+      });
+    }
+
     return res.status(200).json({
       success: true,
       data: result,
@@ -526,6 +640,7 @@ async function buildContext(userId, message) {
         .from('contacts')
         .select('id, name, company, phone, email, industry, last_interaction')
         .eq('user_id', userId)
+        .is('deleted_at', null)
         .or(
           `name.ilike.%${searchTerms}%,company.ilike.%${searchTerms}%,email.ilike.%${searchTerms}%`
         )
@@ -546,7 +661,8 @@ async function buildContext(userId, message) {
     const { count: contactCount } = await supabase
       .from('contacts')
       .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .is('deleted_at', null);
 
     // Get interaction count (last 30 days)
     const thirtyDaysAgo = new Date();
@@ -556,6 +672,7 @@ async function buildContext(userId, message) {
       .from('interactions')
       .select('*', { count: 'exact', head: true })
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .gte('interaction_date', thirtyDaysAgo.toISOString());
 
     // Get pending reminders
@@ -563,6 +680,7 @@ async function buildContext(userId, message) {
       .from('reminders')
       .select('*', { count: 'exact', head: true })
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .eq('status', 'pending');
 
     // Get active opportunities
@@ -598,6 +716,7 @@ async function buildContext(userId, message) {
       `
       )
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .order('interaction_date', { ascending: false })
       .limit(10);
 
@@ -630,16 +749,35 @@ function extractSearchTerms(message) {
   return words.join(' ') || null;
 }
 
+/**
+ * Load a quick action's contact, scoped to what the user can access
+ * @returns {Promise<object|null>}
+ */
+async function getActionContact(req, contactId) {
+  const { data } = await scopeToAccess(supabase.from('contacts').select('*'), req)
+    .eq('id', contactId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  return data;
+}
+
 /**
  * Create reminder from quick action
+ * @param {object} req - Request (for access scoping and workspace columns)
+ * @returns {Promise<object|null>} null when the contact isn't accessible
  */
-async function createReminderFromAction(userId, params) {
+async function createReminderFromAction(req, params) {
   const { contactId, title, dueDate, type = 'follow_up' } = params;
 
+  const contact = await getActionContact(req, contactId);
+  if (!contact) return null;
+
   const { data, error } = await supabase
     .from('reminders')
     .insert({
-      user_id: userId,
+      user_id: req.user.id,
+      ...workspaceColumns(req),
       contact_id: contactId,
       title,
       due_date: dueDate || new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
@@ -651,19 +789,37 @@ async function createReminderFromAction(userId, params) {
     .single();
 
   if (error) throw error;
+
+  await recordContactHistory({
+    userId: contact.user_id,
+    actorId: req.user.id,
+    contactId,
+    action: 'quick_action',
+    source: 'chat_quick_action',
+    before: contact,
+    after: contact,
+    metadata: { quickAction: 'create_reminder', reminderId: data.id },
+  });
+
   return { reminder: data };
 }
 
 /**
  * Log interaction from quick action
+ * @param {object} req - Request (for access scoping and workspace columns)
+ * @returns {Promise<object|null>} null when the contact isn't accessible
  */
-async function logInteractionFromAction(userId, params) {
+async function logInteractionFromAction(req, params) {
   const { contactId, type, notes } = params;
 
+  const contact = await getActionContact(req, contactId);
+  if (!contact) return null;
+
   const { data, error } = await supabase
     .from('interactions')
     .insert({
-      user_id: userId,
+      user_id: req.user.id,
+      ...workspaceColumns(req),
       contact_id: contactId,
       type: type || 'note',
       notes,
@@ -674,13 +830,24 @@ async function logInteractionFromAction(userId, params) {
 
   if (error) throw error;
 
-  // Update contact's last_interaction
-  await supabase
-    .from('contacts')
-    .update({ last_interaction: new Date().toISOString() })
-    .eq('id', contactId);
+  await advanceLastInteraction(contactId, data.interaction_date);
+
+  const lifecycleTransition = await advanceLifecycle(contactId, 'interaction', {
+    interactionId: data.id,
+  });
+
+  await recordContactHistory({
+    userId: contact.user_id,
+    actorId: req.user.id,
+    contactId,
+    action: 'quick_action',
+    source: 'chat_quick_action',
+    before: contact,
+    after: contact,
+    metadata: { quickAction: 'log_interaction', interactionId: data.id },
+  });
 
-  return { interaction: data };
+  return { interaction: data, lifecycleTransition };
 }
 
 /**
@@ -693,6 +860,7 @@ async function searchContactsFromAction(userId, params) {
     .from('contacts')
     .select('id, name, company, phone, email')
     .eq('user_id', userId)
+    .is('deleted_at', null)
     .or(
       `name.ilike.%${query}%,company.ilike.%${query}%,email.ilike.%${query}%`
     )
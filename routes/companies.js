@@ -0,0 +1,460 @@
+/**
+ * Companies (Accounts) Routes
+ * ResultMarketing CRM
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../services/supabase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { findMatchingCompany, matchExistingCompanies } = require('../services/companies');
+
+// Opportunity statuses that count towards open pipeline value
+const OPEN_OPPORTUNITY_STATUSES = ['active', 'on_hold'];
+
+/**
+ * Validate company data
+ */
+function validateCompany(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (!data.name || data.name.trim().length < 2) {
+      errors.push('Name is required (minimum 2 characters)');
+    }
+  }
+
+  if (data.aliases !== undefined && !Array.isArray(data.aliases)) {
+    errors.push('Aliases must be an array');
+  }
+
+  if (data.website && !/^https?:\/\/\S+$/i.test(data.website)) {
+    errors.push('Website must start with http:// or https://');
+  }
+
+  return errors;
+}
+
+/**
+ * GET /api/companies
+ * List companies with contact counts
+ */
+router.get('/', authenticateToken, requirePermission('companies:read'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { search, page = 1, limit = 50 } = req.query;
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let query = supabase
+      .from('companies')
+      .select('*, contacts(count)', { count: 'exact' })
+      .eq('user_id', userId)
+      .is('contacts.deleted_at', null);
+
+    if (search) {
+      query = query.ilike('name', `%${search}%`);
+    }
+
+    const { data, error, count } = await query
+      .order('name', { ascending: true })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        companies: data.map(({ contacts, ...company }) => ({
+          ...company,
+          contactCount: contacts?.[0]?.count || 0,
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages: Math.ceil(count / parseInt(limit)),
+          hasMore: offset + data.length < count,
+        },
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('List companies error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch companies',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/companies/match
+ * Link existing contacts to companies by their free-text company name
+ */
+router.post('/match', authenticateToken, requirePermission('companies:read'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await matchExistingCompanies(userId);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        linked: result.linked,
+        created: result.created,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Match companies error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to match companies',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/companies/:id
+ * Company detail with its contacts, interactions and opportunities
+ */
+router.get('/:id', authenticateToken, requirePermission('companies:read'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { interactionLimit = 20 } = req.query;
+
+    const { data: company, error } = await supabase
+      .from('companies')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Company not found',
+          },
+        });
+      }
+      throw error;
+    }
+
+    const { data: contacts, error: contactsError } = await supabase
+      .from('contacts')
+      .select('id, name, email, phone, position, category, status, last_interaction')
+      .eq('company_id', id)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .order('name', { ascending: true });
+
+    if (contactsError) {
+      throw contactsError;
+    }
+
+    const contactIds = contacts.map((c) => c.id);
+    let interactions = [];
+    let interactionCount = 0;
+    let opportunities = [];
+
+    if (contactIds.length > 0) {
+      const { data: interactionData, count, error: interactionsError } = await supabase
+        .from('interactions')
+        .select('id, type, notes, interaction_date, contact_id, contacts(id, name)', { count: 'exact' })
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .in('contact_id', contactIds)
+        .order('interaction_date', { ascending: false })
+        .limit(parseInt(interactionLimit));
+
+      if (interactionsError) {
+        throw interactionsError;
+      }
+
+      const { data: opportunityData, error: opportunitiesError } = await supabase
+        .from('opportunities')
+        .select('id, title, value, currency, stage, status, probability, expected_close_date, contact_id, contacts(id, name)')
+        .eq('user_id', userId)
+        .in('contact_id', contactIds)
+        .order('created_at', { ascending: false });
+
+      if (opportunitiesError) {
+        throw opportunitiesError;
+      }
+
+      interactions = interactionData || [];
+      interactionCount = count || 0;
+      opportunities = opportunityData || [];
+    }
+
+    const summary = opportunities.reduce(
+      (acc, opp) => {
+        const value = parseFloat(opp.value) || 0;
+        if (opp.stage === 'closed_won' || opp.status === 'won') {
+          acc.wonValue += value;
+        } else if (OPEN_OPPORTUNITY_STATUSES.includes(opp.status) && opp.stage !== 'closed_lost') {
+          acc.openPipelineValue += value;
+          acc.weightedPipelineValue += value * ((opp.probability || 0) / 100);
+        }
+        return acc;
+      },
+      { openPipelineValue: 0, weightedPipelineValue: 0, wonValue: 0 }
+    );
+
+    const lastInteraction = contacts
+      .map((c) => c.last_interaction)
+      .filter(Boolean)
+      .sort()
+      .pop() || null;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        company,
+        contacts,
+        interactions,
+        opportunities,
+        summary: {
+          contactCount: contacts.length,
+          interactionCount,
+          opportunityCount: opportunities.length,
+          lastInteraction,
+          ...summary,
+        },
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Get company error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch company',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/companies
+ * Create a company
+ */
+router.post('/', authenticateToken, requirePermission('companies:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, aliases = [], industry, website, address, notes } = req.body;
+
+    const validationErrors = validateCompany({ name, aliases, website });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+        },
+      });
+    }
+
+    // Don't create a second record for a company we already know
+    const { data: existing } = await supabase
+      .from('companies')
+      .select('id, name, aliases')
+      .eq('user_id', userId);
+
+    const match = findMatchingCompany(existing || [], name);
+    if (match) {
+      return res.status(409).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'DUPLICATE_COMPANY',
+          message: `This company already exists as '${match.name}'`,
+          company: { id: match.id, name: match.name },
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('companies')
+      .insert({
+        user_id: userId,
+        name: name.trim(),
+        aliases: aliases.map((a) => String(a).trim()).filter(Boolean),
+        industry: industry || null,
+        website: website?.trim() || null,
+        address: address?.trim() || null,
+        notes: notes?.trim() || null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        company: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Create company error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create company',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/companies/:id
+ * Update a company
+ */
+router.put('/:id', authenticateToken, requirePermission('companies:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { name, aliases, industry, website, address, notes } = req.body;
+
+    const validationErrors = validateCompany({ name, aliases, website }, { partial: true });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+        },
+      });
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updates.name = name.trim();
+    if (aliases !== undefined) updates.aliases = aliases.map((a) => String(a).trim()).filter(Boolean);
+    if (industry !== undefined) updates.industry = industry || null;
+    if (website !== undefined) updates.website = website?.trim() || null;
+    if (address !== undefined) updates.address = address?.trim() || null;
+    if (notes !== undefined) updates.notes = notes?.trim() || null;
+
+    const { data, error } = await supabase
+      .from('companies')
+      .update(updates)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Company not found',
+          },
+        });
+      }
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        company: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Update company error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update company',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/companies/:id
+ * Delete a company (contacts are unlinked, not deleted)
+ */
+router.delete('/:id', authenticateToken, requirePermission('companies:delete'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const { error: unlinkError } = await supabase
+      .from('contacts')
+      .update({ company_id: null })
+      .eq('company_id', id)
+      .eq('user_id', userId);
+
+    if (unlinkError) {
+      throw unlinkError;
+    }
+
+    const { error } = await supabase
+      .from('companies')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        message: 'Company deleted successfully',
+        id: id,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Delete company error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete company',
+      },
+    });
+  }
+});
+
+module.exports = router;
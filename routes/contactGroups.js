@@ -0,0 +1,612 @@
+/**
+ * Contact Groups Routes
+ * ResultMarketing CRM
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../services/supabase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Maximum contact IDs accepted by one add/remove members request
+const MAX_MEMBERS_PER_REQUEST = 1000;
+
+// Rows written per query when changing membership
+const MEMBER_BATCH_SIZE = 200;
+
+/**
+ * Validate group data
+ */
+function validateGroup(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (!data.name || data.name.trim().length < 2) {
+      errors.push('Name is required (minimum 2 characters)');
+    }
+  }
+
+  if (data.color && !/^#[0-9a-fA-F]{6}$/.test(data.color)) {
+    errors.push('Color must be a hex value like #1A73E8');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a contactIds array from a membership request
+ */
+function validateContactIds(contactIds) {
+  if (!Array.isArray(contactIds) || contactIds.length === 0) {
+    return 'contactIds array is required';
+  }
+  if (contactIds.length > MAX_MEMBERS_PER_REQUEST) {
+    return `Maximum ${MAX_MEMBERS_PER_REQUEST} contacts per request`;
+  }
+  return null;
+}
+
+/**
+ * Get a group owned by the user
+ */
+async function getGroup(userId, groupId) {
+  const { data } = await supabase
+    .from('contact_groups')
+    .select('*')
+    .eq('id', groupId)
+    .eq('user_id', userId)
+    .single();
+
+  return data;
+}
+
+/**
+ * GET /api/contacts/groups
+ * List groups with member counts
+ */
+router.get('/', authenticateToken, requirePermission('groups:read'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { data: groups, error } = await supabase
+      .from('contact_groups')
+      .select('*')
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    // Count members, ignoring contacts in the trash
+    const { data: members, error: membersError } = await supabase
+      .from('contact_group_members')
+      .select('group_id, contacts!inner()')
+      .eq('user_id', userId)
+      .is('contacts.deleted_at', null);
+
+    if (membersError) {
+      throw membersError;
+    }
+
+    const counts = members.reduce((acc, m) => {
+      acc[m.group_id] = (acc[m.group_id] || 0) + 1;
+      return acc;
+    }, {});
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        groups: groups.map((g) => ({ ...g, memberCount: counts[g.id] || 0 })),
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('List groups error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch groups',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/groups/:id
+ * Get a group with its member count
+ */
+router.get('/:id', authenticateToken, requirePermission('groups:read'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const group = await getGroup(userId, id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Group not found',
+        },
+      });
+    }
+
+    const { count } = await supabase
+      .from('contact_group_members')
+      .select('contact_id, contacts!inner()', { count: 'exact', head: true })
+      .eq('group_id', id)
+      .is('contacts.deleted_at', null);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        group: { ...group, memberCount: count || 0 },
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Get group error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch group',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/groups/:id/stats
+ * Group statistics (same shape as GET /api/contacts/stats)
+ */
+router.get('/:id/stats', authenticateToken, requirePermission('groups:read'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const group = await getGroup(userId, id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Group not found',
+        },
+      });
+    }
+
+    // Members with the fields needed for every breakdown
+    const { data: members, error } = await supabase
+      .from('contacts')
+      .select('category, industry, last_interaction, contact_group_members!inner(added_at)')
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .eq('contact_group_members.group_id', id);
+
+    if (error) {
+      throw error;
+    }
+
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    const monthAgo = new Date();
+    monthAgo.setDate(monthAgo.getDate() - 30);
+
+    const stats = members.reduce(
+      (acc, m) => {
+        const cat = m.category || 'Uncategorized';
+        const ind = m.industry || 'Unknown';
+        acc.byCategory[cat] = (acc.byCategory[cat] || 0) + 1;
+        acc.byIndustry[ind] = (acc.byIndustry[ind] || 0) + 1;
+
+        const addedAt = m.contact_group_members?.[0]?.added_at;
+        if (addedAt && new Date(addedAt) >= weekAgo) {
+          acc.recentlyAdded++;
+        }
+        if (!m.last_interaction || new Date(m.last_interaction) < monthAgo) {
+          acc.needFollowUp++;
+        }
+        return acc;
+      },
+      { recentlyAdded: 0, needFollowUp: 0, byCategory: {}, byIndustry: {} }
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        group: { id: group.id, name: group.name },
+        total: members.length,
+        ...stats,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Group stats error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to get group statistics',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/contacts/groups
+ * Create a group
+ */
+router.post('/', authenticateToken, requirePermission('groups:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, description, color } = req.body;
+
+    const validationErrors = validateGroup({ name, color });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('contact_groups')
+      .insert({
+        user_id: userId,
+        name: name.trim(),
+        description: description?.trim() || null,
+        color: color || null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Unique (user_id, name)
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'DUPLICATE_GROUP',
+            message: 'A group with this name already exists',
+          },
+        });
+      }
+      throw error;
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        group: { ...data, memberCount: 0 },
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Create group error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create group',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/contacts/groups/:id
+ * Update a group
+ */
+router.put('/:id', authenticateToken, requirePermission('groups:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { name, description, color } = req.body;
+
+    const validationErrors = validateGroup({ name, color }, { partial: true });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+        },
+      });
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updates.name = name.trim();
+    if (description !== undefined) updates.description = description?.trim() || null;
+    if (color !== undefined) updates.color = color || null;
+
+    const { data, error } = await supabase
+      .from('contact_groups')
+      .update(updates)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Group not found',
+          },
+        });
+      }
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'DUPLICATE_GROUP',
+            message: 'A group with this name already exists',
+          },
+        });
+      }
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        group: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Update group error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update group',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/contacts/groups/:id
+ * Delete a group (its contacts are not affected)
+ */
+router.delete('/:id', authenticateToken, requirePermission('groups:delete'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const { error: membersError } = await supabase
+      .from('contact_group_members')
+      .delete()
+      .eq('group_id', id)
+      .eq('user_id', userId);
+
+    if (membersError) {
+      throw membersError;
+    }
+
+    const { error } = await supabase
+      .from('contact_groups')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        message: 'Group deleted successfully',
+        id: id,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Delete group error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete group',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/contacts/groups/:id/members
+ * Add contacts to a group
+ */
+router.post('/:id/members', authenticateToken, requirePermission('groups:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { contactIds } = req.body;
+
+    const idsError = validateContactIds(contactIds);
+    if (idsError) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_INPUT',
+          message: idsError,
+        },
+      });
+    }
+
+    const group = await getGroup(userId, id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Group not found',
+        },
+      });
+    }
+
+    const uniqueIds = [...new Set(contactIds)];
+    const found = new Set();
+    let added = 0;
+
+    for (let i = 0; i < uniqueIds.length; i += MEMBER_BATCH_SIZE) {
+      const batchIds = uniqueIds.slice(i, i + MEMBER_BATCH_SIZE);
+
+      // Only the user's own, non-trashed contacts can join
+      const { data: contacts, error: contactsError } = await supabase
+        .from('contacts')
+        .select('id')
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .in('id', batchIds);
+
+      if (contactsError) {
+        throw contactsError;
+      }
+
+      if (contacts.length === 0) continue;
+      contacts.forEach((c) => found.add(c.id));
+
+      const { data: inserted, error } = await supabase
+        .from('contact_group_members')
+        .upsert(
+          contacts.map((c) => ({
+            group_id: id,
+            contact_id: c.id,
+            user_id: userId,
+          })),
+          { onConflict: 'group_id,contact_id', ignoreDuplicates: true }
+        )
+        .select('contact_id');
+
+      if (error) {
+        throw error;
+      }
+      added += inserted?.length || 0;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        added,
+        alreadyMembers: found.size - added,
+        missing: uniqueIds.filter((contactId) => !found.has(contactId)),
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Add group members error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to add contacts to group',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/contacts/groups/:id/members
+ * Remove contacts from a group
+ */
+router.delete('/:id/members', authenticateToken, requirePermission('groups:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { contactIds } = req.body;
+
+    const idsError = validateContactIds(contactIds);
+    if (idsError) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_INPUT',
+          message: idsError,
+        },
+      });
+    }
+
+    const group = await getGroup(userId, id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Group not found',
+        },
+      });
+    }
+
+    const uniqueIds = [...new Set(contactIds)];
+    let removed = 0;
+
+    for (let i = 0; i < uniqueIds.length; i += MEMBER_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('contact_group_members')
+        .delete()
+        .eq('group_id', id)
+        .eq('user_id', userId)
+        .in('contact_id', uniqueIds.slice(i, i + MEMBER_BATCH_SIZE))
+        .select('contact_id');
+
+      if (error) {
+        throw error;
+      }
+      removed += data?.length || 0;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        removed,
+        notMembers: uniqueIds.length - removed,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Remove group members error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to remove contacts from group',
+      },
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,390 @@
+/**
+ * Contact Lists (Saved Searches) Routes
+ * ResultMarketing CRM
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../services/supabase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  validateListFilters,
+  countListMembers,
+  getListMembers,
+} = require('../services/contactLists');
+
+// Maximum saved lists per user
+const MAX_LISTS_PER_USER = 100;
+
+/**
+ * Validate list data
+ */
+function validateList(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (!data.name || data.name.trim().length < 2) {
+      errors.push('Name is required (minimum 2 characters)');
+    }
+  }
+
+  if (!partial || data.filters !== undefined) {
+    errors.push(...validateListFilters(data.filters));
+  }
+
+  return errors;
+}
+
+/**
+ * GET /api/contacts/lists
+ * List saved searches with current member counts
+ */
+router.get('/', authenticateToken, requirePermission('lists:read'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { data, error } = await supabase
+      .from('contact_lists')
+      .select('*')
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    // Membership is dynamic, so counts are evaluated on every request
+    const lists = await Promise.all(
+      data.map(async (list) => ({
+        ...list,
+        memberCount: await countListMembers(req, list.filters),
+      }))
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        lists,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('List contact lists error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch lists',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/lists/:id
+ * Get a saved search with its current member count
+ */
+router.get('/:id', authenticateToken, requirePermission('lists:read'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('contact_lists')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'List not found',
+          },
+        });
+      }
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        list: {
+          ...data,
+          memberCount: await countListMembers(req, data.filters),
+        },
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Get contact list error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch list',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/lists/:id/contacts
+ * Get contacts currently matching a saved search
+ */
+router.get('/:id/contacts', authenticateToken, requirePermission('lists:read'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+
+    const { data: list } = await supabase
+      .from('contact_lists')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'List not found',
+        },
+      });
+    }
+
+    const pageSize = Math.min(parseInt(limit), 100);
+    const offset = (parseInt(page) - 1) * pageSize;
+
+    const [contacts, total] = await Promise.all([
+      getListMembers(req, list.filters, { limit: pageSize, offset }),
+      countListMembers(req, list.filters),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        list: { id: list.id, name: list.name },
+        contacts,
+        pagination: {
+          page: parseInt(page),
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize),
+          hasMore: offset + contacts.length < total,
+        },
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Get contact list members error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch list contacts',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/contacts/lists
+ * Save a new search
+ */
+router.post('/', authenticateToken, requirePermission('lists:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, description, filters } = req.body;
+
+    const validationErrors = validateList({ name, filters });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+          details: validationErrors,
+        },
+      });
+    }
+
+    const { count } = await supabase
+      .from('contact_lists')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    if (count >= MAX_LISTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'LIST_LIMIT_EXCEEDED',
+          message: `Maximum ${MAX_LISTS_PER_USER} saved lists`,
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('contact_lists')
+      .insert({
+        user_id: userId,
+        name: name.trim(),
+        description: description?.trim() || null,
+        filters,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        list: {
+          ...data,
+          memberCount: await countListMembers(req, data.filters),
+        },
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Create contact list error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create list',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/contacts/lists/:id
+ * Update a saved search
+ */
+router.put('/:id', authenticateToken, requirePermission('lists:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { name, description, filters } = req.body;
+
+    const validationErrors = validateList({ name, filters }, { partial: true });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+          details: validationErrors,
+        },
+      });
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updates.name = name.trim();
+    if (description !== undefined) updates.description = description?.trim() || null;
+    if (filters !== undefined) updates.filters = filters;
+
+    const { data, error } = await supabase
+      .from('contact_lists')
+      .update(updates)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'List not found',
+          },
+        });
+      }
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        list: {
+          ...data,
+          memberCount: await countListMembers(req, data.filters),
+        },
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Update contact list error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update list',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/contacts/lists/:id
+ * Delete a saved search (contacts are not affected)
+ */
+router.delete('/:id', authenticateToken, requirePermission('lists:delete'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const { error } = await supabase
+      .from('contact_lists')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        message: 'List deleted successfully',
+        id: id,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Delete contact list error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete list',
+      },
+    });
+  }
+});
+
+module.exports = router;
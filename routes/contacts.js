@@ -6,17 +6,117 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../services/supabase');
-const { authenticateToken, checkContactLimit } = require('../middleware/auth');
-const { contactCreationRateLimit, searchRateLimit } = require('../middleware/rateLimit');
+const { authenticateToken, checkContactLimit, requirePermission } = require('../middleware/auth');
+const {
+  contactCreationRateLimit,
+  searchRateLimit,
+  exportRateLimit,
+} = require('../middleware/rateLimit');
+const {
+  EXPORT_FORMATS,
+  VCARD_VERSIONS,
+  buildCsvHeader,
+  buildCsvRows,
+  buildXlsxBuffer,
+  buildVCards,
+} = require('../services/export');
+const { validateMergeStrategies, resolveMergedFields } = require('../services/merge');
+const {
+  QUALITY_CHECKS,
+  QUALITY_BANDS,
+  assessContact,
+  summarizeQuality,
+  assessContactBook,
+} = require('../services/dataQuality');
+const {
+  LIFECYCLE_STAGES,
+  LIFECYCLE_TRIGGERS,
+  validateLifecycleSettings,
+  getLifecycleSettings,
+  getLifecycleStage,
+  recordManualTransition,
+  recordManualTransitions,
+} = require('../services/lifecycle');
+const { upsertUserProfile } = require('../services/supabase');
+const { scopeToAccess, accessContext, workspaceColumns } = require('../services/workspaces');
+const { parseTimelineTypes, isTimelineCursor, getContactTimeline } = require('../services/timeline');
+const {
+  TRASH_RETENTION_DAYS,
+  TRASHED_WITH_CONTACT,
+  getTrashPurgeDate,
+} = require('../services/trash');
+const {
+  TRACKED_FIELDS,
+  recordContactHistory,
+  recordContactHistoryBatch,
+} = require('../services/audit');
+const { applySearchFilters, getContactList, scopeListMembers } = require('../services/contactLists');
+const { resolveCompanyId, matchExistingCompanies } = require('../services/companies');
+const {
+  definitionOwner,
+  getFieldDefinitions,
+  parseCustomFields,
+  applyCustomFieldFilters,
+} = require('../services/customFields');
+const { decodeSearchCursor, searchContacts } = require('../services/search');
+const {
+  isCursorMode,
+  parsePageSize,
+  decodeCursor,
+  applyKeyset,
+  buildCursorPage,
+} = require('../utils/pagination');
+
+// Rows fetched per batch when streaming exports
+const EXPORT_BATCH_SIZE = 1000;
+
+// XLSX is built in memory, so cap its size (CSV/vCard stream without limit)
+const MAX_XLSX_EXPORT_ROWS = 100000;
+
+// Maximum contacts merged into one in a single request
+const MAX_MERGE_SOURCES = 20;
+
+// Tables whose rows follow a contact when it is merged
+const CONTACT_RELATED_TABLES = ['interactions', 'reminders', 'opportunities'];
+
+// A scan still 'processing' after this long is treated as abandoned
+const DUPLICATE_SCAN_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Maximum contacts touched by one bulk update/delete (IDs or filter matches)
+const MAX_BULK_CONTACTS = 5000;
+
+// Rows written per query during bulk operations
+const BULK_BATCH_SIZE = 200;
+
+// Fields that can be set on many contacts at once
+const BULK_UPDATE_FIELDS = ['category', 'industry', 'status', 'company', 'position', 'source'];
+
+// Contact-to-contact relationship types and how they read from the other side
+const RELATIONSHIP_TYPES = {
+  reports_to: 'manages',
+  referred_by: 'referred',
+  assistant_of: 'has_assistant',
+};
+
+// Columns loaded for bulk targets (enough to compute tags, history diffs and owner counts)
+const BULK_TARGET_COLUMNS = ['id', 'user_id', 'tags', 'company_id', ...BULK_UPDATE_FIELDS].join(', ');
 
 /**
  * Validate contact data
+ * Custom fields are checked against the user's definitions; with `partial`
+ * only the fields present are validated
  */
-function validateContact(data) {
+function validateContact(data, { customFields = [], partial = false } = {}) {
   const errors = [];
 
-  if (!data.name || data.name.trim().length < 2) {
-    errors.push('Name is required (minimum 2 characters)');
+  if (!partial || data.name !== undefined) {
+    if (!data.name || data.name.trim().length < 2) {
+      errors.push('Name is required (minimum 2 characters)');
+    }
+  }
+
+  if (!partial || data.custom_fields !== undefined) {
+    errors.push(...parseCustomFields(data.custom_fields, customFields, { checkRequired: true }).errors);
   }
 
   if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
@@ -30,13 +130,112 @@ function validateContact(data) {
   return errors;
 }
 
+/**
+ * Apply list filters (category, industry, status, search) to a contacts query
+ */
+function applyContactFilters(query, { category, industry, status, search } = {}) {
+  if (category) {
+    query = query.eq('category', category);
+  }
+  if (industry) {
+    query = query.eq('industry', industry);
+  }
+  if (status) {
+    query = query.eq('status', status);
+  }
+  // Plain substring match - ranked fuzzy search is GET /api/contacts/search?q=
+  if (search) {
+    const term = String(search).replace(/[%,()]/g, '');
+    query = query.or(
+      `name.ilike.%${term}%,company.ilike.%${term}%,email.ilike.%${term}%,phone.ilike.%${term}%`
+    );
+  }
+
+  return query;
+}
+
+/**
+ * Resolve the contacts targeted by a bulk operation (explicit IDs or a list filter)
+ * Only contacts the caller can access in their workspace are targeted
+ * @returns {Promise<{contacts?: Array, missing?: Array, error?: object}>}
+ */
+async function resolveBulkTargets(req, { ids, filter }) {
+  if (Array.isArray(ids)) {
+    const uniqueIds = [...new Set(ids)];
+
+    if (uniqueIds.length === 0) {
+      return { error: { code: 'INVALID_INPUT', message: 'ids array must not be empty' } };
+    }
+    if (uniqueIds.length > MAX_BULK_CONTACTS) {
+      return {
+        error: {
+          code: 'TOO_MANY_CONTACTS',
+          message: `Maximum ${MAX_BULK_CONTACTS} contacts per bulk operation`,
+        },
+      };
+    }
+
+    const contacts = [];
+    for (let i = 0; i < uniqueIds.length; i += BULK_BATCH_SIZE) {
+      const { data, error } = await scopeToAccess(supabase.from('contacts').select(BULK_TARGET_COLUMNS), req)
+        .is('deleted_at', null)
+        .in('id', uniqueIds.slice(i, i + BULK_BATCH_SIZE));
+
+      if (error) throw error;
+      contacts.push(...data);
+    }
+
+    const found = new Set(contacts.map((c) => c.id));
+    return { contacts, missing: uniqueIds.filter((id) => !found.has(id)) };
+  }
+
+  if (filter && typeof filter === 'object') {
+    const { count, error: countError } = await applyContactFilters(
+      scopeToAccess(supabase.from('contacts').select('*', { count: 'exact', head: true }), req)
+        .is('deleted_at', null),
+      filter
+    );
+
+    if (countError) throw countError;
+
+    if (count > MAX_BULK_CONTACTS) {
+      return {
+        error: {
+          code: 'TOO_MANY_CONTACTS',
+          message: `Filter matches ${count} contacts. Maximum ${MAX_BULK_CONTACTS} per bulk operation - narrow the filter.`,
+        },
+      };
+    }
+
+    const contacts = [];
+    for (let offset = 0; offset < count; offset += BULK_BATCH_SIZE) {
+      const { data, error } = await applyContactFilters(
+        scopeToAccess(supabase.from('contacts').select(BULK_TARGET_COLUMNS), req).is('deleted_at', null),
+        filter
+      )
+        .order('id', { ascending: true })
+        .range(offset, offset + BULK_BATCH_SIZE - 1);
+
+      if (error) throw error;
+      contacts.push(...data);
+      if (data.length < BULK_BATCH_SIZE) break;
+    }
+
+    return { contacts, missing: [] };
+  }
+
+  return { error: { code: 'INVALID_INPUT', message: 'Either ids array or filter object is required' } };
+}
+
 /**
  * GET /api/contacts
  * List contacts with pagination and filtering
+ * Page mode: ?page=&limit= - cursor mode: ?cursor= (empty for the first page)
+ * Managers and admins see the whole workspace (?owner= narrows to one member)
+ * ?search= is a plain substring match on name, company, email and phone
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('contacts:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const {
       page = 1,
       limit = 50,
@@ -46,36 +245,76 @@ router.get('/', authenticateToken, async (req, res) => {
       industry,
       status,
       search,
+      group,
+      owner,
+      cursor,
     } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    // Build query
-    let query = supabase
-      .from('contacts')
-      .select('*', { count: 'exact' })
-      .eq('user_id', userId);
+    const validSorts = ['created_at', 'updated_at', 'name', 'company', 'last_interaction'];
+    const sortField = validSorts.includes(sort) ? sort : 'created_at';
+    const ascending = order.toLowerCase() === 'asc';
 
-    // Apply filters
-    if (category) {
-      query = query.eq('category', category);
-    }
-    if (industry) {
-      query = query.eq('industry', industry);
+    const cursorMode = isCursorMode(req.query);
+    const after = cursor ? decodeCursor(cursor, sortField) : null;
+
+    if (cursorMode && cursor && !after) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_CURSOR',
+          message: 'Invalid cursor for this sort order',
+        },
+      });
     }
-    if (status) {
-      query = query.eq('status', status);
+
+    // Build query (group membership is filtered through an inner join)
+    // Cursor mode skips the exact count, which is slow on large books
+    let query = scopeToAccess(
+      supabase
+        .from('contacts')
+        .select(
+          group ? '*, contact_group_members!inner()' : '*',
+          cursorMode ? undefined : { count: 'exact' }
+        ),
+      req,
+      { ownerId: owner }
+    ).is('deleted_at', null);
+
+    if (group) {
+      query = query.eq('contact_group_members.group_id', group);
     }
-    if (search) {
-      query = query.or(
-        `name.ilike.%${search}%,company.ilike.%${search}%,email.ilike.%${search}%,phone.ilike.%${search}%`
-      );
+
+    // Apply filters
+    query = applyContactFilters(query, { category, industry, status, search });
+
+    if (cursorMode) {
+      const pageSize = parsePageSize(limit);
+      const { data, error } = await applyKeyset(query, { sortField, ascending, after, limit: pageSize });
+
+      if (error) {
+        throw error;
+      }
+
+      const { items, nextCursor, hasMore } = buildCursorPage(data, pageSize, sortField);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          contacts: items,
+          pagination: {
+            limit: pageSize,
+            nextCursor,
+            hasMore,
+          },
+        },
+        error: null,
+      });
     }
 
     // Apply sorting
-    const validSorts = ['created_at', 'updated_at', 'name', 'company', 'last_interaction'];
-    const sortField = validSorts.includes(sort) ? sort : 'created_at';
-    const ascending = order.toLowerCase() === 'asc';
 
     query = query
       .order(sortField, { ascending })
@@ -117,8 +356,10 @@ router.get('/', authenticateToken, async (req, res) => {
 /**
  * GET /api/contacts/search
  * Search contacts with advanced filters
+ * With `q`, results are ranked by relevance (fuzzy, name variants, interaction notes)
+ * and paginated with `cursor`
  */
-router.get('/search', authenticateToken, searchRateLimit, async (req, res) => {
+router.get('/search', authenticateToken, requirePermission('contacts:read'), searchRateLimit, async (req, res) => {
   try {
     const userId = req.user.id;
     const {
@@ -132,47 +373,85 @@ router.get('/search', authenticateToken, searchRateLimit, async (req, res) => {
       hasInteraction,
       createdAfter,
       createdBefore,
+      custom,
+      cursor,
       limit = 20,
     } = req.query;
 
-    let query = supabase
-      .from('contacts')
-      .select('*')
-      .eq('user_id', userId);
-
-    // Full text search
-    if (q) {
-      query = query.or(
-        `name.ilike.%${q}%,company.ilike.%${q}%,email.ilike.%${q}%,phone.ilike.%${q}%,notes.ilike.%${q}%`
+    // Custom field filters: ?custom[key]=value or ?custom[key][gte]=...
+    // Every searched contact is in the caller's workspace (or book), so its definitions apply
+    const customFieldDefinitions = custom ? await getFieldDefinitions(definitionOwner(req)) : [];
+    if (custom) {
+      const { errors } = applyCustomFieldFilters(
+        supabase.from('contacts').select('id'),
+        custom,
+        customFieldDefinitions
       );
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: errors.join(', '),
+            details: errors,
+          },
+        });
+      }
     }
 
-    // Specific field searches
-    if (name) query = query.ilike('name', `%${name}%`);
-    if (company) query = query.ilike('company', `%${company}%`);
-    if (industry) query = query.eq('industry', industry);
-    if (category) query = query.eq('category', category);
-    if (phone) query = query.ilike('phone', `%${phone}%`);
-    if (email) query = query.ilike('email', `%${email}%`);
-
-    // Date filters
-    if (createdAfter) {
-      query = query.gte('created_at', createdAfter);
-    }
-    if (createdBefore) {
-      query = query.lte('created_at', createdBefore);
+    if (cursor && !decodeSearchCursor(cursor)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_CURSOR',
+          message: 'Invalid cursor',
+        },
+      });
     }
 
-    // Interaction filter
-    if (hasInteraction === 'true') {
-      query = query.not('last_interaction', 'is', null);
-    } else if (hasInteraction === 'false') {
-      query = query.is('last_interaction', null);
-    }
+    const applyFilters = (query) => {
+      const filtered = applySearchFilters(query, {
+        name,
+        company,
+        industry,
+        category,
+        phone,
+        email,
+        hasInteraction,
+        createdAfter,
+        createdBefore,
+      });
+      return custom
+        ? applyCustomFieldFilters(filtered, custom, customFieldDefinitions).query
+        : filtered;
+    };
+
+    const pageSize = Math.min(parseInt(limit), 100);
+
+    if (q) {
+      const { results, nextCursor } = await searchContacts(req, q, {
+        applyFilters,
+        limit: pageSize,
+        cursor,
+      });
 
-    query = query.limit(parseInt(limit));
+      return res.status(200).json({
+        success: true,
+        data: {
+          contacts: results,
+          count: results.length,
+          nextCursor,
+        },
+        error: null,
+      });
+    }
 
-    const { data, error } = await query;
+    const { data, error } = await applyFilters(
+      scopeToAccess(supabase.from('contacts').select('*'), req)
+        .is('deleted_at', null)
+    ).limit(pageSize);
 
     if (error) {
       throw error;
@@ -183,6 +462,7 @@ router.get('/search', authenticateToken, searchRateLimit, async (req, res) => {
       data: {
         contacts: data,
         count: data.length,
+        nextCursor: null,
       },
       error: null,
     });
@@ -200,17 +480,166 @@ router.get('/search', authenticateToken, searchRateLimit, async (req, res) => {
 });
 
 /**
- * GET /api/contacts/count
- * Get total contact count
+ * GET /api/contacts/export
+ * Export contacts as CSV, XLSX or vCard (same filters as GET /api/contacts, or a saved listId)
  */
-router.get('/count', authenticateToken, async (req, res) => {
+router.get('/export', authenticateToken, requirePermission('contacts:export'), exportRateLimit, async (req, res) => {
   try {
     const userId = req.user.id;
+    const {
+      format = 'csv',
+      version = '3.0',
+      category,
+      industry,
+      status,
+      search,
+      listId,
+      owner,
+    } = req.query;
 
-    const { count, error } = await supabase
-      .from('contacts')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+    // Repeated query params arrive as arrays
+    const formatKey = typeof format === 'string' ? format.toLowerCase() : '';
+    const exportFormat = Object.keys(EXPORT_FORMATS).includes(formatKey) ? EXPORT_FORMATS[formatKey] : null;
+    if (!exportFormat) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_FORMAT',
+          message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+        },
+      });
+    }
+
+    if (exportFormat.extension === 'vcf' && !VCARD_VERSIONS.includes(version)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_VERSION',
+          message: `vCard version must be one of: ${VCARD_VERSIONS.join(', ')}`,
+        },
+      });
+    }
+
+    // A saved list replaces the ad-hoc filters
+    let scopeContacts = (query) => applyContactFilters(
+      scopeToAccess(query, req, { ownerId: owner }).is('deleted_at', null),
+      { category, industry, status, search }
+    );
+    if (listId) {
+      const listResult = await getContactList(userId, listId);
+      if (!listResult.success) {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'List not found',
+          },
+        });
+      }
+      scopeContacts = (query) => scopeListMembers(query, req, listResult.list.filters, { ownerId: owner });
+    }
+
+    // Count first so XLSX exports can be rejected before building the file
+    const { count, error: countError } = await scopeContacts(
+      supabase.from('contacts').select('*', { count: 'exact', head: true })
+    );
+
+    if (countError) {
+      throw countError;
+    }
+
+    if (exportFormat.extension === 'xlsx' && count > MAX_XLSX_EXPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'EXPORT_TOO_LARGE',
+          message: `XLSX export is limited to ${MAX_XLSX_EXPORT_ROWS} contacts. Use CSV or narrow the filters.`,
+          total: count,
+        },
+      });
+    }
+
+    const fileName = `contacts-${new Date().toISOString().split('T')[0]}.${exportFormat.extension}`;
+    res.setHeader('Content-Type', exportFormat.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    // Fetch contacts in stable-order batches
+    const fetchBatch = async (offset) => {
+      const { data, error } = await scopeContacts(supabase.from('contacts').select('*'))
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + EXPORT_BATCH_SIZE - 1);
+
+      if (error) {
+        throw error;
+      }
+      return data || [];
+    };
+
+    if (exportFormat.extension === 'xlsx') {
+      const contacts = [];
+      for (let offset = 0; offset < count; offset += EXPORT_BATCH_SIZE) {
+        const batch = await fetchBatch(offset);
+        contacts.push(...batch);
+        if (batch.length < EXPORT_BATCH_SIZE) break;
+      }
+
+      return res.status(200).send(buildXlsxBuffer(contacts));
+    }
+
+    // Stream CSV / vCard batch by batch
+    res.status(200);
+    if (exportFormat.extension === 'csv') {
+      res.write(buildCsvHeader());
+    }
+
+    for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+      const batch = await fetchBatch(offset);
+      if (batch.length === 0) break;
+
+      res.write(
+        exportFormat.extension === 'csv'
+          ? buildCsvRows(batch)
+          : buildVCards(batch, version)
+      );
+
+      if (batch.length < EXPORT_BATCH_SIZE) break;
+    }
+
+    return res.end();
+  } catch (err) {
+    console.error('Export contacts error:', err);
+
+    // Headers already sent while streaming - just terminate the response
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to export contacts',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/count
+ * Get total contact count
+ */
+router.get('/count', authenticateToken, requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const { count, error } = await scopeToAccess(
+      supabase.from('contacts').select('*', { count: 'exact', head: true }),
+      req
+    ).is('deleted_at', null);
 
     if (error) {
       throw error;
@@ -240,21 +669,20 @@ router.get('/count', authenticateToken, async (req, res) => {
  * GET /api/contacts/stats
  * Get contact statistics
  */
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('contacts:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const { owner } = req.query;
+    const scoped = (columns, options) => scopeToAccess(
+      supabase.from('contacts').select(columns, options),
+      req,
+      { ownerId: owner }
+    ).is('deleted_at', null);
 
     // Get total count
-    const { count: totalCount } = await supabase
-      .from('contacts')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+    const { count: totalCount } = await scoped('*', { count: 'exact', head: true });
 
     // Get counts by category
-    const { data: categoryData } = await supabase
-      .from('contacts')
-      .select('category')
-      .eq('user_id', userId);
+    const { data: categoryData } = await scoped('category');
 
     const categoryStats = categoryData?.reduce((acc, item) => {
       const cat = item.category || 'Uncategorized';
@@ -263,10 +691,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
     }, {});
 
     // Get counts by industry
-    const { data: industryData } = await supabase
-      .from('contacts')
-      .select('industry')
-      .eq('user_id', userId);
+    const { data: industryData } = await scoped('industry');
 
     const industryStats = industryData?.reduce((acc, item) => {
       const ind = item.industry || 'Unknown';
@@ -278,20 +703,14 @@ router.get('/stats', authenticateToken, async (req, res) => {
     const weekAgo = new Date();
     weekAgo.setDate(weekAgo.getDate() - 7);
 
-    const { count: recentCount } = await supabase
-      .from('contacts')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
+    const { count: recentCount } = await scoped('*', { count: 'exact', head: true })
       .gte('created_at', weekAgo.toISOString());
 
     // Get contacts needing follow-up (no interaction in 30 days)
     const monthAgo = new Date();
     monthAgo.setDate(monthAgo.getDate() - 30);
 
-    const { count: needFollowUp } = await supabase
-      .from('contacts')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
+    const { count: needFollowUp } = await scoped('*', { count: 'exact', head: true })
       .or(`last_interaction.lt.${monthAgo.toISOString()},last_interaction.is.null`);
 
     return res.status(200).json({
@@ -319,455 +738,377 @@ router.get('/stats', authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/contacts/:id
- * Get single contact by ID
+ * GET /api/contacts/quality
+ * Data quality summary with the lowest scoring contacts and enrichment suggestions
+ * Query: issue (only contacts with this issue), limit (default 20, max 100)
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/quality', authenticateToken, requirePermission('contacts:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { id } = req.params;
-
-    const { data, error } = await supabase
-      .from('contacts')
-      .select('*')
-      .eq('id', id)
-      .eq('user_id', userId)
-      .single();
+    const { issue, limit = 20, owner } = req.query;
 
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({
-          success: false,
-          data: null,
-          error: {
-            code: 'NOT_FOUND',
-            message: 'Contact not found',
-          },
-        });
-      }
-      throw error;
+    if (issue && !QUALITY_CHECKS[issue]) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Issue must be one of: ${Object.keys(QUALITY_CHECKS).join(', ')}`,
+        },
+      });
     }
 
+    const assessments = await assessContactBook((query) => scopeToAccess(query, req, { ownerId: owner }));
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const contacts = assessments
+      .filter((a) => a.issues.length > 0 && (!issue || a.issues.some((i) => i.code === issue)))
+      .sort((a, b) => a.score - b.score)
+      .slice(0, pageSize)
+      .map(({ contact, score, issues }) => ({
+        id: contact.id,
+        name: contact.name,
+        company: contact.company,
+        score,
+        issues,
+      }));
+
     return res.status(200).json({
       success: true,
       data: {
-        contact: data,
+        summary: summarizeQuality(assessments),
+        bands: QUALITY_BANDS,
+        contacts,
       },
       error: null,
     });
   } catch (err) {
-    console.error('Get contact error:', err);
+    console.error('Contact quality error:', err);
     return res.status(500).json({
       success: false,
       data: null,
       error: {
         code: 'INTERNAL_ERROR',
-        message: 'Failed to fetch contact',
+        message: 'Failed to get contact data quality',
       },
     });
   }
 });
 
 /**
- * POST /api/contacts
- * Create new contact
+ * GET /api/contacts/lifecycle
+ * Lifecycle stages with contact counts, settings and recent transitions
+ * Query: stage, trigger (filter transitions), limit, offset
  */
-router.post('/', authenticateToken, contactCreationRateLimit, checkContactLimit(), async (req, res) => {
+router.get('/lifecycle', authenticateToken, requirePermission('contacts:read'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const {
-      name,
-      email,
-      phone,
-      company,
-      position,
-      industry,
-      category,
-      address,
-      notes,
-      tags,
-      custom_fields,
-      source,
-    } = req.body;
+    const { stage, trigger, owner, limit = 50, offset = 0 } = req.query;
 
-    // Validate required fields
-    const validationErrors = validateContact({ name, email, phone });
-    if (validationErrors.length > 0) {
+    if ((stage && !LIFECYCLE_STAGES.includes(stage)) || (trigger && !LIFECYCLE_TRIGGERS.includes(trigger))) {
       return res.status(400).json({
         success: false,
         data: null,
         error: {
           code: 'VALIDATION_ERROR',
-          message: validationErrors.join(', '),
-          details: validationErrors,
+          message: `Stage must be one of: ${LIFECYCLE_STAGES.join(', ')}; trigger must be one of: ${LIFECYCLE_TRIGGERS.join(', ')}`,
         },
       });
     }
 
-    // Check for duplicates
-    if (email || phone) {
-      let duplicateQuery = supabase
-        .from('contacts')
-        .select('id, name, email, phone')
-        .eq('user_id', userId);
+    // Stages are matched case-insensitively (imports may lowercase them)
+    const stages = await Promise.all(
+      LIFECYCLE_STAGES.map(async (name) => {
+        const { count } = await scopeToAccess(
+          supabase.from('contacts').select('*', { count: 'exact', head: true }),
+          req,
+          { ownerId: owner }
+        )
+          .is('deleted_at', null)
+          .ilike('category', name);
+
+        return { stage: name, count: count || 0 };
+      })
+    );
+
+    // Transitions are scoped through their contact
+    let query = scopeToAccess(
+      supabase
+        .from('contact_lifecycle_transitions')
+        .select('*, contacts!inner(id, name, company)', { count: 'exact' }),
+      req,
+      { ownerId: owner, column: 'contacts' }
+    );
+
+    if (stage) {
+      query = query.eq('to_stage', stage);
+    }
+    if (trigger) {
+      query = query.eq('trigger', trigger);
+    }
 
-      if (email) {
-        duplicateQuery = duplicateQuery.or(`email.eq.${email}`);
-      }
-      if (phone) {
-        const cleanPhone = phone.replace(/[^\d]/g, '');
-        duplicateQuery = duplicateQuery.or(`phone.ilike.%${cleanPhone.slice(-8)}%`);
-      }
-
-      const { data: duplicates } = await duplicateQuery;
-
-      if (duplicates && duplicates.length > 0) {
-        return res.status(409).json({
-          success: false,
-          data: null,
-          error: {
-            code: 'DUPLICATE_CONTACT',
-            message: 'A contact with this email or phone already exists',
-            duplicates: duplicates.map((d) => ({
-              id: d.id,
-              name: d.name,
-              email: d.email,
-              phone: d.phone,
-            })),
-          },
-        });
-      }
-    }
-
-    // Create contact
-    const { data, error } = await supabase
-      .from('contacts')
-      .insert({
-        user_id: userId,
-        name: name.trim(),
-        email: email?.toLowerCase().trim() || null,
-        phone: phone?.trim() || null,
-        company: company?.trim() || null,
-        position: position?.trim() || null,
-        industry: industry || null,
-        category: category || 'Lead',
-        address: address?.trim() || null,
-        notes: notes?.trim() || null,
-        tags: tags || [],
-        custom_fields: custom_fields || {},
-        source: source || 'manual',
-        status: 'active',
-      })
-      .select()
-      .single();
+    const { data: transitions, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + Math.min(parseInt(limit) || 50, 100) - 1);
 
     if (error) {
       throw error;
     }
 
-    // Update contact count in profile
-    await supabase.rpc('increment_contact_count', { user_id: userId });
-
-    return res.status(201).json({
+    return res.status(200).json({
       success: true,
       data: {
-        contact: data,
+        stages,
+        settings: await getLifecycleSettings(userId),
+        transitions,
+        total: count || 0,
       },
       error: null,
     });
   } catch (err) {
-    console.error('Create contact error:', err);
+    console.error('Contact lifecycle error:', err);
     return res.status(500).json({
       success: false,
       data: null,
       error: {
         code: 'INTERNAL_ERROR',
-        message: 'Failed to create contact',
+        message: 'Failed to get contact lifecycle',
       },
     });
   }
 });
 
 /**
- * POST /api/contacts/bulk
- * Create multiple contacts at once
+ * PUT /api/contacts/lifecycle/settings
+ * Update automatic lifecycle transition settings
  */
-router.post('/bulk', authenticateToken, checkContactLimit(), async (req, res) => {
+router.put('/lifecycle/settings', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { contacts } = req.body;
+    const { autoTransitions, dormantAfterDays } = req.body;
 
-    if (!Array.isArray(contacts) || contacts.length === 0) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: {
-          code: 'INVALID_INPUT',
-          message: 'Contacts array is required',
-        },
-      });
-    }
+    const changes = {};
+    if (autoTransitions !== undefined) changes.autoTransitions = autoTransitions;
+    if (dormantAfterDays !== undefined) changes.dormantAfterDays = dormantAfterDays;
 
-    // Limit bulk insert size
-    if (contacts.length > 500) {
+    const validationErrors = validateLifecycleSettings(changes);
+    if (validationErrors.length > 0) {
       return res.status(400).json({
         success: false,
         data: null,
         error: {
-          code: 'TOO_MANY_CONTACTS',
-          message: 'Maximum 500 contacts per bulk insert',
-        },
-      });
-    }
-
-    // Check contact limit
-    const remaining = req.contactLimit?.remaining || 0;
-    if (contacts.length > remaining) {
-      return res.status(403).json({
-        success: false,
-        data: null,
-        error: {
-          code: 'CONTACT_LIMIT_EXCEEDED',
-          message: `Can only add ${remaining} more contacts`,
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
         },
       });
     }
 
-    // Prepare contacts
-    const preparedContacts = contacts.map((c) => ({
-      user_id: userId,
-      name: c.name?.trim() || 'Unknown',
-      email: c.email?.toLowerCase().trim() || null,
-      phone: c.phone?.trim() || null,
-      company: c.company?.trim() || null,
-      position: c.position?.trim() || null,
-      industry: c.industry || null,
-      category: c.category || 'Lead',
-      notes: c.notes?.trim() || null,
-      tags: c.tags || [],
-      source: c.source || 'bulk_import',
-      status: 'active',
-    }));
-
-    // Insert contacts
-    const { data, error } = await supabase
-      .from('contacts')
-      .insert(preparedContacts)
-      .select();
+    const settings = { ...(await getLifecycleSettings(userId)), ...changes };
 
-    if (error) {
-      throw error;
+    const result = await upsertUserProfile(userId, { lifecycle_settings: settings });
+    if (!result.success) {
+      throw new Error(result.error);
     }
 
-    // Update contact count
-    await supabase.rpc('increment_contact_count', {
-      user_id: userId,
-      amount: data.length,
-    });
-
-    return res.status(201).json({
+    return res.status(200).json({
       success: true,
       data: {
-        created: data.length,
-        contacts: data,
+        settings,
       },
       error: null,
     });
   } catch (err) {
-    console.error('Bulk create error:', err);
+    console.error('Update lifecycle settings error:', err);
     return res.status(500).json({
       success: false,
       data: null,
       error: {
         code: 'INTERNAL_ERROR',
-        message: 'Failed to create contacts',
+        message: 'Failed to update lifecycle settings',
       },
     });
   }
 });
 
 /**
- * PUT /api/contacts/:id
- * Update existing contact
+ * POST /api/contacts/duplicates/scan
+ * Start a background duplicate scan across the whole contact book
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.post('/duplicates/scan', authenticateToken, requirePermission('contacts:write'), async (req, res) => {
+  // Scans run on the maintenance queue, which needs Redis
+  if (!process.env.REDIS_HOST) {
+    return res.status(503).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'NOT_CONFIGURED',
+        message: 'Background jobs are not configured',
+      },
+    });
+  }
+
   try {
     const userId = req.user.id;
-    const { id } = req.params;
-    const updates = req.body;
 
-    // Validate if name is being updated
-    if (updates.name !== undefined) {
-      const validationErrors = validateContact({ name: updates.name });
-      if (validationErrors.length > 0) {
-        return res.status(400).json({
-          success: false,
-          data: null,
-          error: {
-            code: 'VALIDATION_ERROR',
-            message: validationErrors.join(', '),
-          },
-        });
-      }
-    }
-
-    // Remove fields that shouldn't be updated directly
-    delete updates.id;
-    delete updates.user_id;
-    delete updates.created_at;
-
-    // Add updated_at timestamp
-    updates.updated_at = new Date().toISOString();
-
-    // Normalize email
-    if (updates.email) {
-      updates.email = updates.email.toLowerCase().trim();
+    // Don't start a second scan while one is still running
+    const { data: running } = await supabase
+      .from('duplicate_scans')
+      .select('id, started_at')
+      .eq('user_id', userId)
+      .eq('status', 'processing')
+      .gte('started_at', new Date(Date.now() - DUPLICATE_SCAN_TIMEOUT_MS).toISOString())
+      .order('started_at', { ascending: false })
+      .limit(1);
+
+    if (running && running.length > 0) {
+      return res.status(202).json({
+        success: true,
+        data: {
+          scanId: running[0].id,
+          message: 'Duplicate scan already in progress.',
+          statusUrl: '/api/contacts/duplicates',
+        },
+        error: null,
+      });
     }
 
-    const { data, error } = await supabase
-      .from('contacts')
-      .update(updates)
-      .eq('id', id)
-      .eq('user_id', userId)
+    const { data: scan, error } = await supabase
+      .from('duplicate_scans')
+      .insert({
+        user_id: userId,
+        status: 'processing',
+        started_at: new Date().toISOString(),
+      })
       .select()
       .single();
 
     if (error) {
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({
-          success: false,
-          data: null,
-          error: {
-            code: 'NOT_FOUND',
-            message: 'Contact not found',
-          },
-        });
-      }
       throw error;
     }
 
-    return res.status(200).json({
+    // Required here rather than at the top: loading the queue module connects to Redis
+    const { addDuplicateScanJob } = require('../services/queue');
+
+    try {
+      await addDuplicateScanJob(scan.id, accessContext(req));
+    } catch (queueError) {
+      await supabase
+        .from('duplicate_scans')
+        .update({
+          status: 'failed',
+          error: queueError.message,
+          completed_at: new Date().toISOString(),
+        })
+        .eq('id', scan.id);
+      throw queueError;
+    }
+
+    return res.status(202).json({
       success: true,
       data: {
-        contact: data,
+        scanId: scan.id,
+        message: 'Duplicate scan started.',
+        statusUrl: '/api/contacts/duplicates',
       },
       error: null,
     });
   } catch (err) {
-    console.error('Update contact error:', err);
+    console.error('Start duplicate scan error:', err);
     return res.status(500).json({
       success: false,
       data: null,
       error: {
         code: 'INTERNAL_ERROR',
-        message: 'Failed to update contact',
+        message: 'Failed to start duplicate scan',
       },
     });
   }
 });
 
 /**
- * DELETE /api/contacts/:id
- * Delete contact
+ * GET /api/contacts/duplicates
+ * Get duplicate clusters from the latest scan
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.get('/duplicates', authenticateToken, requirePermission('contacts:read'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { id } = req.params;
+    const { minConfidence = 0, limit = 50, offset = 0 } = req.query;
 
-    // Check if contact exists
-    const { data: existing } = await supabase
-      .from('contacts')
-      .select('id')
-      .eq('id', id)
+    const { data: scan, error } = await supabase
+      .from('duplicate_scans')
+      .select('*')
       .eq('user_id', userId)
-      .single();
+      .order('started_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
 
-    if (!existing) {
+    if (error) {
+      throw error;
+    }
+
+    if (!scan) {
       return res.status(404).json({
         success: false,
         data: null,
         error: {
-          code: 'NOT_FOUND',
-          message: 'Contact not found',
+          code: 'NO_SCAN',
+          message: 'No duplicate scan found. Start one with POST /api/contacts/duplicates/scan',
         },
       });
     }
 
-    // Delete related data first
-    await supabase.from('interactions').delete().eq('contact_id', id);
-    await supabase.from('reminders').delete().eq('contact_id', id);
-
-    // Delete contact
-    const { error } = await supabase
-      .from('contacts')
-      .delete()
-      .eq('id', id)
-      .eq('user_id', userId);
-
-    if (error) {
-      throw error;
-    }
-
-    // Decrement contact count
-    await supabase.rpc('decrement_contact_count', { user_id: userId });
+    const clusters = (scan.clusters || []).filter(
+      (c) => c.confidence >= parseFloat(minConfidence)
+    );
+    const start = parseInt(offset);
 
     return res.status(200).json({
       success: true,
       data: {
-        message: 'Contact deleted successfully',
-        id: id,
+        scan: {
+          id: scan.id,
+          status: scan.status,
+          contactCount: scan.contact_count,
+          clusterCount: scan.cluster_count,
+          startedAt: scan.started_at,
+          completedAt: scan.completed_at,
+          error: scan.error || null,
+        },
+        clusters: clusters.slice(start, start + parseInt(limit)),
+        total: clusters.length,
       },
       error: null,
     });
   } catch (err) {
-    console.error('Delete contact error:', err);
+    console.error('Get duplicates error:', err);
     return res.status(500).json({
       success: false,
       data: null,
       error: {
         code: 'INTERNAL_ERROR',
-        message: 'Failed to delete contact',
+        message: 'Failed to fetch duplicate clusters',
       },
     });
   }
 });
 
 /**
- * GET /api/contacts/:id/interactions
- * Get interactions for a specific contact
+ * GET /api/contacts/trash
+ * List contacts in the trash
  */
-router.get('/:id/interactions', authenticateToken, async (req, res) => {
+router.get('/trash', authenticateToken, requirePermission('contacts:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { id } = req.params;
-    const { limit = 20, offset = 0 } = req.query;
-
-    // Verify contact ownership
-    const { data: contact } = await supabase
-      .from('contacts')
-      .select('id')
-      .eq('id', id)
-      .eq('user_id', userId)
-      .single();
+    const { page = 1, limit = 50, owner } = req.query;
 
-    if (!contact) {
-      return res.status(404).json({
-        success: false,
-        data: null,
-        error: {
-          code: 'NOT_FOUND',
-          message: 'Contact not found',
-        },
-      });
-    }
+    const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    const { data, error } = await supabase
-      .from('interactions')
-      .select('*')
-      .eq('contact_id', id)
-      .order('interaction_date', { ascending: false })
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+    const { data, error, count } = await scopeToAccess(
+      supabase.from('contacts').select('*', { count: 'exact' }),
+      req,
+      { ownerId: owner }
+    )
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+      .range(offset, offset + parseInt(limit) - 1);
 
     if (error) {
       throw error;
@@ -776,18 +1117,1833 @@ router.get('/:id/interactions', authenticateToken, async (req, res) => {
     return res.status(200).json({
       success: true,
       data: {
-        interactions: data,
+        contacts: data.map((c) => ({
+          ...c,
+          purge_after: getTrashPurgeDate(c.deleted_at),
+        })),
+        retentionDays: TRASH_RETENTION_DAYS,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages: Math.ceil(count / parseInt(limit)),
+          hasMore: offset + data.length < count,
+        },
       },
       error: null,
     });
   } catch (err) {
-    console.error('Get contact interactions error:', err);
+    console.error('List trash error:', err);
     return res.status(500).json({
       success: false,
       data: null,
       error: {
         code: 'INTERNAL_ERROR',
-        message: 'Failed to fetch interactions',
+        message: 'Failed to fetch trash',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/:id
+ * Get single contact by ID
+ */
+router.get('/:id', authenticateToken, requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await scopeToAccess(supabase.from('contacts').select('*'), req)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Contact not found',
+          },
+        });
+      }
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        contact: data,
+        quality: assessContact(data),
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Get contact error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch contact',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/contacts
+ * Create new contact
+ */
+router.post('/', authenticateToken, requirePermission('contacts:write'), contactCreationRateLimit, checkContactLimit(), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const {
+      name,
+      email,
+      phone,
+      company,
+      position,
+      industry,
+      category,
+      address,
+      notes,
+      tags,
+      custom_fields,
+      source,
+    } = req.body;
+
+    // Validate required fields
+    const customFieldDefinitions = await getFieldDefinitions(definitionOwner(req));
+    const validationErrors = validateContact(
+      { name, email, phone, custom_fields },
+      { customFields: customFieldDefinitions }
+    );
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+          details: validationErrors,
+        },
+      });
+    }
+
+    // Check for duplicates
+    if (email || phone) {
+      let duplicateQuery = scopeToAccess(supabase.from('contacts').select('id, name, email, phone'), req)
+        .is('deleted_at', null);
+
+      if (email) {
+        duplicateQuery = duplicateQuery.or(`email.eq.${email}`);
+      }
+      if (phone) {
+        const cleanPhone = phone.replace(/[^\d]/g, '');
+        duplicateQuery = duplicateQuery.or(`phone.ilike.%${cleanPhone.slice(-8)}%`);
+      }
+
+      const { data: duplicates } = await duplicateQuery;
+
+      if (duplicates && duplicates.length > 0) {
+        return res.status(409).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'DUPLICATE_CONTACT',
+            message: 'A contact with this email or phone already exists',
+            duplicates: duplicates.map((d) => ({
+              id: d.id,
+              name: d.name,
+              email: d.email,
+              phone: d.phone,
+            })),
+          },
+        });
+      }
+    }
+
+    // Create contact
+    const { data, error } = await supabase
+      .from('contacts')
+      .insert({
+        user_id: userId,
+        ...workspaceColumns(req),
+        name: name.trim(),
+        email: email?.toLowerCase().trim() || null,
+        phone: phone?.trim() || null,
+        company: company?.trim() || null,
+        company_id: await resolveCompanyId(userId, company),
+        position: position?.trim() || null,
+        industry: industry || null,
+        category: category || 'Lead',
+        address: address?.trim() || null,
+        notes: notes?.trim() || null,
+        tags: tags || [],
+        custom_fields: parseCustomFields(custom_fields, customFieldDefinitions).values,
+        source: source || 'manual',
+        status: 'active',
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    // Update contact count in profile
+    await supabase.rpc('increment_contact_count', { user_id: userId });
+
+    await recordContactHistory({
+      userId,
+      contactId: data.id,
+      action: 'create',
+      source: data.source,
+      before: null,
+      after: data,
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        contact: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Create contact error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create contact',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/contacts/bulk
+ * Create multiple contacts at once
+ */
+router.post('/bulk', authenticateToken, requirePermission('contacts:import'), checkContactLimit(), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { contacts } = req.body;
+
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Contacts array is required',
+        },
+      });
+    }
+
+    // Limit bulk insert size
+    if (contacts.length > 500) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'TOO_MANY_CONTACTS',
+          message: 'Maximum 500 contacts per bulk insert',
+        },
+      });
+    }
+
+    // Check contact limit
+    const remaining = req.contactLimit?.remaining || 0;
+    if (contacts.length > remaining) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'CONTACT_LIMIT_EXCEEDED',
+          message: `Can only add ${remaining} more contacts`,
+        },
+      });
+    }
+
+    // Prepare contacts
+    const preparedContacts = contacts.map((c) => ({
+      user_id: userId,
+      ...workspaceColumns(req),
+      name: c.name?.trim() || 'Unknown',
+      email: c.email?.toLowerCase().trim() || null,
+      phone: c.phone?.trim() || null,
+      company: c.company?.trim() || null,
+      position: c.position?.trim() || null,
+      industry: c.industry || null,
+      category: c.category || 'Lead',
+      notes: c.notes?.trim() || null,
+      tags: c.tags || [],
+      source: c.source || 'bulk_import',
+      status: 'active',
+    }));
+
+    // Insert contacts
+    const { data, error } = await supabase
+      .from('contacts')
+      .insert(preparedContacts)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    // Update contact count
+    await supabase.rpc('increment_contact_count', {
+      user_id: userId,
+      amount: data.length,
+    });
+
+    await recordContactHistoryBatch(
+      data.map((contact) => ({
+        userId,
+        contactId: contact.id,
+        action: 'create',
+        source: contact.source,
+        before: null,
+        after: contact,
+      }))
+    );
+
+    // Link companies in the background
+    matchExistingCompanies(userId).catch((err) => {
+      console.error('Bulk company matching error:', err);
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        created: data.length,
+        contacts: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Bulk create error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create contacts',
+      },
+    });
+  }
+});
+
+/**
+ * PATCH /api/contacts/bulk
+ * Update many contacts at once (by IDs or by filter)
+ */
+router.patch('/bulk', authenticateToken, requirePermission('contacts:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const {
+      ids,
+      filter,
+      updates = {},
+      addTags = [],
+      removeTags = [],
+    } = req.body;
+
+    const invalidFields = Object.keys(updates).filter((f) => !BULK_UPDATE_FIELDS.includes(f));
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Fields cannot be bulk updated: ${invalidFields.join(', ')}. Allowed: ${BULK_UPDATE_FIELDS.join(', ')}`,
+        },
+      });
+    }
+
+    if (!Array.isArray(addTags) || !Array.isArray(removeTags)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'addTags and removeTags must be arrays',
+        },
+      });
+    }
+
+    // Category is the lifecycle stage - store its canonical spelling
+    if (updates.category !== undefined) {
+      const stage = getLifecycleStage(updates.category);
+      if (!stage) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `Category must be one of: ${LIFECYCLE_STAGES.join(', ')}`,
+          },
+        });
+      }
+      updates.category = stage;
+    }
+
+    const hasTagChanges = addTags.length > 0 || removeTags.length > 0;
+    if (Object.keys(updates).length === 0 && !hasTagChanges) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Nothing to update. Provide updates, addTags or removeTags',
+        },
+      });
+    }
+
+    const targets = await resolveBulkTargets(req, { ids, filter });
+    if (targets.error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: targets.error,
+      });
+    }
+
+    const results = targets.missing.map((id) => ({ id, success: false, error: 'NOT_FOUND' }));
+    const baseUpdates = { ...updates, updated_at: new Date().toISOString() };
+
+    if (updates.company !== undefined) {
+      baseUpdates.company_id = await resolveCompanyId(userId, updates.company);
+    }
+
+    // Group contacts that end up with the same tags so each group is one query
+    const groups = new Map();
+    const removeSet = new Set(removeTags.map((t) => String(t).toLowerCase()));
+    const contactsById = new Map(targets.contacts.map((c) => [c.id, c]));
+
+    for (const contact of targets.contacts) {
+      let key = '';
+      if (hasTagChanges) {
+        const tags = (contact.tags || []).filter((t) => !removeSet.has(String(t).toLowerCase()));
+        for (const tag of addTags) {
+          if (!tags.some((t) => String(t).toLowerCase() === String(tag).toLowerCase())) {
+            tags.push(tag);
+          }
+        }
+        key = JSON.stringify(tags);
+      }
+
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(contact.id);
+    }
+
+    for (const [tagsKey, groupIds] of groups) {
+      const groupUpdates = tagsKey ? { ...baseUpdates, tags: JSON.parse(tagsKey) } : baseUpdates;
+
+      for (let i = 0; i < groupIds.length; i += BULK_BATCH_SIZE) {
+        const batchIds = groupIds.slice(i, i + BULK_BATCH_SIZE);
+        const { error } = await scopeToAccess(supabase.from('contacts').update(groupUpdates), req)
+          .is('deleted_at', null)
+          .in('id', batchIds);
+
+        for (const id of batchIds) {
+          results.push(error ? { id, success: false, error: error.message } : { id, success: true });
+        }
+
+        if (!error) {
+          await recordContactHistoryBatch(
+            batchIds.map((id) => ({
+              userId: contactsById.get(id).user_id,
+              actorId: userId,
+              contactId: id,
+              action: 'bulk_update',
+              before: contactsById.get(id),
+              after: { ...contactsById.get(id), ...groupUpdates },
+            }))
+          );
+
+          if (updates.category !== undefined) {
+            await recordManualTransitions(
+              batchIds.map((id) => ({
+                userId: contactsById.get(id).user_id,
+                contactId: id,
+                fromCategory: contactsById.get(id).category,
+                toCategory: updates.category,
+              }))
+            );
+          }
+        }
+      }
+    }
+
+    const updated = results.filter((r) => r.success).length;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        updated,
+        failed: results.length - updated,
+        results,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Bulk update error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update contacts',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/contacts/bulk
+ * Move many contacts to the trash at once (by IDs or by filter)
+ */
+router.delete('/bulk', authenticateToken, requirePermission('contacts:delete'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { ids, filter } = req.body;
+
+    const targets = await resolveBulkTargets(req, { ids, filter });
+    if (targets.error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: targets.error,
+      });
+    }
+
+    const results = targets.missing.map((id) => ({ id, success: false, error: 'NOT_FOUND' }));
+    const deletedAt = new Date().toISOString();
+    const targetIds = targets.contacts.map((c) => c.id);
+
+    for (let i = 0; i < targetIds.length; i += BULK_BATCH_SIZE) {
+      const batchIds = targetIds.slice(i, i + BULK_BATCH_SIZE);
+      let batchError = null;
+
+      for (const table of TRASHED_WITH_CONTACT) {
+        const { error } = await scopeToAccess(supabase.from(table).update({ deleted_at: deletedAt }), req)
+          .is('deleted_at', null)
+          .in('contact_id', batchIds);
+
+        if (error) {
+          batchError = error;
+          break;
+        }
+      }
+
+      if (!batchError) {
+        const { error } = await scopeToAccess(supabase.from('contacts').update({ deleted_at: deletedAt }), req)
+          .in('id', batchIds);
+        batchError = error;
+      }
+
+      for (const id of batchIds) {
+        results.push(batchError ? { id, success: false, error: batchError.message } : { id, success: true });
+      }
+
+      if (!batchError) {
+        await recordContactHistoryBatch(
+          targets.contacts
+            .filter((c) => batchIds.includes(c.id))
+            .map((contact) => ({
+              userId: contact.user_id,
+              actorId: userId,
+              contactId: contact.id,
+              action: 'delete',
+              before: contact,
+              after: contact,
+              metadata: { deletedAt, bulk: true },
+            }))
+        );
+      }
+    }
+
+    const deleted = results.filter((r) => r.success).length;
+
+    // Contact counts are per owner
+    const deletedIds = new Set(results.filter((r) => r.success).map((r) => r.id));
+    const deletedByOwner = targets.contacts
+      .filter((c) => deletedIds.has(c.id))
+      .reduce((acc, c) => {
+        acc[c.user_id] = (acc[c.user_id] || 0) + 1;
+        return acc;
+      }, {});
+
+    for (const [ownerId, amount] of Object.entries(deletedByOwner)) {
+      await supabase.rpc('decrement_contact_count', {
+        user_id: ownerId,
+        amount,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        deleted,
+        failed: results.length - deleted,
+        deletedAt,
+        purgeAfter: getTrashPurgeDate(deletedAt),
+        results,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Bulk delete error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete contacts',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/contacts/:id
+ * Update existing contact
+ */
+router.put('/:id', authenticateToken, requirePermission('contacts:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const updates = req.body;
+
+    // Current values, kept for the change history
+    const { data: existing } = await scopeToAccess(supabase.from('contacts').select('*'), req)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Contact not found',
+        },
+      });
+    }
+
+    // Validate name and custom fields if they are being updated
+    if (updates.name !== undefined || updates.custom_fields !== undefined) {
+      // Custom fields are checked against the definitions of the contact's workspace (or owner)
+      const customFieldDefinitions = updates.custom_fields !== undefined
+        ? await getFieldDefinitions({ userId: existing.user_id, workspaceId: existing.workspace_id })
+        : [];
+      const validationErrors = validateContact(
+        { name: updates.name, custom_fields: updates.custom_fields },
+        { customFields: customFieldDefinitions, partial: true }
+      );
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: validationErrors.join(', '),
+          },
+        });
+      }
+
+      if (updates.custom_fields !== undefined) {
+        updates.custom_fields = parseCustomFields(updates.custom_fields, customFieldDefinitions).values;
+      }
+    }
+
+    // Remove fields that shouldn't be updated directly
+    delete updates.id;
+    delete updates.user_id;
+    delete updates.workspace_id;
+    delete updates.created_at;
+
+    // Add updated_at timestamp
+    updates.updated_at = new Date().toISOString();
+
+    // Normalize email
+    if (updates.email) {
+      updates.email = updates.email.toLowerCase().trim();
+    }
+
+    // Companies belong to the contact's owner
+    const ownerId = existing.user_id;
+
+    // Keep company name and linked company in step
+    if (updates.company_id) {
+      const { data: company } = await supabase
+        .from('companies')
+        .select('id, name')
+        .eq('id', updates.company_id)
+        .eq('user_id', ownerId)
+        .single();
+
+      if (!company) {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'COMPANY_NOT_FOUND',
+            message: 'Company not found',
+          },
+        });
+      }
+      updates.company = company.name;
+    } else if (updates.company !== undefined && updates.company_id === undefined) {
+      updates.company_id = await resolveCompanyId(ownerId, updates.company);
+    }
+
+    const { data, error } = await scopeToAccess(supabase.from('contacts').update(updates), req)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Contact not found',
+          },
+        });
+      }
+      throw error;
+    }
+
+    await recordContactHistory({
+      userId: ownerId,
+      actorId: userId,
+      contactId: id,
+      action: 'update',
+      before: existing,
+      after: data,
+    });
+
+    if (existing.category !== data.category) {
+      await recordManualTransition({
+        userId: ownerId,
+        contactId: id,
+        fromCategory: existing.category,
+        toCategory: data.category,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        contact: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Update contact error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update contact',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/contacts/:id
+ * Move contact (and its interactions and reminders) to the trash
+ */
+router.delete('/:id', authenticateToken, requirePermission('contacts:delete'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    // Check if contact exists
+    const { data: existing } = await scopeToAccess(supabase.from('contacts').select('*'), req)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Contact not found',
+        },
+      });
+    }
+
+    // Related rows share the contact's timestamp so restore can find them
+    const deletedAt = new Date().toISOString();
+
+    for (const table of TRASHED_WITH_CONTACT) {
+      const { error: relatedError } = await scopeToAccess(supabase.from(table).update({ deleted_at: deletedAt }), req)
+        .eq('contact_id', id)
+        .is('deleted_at', null);
+
+      if (relatedError) {
+        throw relatedError;
+      }
+    }
+
+    const { error } = await scopeToAccess(supabase.from('contacts').update({ deleted_at: deletedAt }), req)
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+
+    // Trashed contacts don't count towards the owner's plan limit
+    await supabase.rpc('decrement_contact_count', { user_id: existing.user_id });
+
+    await recordContactHistory({
+      userId: existing.user_id,
+      actorId: userId,
+      contactId: id,
+      action: 'delete',
+      before: existing,
+      after: existing,
+      metadata: { deletedAt },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        message: 'Contact moved to trash',
+        id: id,
+        deletedAt,
+        purgeAfter: getTrashPurgeDate(deletedAt),
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Delete contact error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete contact',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/contacts/:id/restore
+ * Restore a contact (and the rows trashed with it) from the trash
+ */
+router.post('/:id/restore', authenticateToken, requirePermission('contacts:delete'), checkContactLimit(), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const { data: trashed } = await scopeToAccess(supabase.from('contacts').select('*'), req)
+      .eq('id', id)
+      .not('deleted_at', 'is', null)
+      .single();
+
+    if (!trashed) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Contact not found in trash',
+        },
+      });
+    }
+
+    const { data, error } = await scopeToAccess(
+      supabase.from('contacts').update({ deleted_at: null, updated_at: new Date().toISOString() }),
+      req
+    )
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    // Only restore rows that were trashed together with the contact
+    for (const table of TRASHED_WITH_CONTACT) {
+      const { error: relatedError } = await scopeToAccess(supabase.from(table).update({ deleted_at: null }), req)
+        .eq('contact_id', id)
+        .eq('deleted_at', trashed.deleted_at);
+
+      if (relatedError) {
+        throw relatedError;
+      }
+    }
+
+    // The restored contact counts towards its owner's plan limit again
+    await supabase.rpc('increment_contact_count', { user_id: trashed.user_id });
+
+    await recordContactHistory({
+      userId: trashed.user_id,
+      actorId: userId,
+      contactId: id,
+      action: 'restore',
+      before: trashed,
+      after: data,
+      metadata: { deletedAt: trashed.deleted_at },
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        contact: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Restore contact error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to restore contact',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/:id/interactions
+ * Get interactions for a specific contact
+ */
+router.get('/:id/interactions', authenticateToken, requirePermission('interactions:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit = 20, offset = 0 } = req.query;
+
+    // Verify contact access
+    const { data: contact } = await scopeToAccess(supabase.from('contacts').select('id'), req)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Contact not found',
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('interactions')
+      .select('*')
+      .eq('contact_id', id)
+      .is('deleted_at', null)
+      .order('interaction_date', { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        interactions: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Get contact interactions error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch interactions',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/:id/timeline
+ * Get a contact's activity timeline, newest first
+ * Merges interactions, reminders, deal stage changes, namecard scans, imports,
+ * chat quick actions and lifecycle changes. Filter with ?types=interaction,reminder
+ */
+router.get('/:id/timeline', authenticateToken, requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit, cursor } = req.query;
+
+    const { types, errors } = parseTimelineTypes(req.query.types);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: errors.join(', '),
+        },
+      });
+    }
+
+    const after = cursor ? decodeCursor(cursor, 'occurredAt') : null;
+
+    if (cursor && !isTimelineCursor(after)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_CURSOR',
+          message: 'Invalid cursor',
+        },
+      });
+    }
+
+    // Verify contact access
+    const { data: contact } = await scopeToAccess(supabase.from('contacts').select('id'), req)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Contact not found',
+        },
+      });
+    }
+
+    const pageSize = parsePageSize(limit, 20);
+    const { items, nextCursor, hasMore } = await getContactTimeline(id, {
+      types,
+      limit: pageSize,
+      after,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        timeline: items,
+        pagination: {
+          limit: pageSize,
+          nextCursor,
+          hasMore,
+        },
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Get contact timeline error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch timeline',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/:id/relationships
+ * Get relationships in both directions (e.g. reports_to and manages)
+ */
+router.get('/:id/relationships', authenticateToken, requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: contact } = await scopeToAccess(supabase.from('contacts').select('id'), req)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Contact not found',
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('contact_relationships')
+      .select(
+        `
+        id, type, notes, created_at, contact_id, related_contact_id,
+        contact:contacts!contact_relationships_contact_id_fkey(id, name, company, position, deleted_at),
+        related:contacts!contact_relationships_related_contact_id_fkey(id, name, company, position, deleted_at)
+      `
+      )
+      .or(`contact_id.eq.${id},related_contact_id.eq.${id}`)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    // Teammates may have linked this contact to contacts the caller can't open
+    const otherIds = [...new Set(data.map((r) => (r.contact_id === id ? r.related_contact_id : r.contact_id)))];
+    const { data: visible, error: visibleError } = otherIds.length > 0
+      ? await scopeToAccess(supabase.from('contacts').select('id'), req).in('id', otherIds)
+      : { data: [], error: null };
+
+    if (visibleError) {
+      throw visibleError;
+    }
+
+    const visibleIds = new Set(visible.map((c) => c.id));
+
+    // Describe each relationship from this contact's point of view
+    const relationships = data
+      .map((r) => {
+        const outgoing = r.contact_id === id;
+        const other = outgoing ? r.related : r.contact;
+        return {
+          id: r.id,
+          type: outgoing ? r.type : RELATIONSHIP_TYPES[r.type],
+          direction: outgoing ? 'outgoing' : 'incoming',
+          notes: r.notes,
+          created_at: r.created_at,
+          contact: other,
+        };
+      })
+      .filter((r) => r.contact && !r.contact.deleted_at && visibleIds.has(r.contact.id))
+      .map(({ contact: { deleted_at, ...other }, ...r }) => ({ ...r, contact: other }));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        relationships,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Get contact relationships error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch relationships',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/contacts/:id/relationships
+ * Link this contact to another (e.g. this contact reports_to relatedContactId)
+ */
+router.post('/:id/relationships', authenticateToken, requirePermission('contacts:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { relatedContactId, type, notes } = req.body;
+
+    if (!RELATIONSHIP_TYPES[type]) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Type must be one of: ${Object.keys(RELATIONSHIP_TYPES).join(', ')}`,
+        },
+      });
+    }
+
+    if (!relatedContactId || relatedContactId === id) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'relatedContactId must be another contact',
+        },
+      });
+    }
+
+    const { data: contacts, error: fetchError } = await scopeToAccess(
+      supabase.from('contacts').select('id, name, company, position'),
+      req
+    )
+      .is('deleted_at', null)
+      .in('id', [id, relatedContactId]);
+
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    if (contacts.length !== 2) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Contact not found',
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('contact_relationships')
+      .insert({
+        user_id: userId,
+        contact_id: id,
+        related_contact_id: relatedContactId,
+        type,
+        notes: notes?.trim() || null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Unique (contact_id, related_contact_id, type)
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'DUPLICATE_RELATIONSHIP',
+            message: 'This relationship already exists',
+          },
+        });
+      }
+      throw error;
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        relationship: {
+          ...data,
+          contact: contacts.find((c) => c.id === relatedContactId),
+        },
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Create contact relationship error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create relationship',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/contacts/:id/relationships/:relationshipId
+ * Remove a relationship (from either side)
+ */
+router.delete('/:id/relationships/:relationshipId', authenticateToken, requirePermission('contacts:write'), async (req, res) => {
+  try {
+    const { id, relationshipId } = req.params;
+
+    const { data: contact } = await scopeToAccess(supabase.from('contacts').select('id'), req)
+      .eq('id', id)
+      .single();
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Contact not found',
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('contact_relationships')
+      .delete()
+      .eq('id', relationshipId)
+      .or(`contact_id.eq.${id},related_contact_id.eq.${id}`)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Relationship not found',
+        },
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        message: 'Relationship deleted successfully',
+        id: relationshipId,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Delete contact relationship error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete relationship',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/:id/history
+ * Get the change history of a contact (newest first)
+ */
+router.get('/:id/history', authenticateToken, requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action, limit = 50, offset = 0 } = req.query;
+
+    // Trashed contacts keep their history; entries span every owner the contact had
+    const { data: contact } = await scopeToAccess(supabase.from('contacts').select('id'), req)
+      .eq('id', id)
+      .single();
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Contact not found',
+        },
+      });
+    }
+
+    let query = supabase
+      .from('contact_history')
+      .select('*', { count: 'exact' })
+      .eq('contact_id', id);
+
+    if (action) {
+      query = query.eq('action', action);
+    }
+
+    const { data, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + Math.min(parseInt(limit), 100) - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        history: data,
+        pagination: {
+          total: count,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+        },
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Get contact history error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch contact history',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/contacts/:id/lifecycle
+ * Get a contact's lifecycle stage and transition history
+ */
+router.get('/:id/lifecycle', authenticateToken, requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: contact } = await scopeToAccess(supabase.from('contacts').select('id, name, category'), req)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Contact not found',
+        },
+      });
+    }
+
+    const { data: transitions, error } = await supabase
+      .from('contact_lifecycle_transitions')
+      .select('id, from_stage, to_stage, trigger, metadata, created_at')
+      .eq('contact_id', id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        contactId: id,
+        stage: LIFECYCLE_STAGES.find((s) => s.toLowerCase() === contact.category?.toLowerCase()) || null,
+        category: contact.category,
+        transitions,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Contact lifecycle history error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to get contact lifecycle history',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/contacts/:id/revert
+ * Revert a contact to the version recorded by a history entry
+ */
+router.post('/:id/revert', authenticateToken, requirePermission('contacts:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { historyId } = req.body;
+
+    if (!historyId) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'historyId is required',
+        },
+      });
+    }
+
+    const { data: existing } = await scopeToAccess(supabase.from('contacts').select('*'), req)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Contact not found. Restore it from the trash before reverting.',
+        },
+      });
+    }
+
+    // Entries span every owner the contact had
+    const { data: entry } = await supabase
+      .from('contact_history')
+      .select('*')
+      .eq('id', historyId)
+      .eq('contact_id', id)
+      .single();
+
+    if (!entry || !entry.snapshot) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'History entry not found',
+        },
+      });
+    }
+
+    const updates = TRACKED_FIELDS.reduce((acc, field) => {
+      if (entry.snapshot[field] !== undefined) {
+        acc[field] = entry.snapshot[field];
+      }
+      return acc;
+    }, {});
+
+    // The snapshot's company may since have been renamed or removed - link by name instead
+    if (updates.company !== undefined) {
+      updates.company_id = updates.company === existing.company
+        ? existing.company_id
+        : await resolveCompanyId(existing.user_id, updates.company);
+    }
+    updates.updated_at = new Date().toISOString();
+
+    const { data, error } = await scopeToAccess(supabase.from('contacts').update(updates), req)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await recordContactHistory({
+      userId: existing.user_id,
+      actorId: userId,
+      contactId: id,
+      action: 'revert',
+      before: existing,
+      after: data,
+      metadata: { historyId, revertedTo: entry.created_at },
+    });
+
+    if (existing.category !== data.category) {
+      await recordManualTransition({
+        userId: existing.user_id,
+        contactId: id,
+        fromCategory: existing.category,
+        toCategory: data.category,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        contact: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Revert contact error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to revert contact',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/contacts/:id/merge
+ * Merge one or more duplicate contacts into this contact (the sources are moved to the trash)
+ */
+router.post('/:id/merge', authenticateToken, requirePermission('contacts:delete'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { sourceIds, fields = {} } = req.body;
+
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'sourceIds array is required',
+        },
+      });
+    }
+
+    const uniqueSourceIds = [...new Set(sourceIds)];
+
+    if (uniqueSourceIds.includes(id)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'A contact cannot be merged into itself',
+        },
+      });
+    }
+
+    if (uniqueSourceIds.length > MAX_MERGE_SOURCES) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'TOO_MANY_CONTACTS',
+          message: `Maximum ${MAX_MERGE_SOURCES} contacts per merge`,
+        },
+      });
+    }
+
+    const validationErrors = validateMergeStrategies(fields);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+          details: validationErrors,
+        },
+      });
+    }
+
+    // Load surviving contact and sources
+    const { data: contacts, error: fetchError } = await scopeToAccess(supabase.from('contacts').select('*'), req)
+      .is('deleted_at', null)
+      .in('id', [id, ...uniqueSourceIds]);
+
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    const target = contacts.find((c) => c.id === id);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Contact not found',
+        },
+      });
+    }
+
+    // Keep sources in the order given - it decides 'overwrite' precedence
+    const sources = uniqueSourceIds
+      .map((sourceId) => contacts.find((c) => c.id === sourceId))
+      .filter(Boolean);
+
+    if (sources.length !== uniqueSourceIds.length) {
+      const found = new Set(sources.map((c) => c.id));
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'SOURCE_NOT_FOUND',
+          message: 'One or more source contacts not found',
+          missing: uniqueSourceIds.filter((sourceId) => !found.has(sourceId)),
+        },
+      });
+    }
+
+    // Re-point related records to the surviving contact
+    const moved = {};
+    for (const table of CONTACT_RELATED_TABLES) {
+      const { data: movedRows, error: moveError } = await scopeToAccess(
+        supabase.from(table).update({ contact_id: id }),
+        req
+      )
+        .in('contact_id', uniqueSourceIds)
+        .select('id');
+
+      if (moveError) {
+        throw moveError;
+      }
+      moved[table] = movedRows?.length || 0;
+    }
+
+    // Carry group memberships over to the surviving contact (the sources were checked above)
+    const { data: sourceMemberships, error: membershipError } = await supabase
+      .from('contact_group_members')
+      .select('group_id, user_id')
+      .in('contact_id', uniqueSourceIds);
+
+    if (membershipError) {
+      throw membershipError;
+    }
+
+    if (sourceMemberships.length > 0) {
+      const { error: groupError } = await supabase
+        .from('contact_group_members')
+        .upsert(
+          [...new Map(sourceMemberships.map((m) => [m.group_id, m])).values()].map((m) => ({
+            group_id: m.group_id,
+            contact_id: id,
+            user_id: m.user_id,
+          })),
+          { onConflict: 'group_id,contact_id', ignoreDuplicates: true }
+        );
+
+      if (groupError) {
+        throw groupError;
+      }
+    }
+
+    // Re-point relationships from either side, dropping links between merged contacts
+    const sourceIdList = uniqueSourceIds.join(',');
+    const { data: sourceLinks, error: linksError } = await supabase
+      .from('contact_relationships')
+      .select('*')
+      .or(`contact_id.in.(${sourceIdList}),related_contact_id.in.(${sourceIdList})`);
+
+    if (linksError) {
+      throw linksError;
+    }
+
+    if (sourceLinks.length > 0) {
+      const repoint = (contactId) => (uniqueSourceIds.includes(contactId) ? id : contactId);
+      const movedLinks = sourceLinks
+        .map((r) => ({
+          user_id: r.user_id,
+          contact_id: repoint(r.contact_id),
+          related_contact_id: repoint(r.related_contact_id),
+          type: r.type,
+          notes: r.notes,
+          created_at: r.created_at,
+        }))
+        .filter((r) => r.contact_id !== r.related_contact_id);
+
+      const { error: unlinkError } = await supabase
+        .from('contact_relationships')
+        .delete()
+        .in('id', sourceLinks.map((r) => r.id));
+
+      if (unlinkError) {
+        throw unlinkError;
+      }
+
+      if (movedLinks.length > 0) {
+        const { error: relinkError } = await supabase
+          .from('contact_relationships')
+          .upsert(movedLinks, {
+            onConflict: 'contact_id,related_contact_id,type',
+            ignoreDuplicates: true,
+          });
+
+        if (relinkError) {
+          throw relinkError;
+        }
+      }
+    }
+
+    // Apply resolved fields to surviving contact
+    const updates = resolveMergedFields(target, sources, fields);
+    updates.updated_at = new Date().toISOString();
+
+    if (updates.company !== target.company) {
+      updates.company_id = await resolveCompanyId(target.user_id, updates.company);
+    }
+
+    const { data: merged, error: updateError } = await scopeToAccess(supabase.from('contacts').update(updates), req)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    // Move merged sources to the trash so a wrong merge can be undone until they're purged
+    const deletedAt = new Date().toISOString();
+    const { error: deleteError } = await scopeToAccess(
+      supabase.from('contacts').update({ deleted_at: deletedAt }),
+      req
+    )
+      .in('id', uniqueSourceIds);
+
+    if (deleteError) {
+      throw deleteError;
+    }
+
+    // Contact counts are per owner (trashed contacts don't count)
+    const mergedByOwner = sources.reduce((acc, c) => {
+      acc[c.user_id] = (acc[c.user_id] || 0) + 1;
+      return acc;
+    }, {});
+
+    for (const [ownerId, amount] of Object.entries(mergedByOwner)) {
+      await supabase.rpc('decrement_contact_count', {
+        user_id: ownerId,
+        amount,
+      });
+    }
+
+    await recordContactHistoryBatch([
+      {
+        userId: target.user_id,
+        actorId: userId,
+        contactId: id,
+        action: 'merge',
+        before: target,
+        after: merged,
+        metadata: { mergedIds: uniqueSourceIds },
+      },
+      ...sources.map((source) => ({
+        userId: source.user_id,
+        actorId: userId,
+        contactId: source.id,
+        action: 'delete',
+        before: source,
+        after: source,
+        metadata: { mergedInto: id, deletedAt },
+      })),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        contact: merged,
+        mergedIds: uniqueSourceIds,
+        moved,
+        deletedAt,
+        purgeAfter: getTrashPurgeDate(deletedAt),
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Merge contacts error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to merge contacts',
       },
     });
   }
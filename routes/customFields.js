@@ -0,0 +1,329 @@
+/**
+ * Custom Field Definitions Routes
+ * ResultMarketing CRM
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../services/supabase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  MAX_CUSTOM_FIELDS,
+  validateFieldDefinition,
+  definitionOwner,
+  scopeFieldDefinitions,
+  getFieldDefinitions,
+} = require('../services/customFields');
+const { scopeToAccess, workspaceColumns } = require('../services/workspaces');
+
+// Contacts updated per batch when a field is deleted
+const CLEANUP_BATCH_SIZE = 200;
+
+/**
+ * GET /api/contacts/fields
+ * List custom field definitions (a workspace's members share them)
+ */
+router.get('/', authenticateToken, requirePermission('contacts:read'), async (req, res) => {
+  try {
+    const fields = await getFieldDefinitions(definitionOwner(req));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        fields,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('List custom fields error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch custom fields',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/contacts/fields
+ * Create a custom field definition
+ */
+router.post('/', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { key, label, type, options, required = false, position } = req.body;
+
+    const validationErrors = validateFieldDefinition({ key, label, type, options, required });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+          details: validationErrors,
+        },
+      });
+    }
+
+    const { count } = await scopeFieldDefinitions(
+      supabase.from('custom_field_definitions').select('*', { count: 'exact', head: true }),
+      definitionOwner(req)
+    );
+
+    if (count >= MAX_CUSTOM_FIELDS) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'FIELD_LIMIT_EXCEEDED',
+          message: `Maximum ${MAX_CUSTOM_FIELDS} custom fields`,
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('custom_field_definitions')
+      .insert({
+        user_id: userId,
+        ...workspaceColumns(req),
+        key,
+        label: label.trim(),
+        type,
+        options: ['single_select', 'multi_select'].includes(type) ? options : null,
+        required,
+        position: position ?? count ?? 0,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Unique (workspace_id, key), or (user_id, key) outside a workspace
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'DUPLICATE_FIELD',
+            message: `A custom field with key '${key}' already exists`,
+          },
+        });
+      }
+      throw error;
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        field: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Create custom field error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create custom field',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/contacts/fields/:id
+ * Update a custom field definition (key and type cannot change)
+ */
+router.put('/:id', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { key, type, label, options, required, position } = req.body;
+
+    const { data: existing } = await scopeFieldDefinitions(
+      supabase.from('custom_field_definitions').select('*'),
+      definitionOwner(req)
+    )
+      .eq('id', id)
+      .single();
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Custom field not found',
+        },
+      });
+    }
+
+    // Stored values were validated against the original key and type
+    if ((key !== undefined && key !== existing.key) || (type !== undefined && type !== existing.type)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Key and type cannot be changed. Create a new field instead.',
+        },
+      });
+    }
+
+    const isSelect = ['single_select', 'multi_select'].includes(existing.type);
+    if (options !== undefined && !isSelect) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Only select fields have options',
+        },
+      });
+    }
+
+    const validationErrors = validateFieldDefinition({ label, options, required }, { partial: true });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+          details: validationErrors,
+        },
+      });
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (label !== undefined) updates.label = label.trim();
+    if (options !== undefined) updates.options = options;
+    if (required !== undefined) updates.required = required;
+    if (position !== undefined) updates.position = parseInt(position);
+
+    const { data, error } = await scopeFieldDefinitions(
+      supabase.from('custom_field_definitions').update(updates),
+      definitionOwner(req)
+    )
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        field: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Update custom field error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update custom field',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/contacts/fields/:id
+ * Delete a custom field definition and its values on contacts
+ */
+router.delete('/:id', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: field } = await scopeFieldDefinitions(
+      supabase.from('custom_field_definitions').select('id, key'),
+      definitionOwner(req)
+    )
+      .eq('id', id)
+      .single();
+
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Custom field not found',
+        },
+      });
+    }
+
+    // Strip the value from every contact that has one (including trashed contacts)
+    let cleaned = 0;
+    for (;;) {
+      const { data: contacts, error: fetchError } = await scopeToAccess(
+        supabase.from('contacts').select('id, custom_fields'),
+        req
+      )
+        .not(`custom_fields->${field.key}`, 'is', null)
+        .limit(CLEANUP_BATCH_SIZE);
+
+      if (fetchError) {
+        throw fetchError;
+      }
+
+      for (const contact of contacts) {
+        const { [field.key]: removed, ...remaining } = contact.custom_fields || {};
+        const { error: cleanupError } = await scopeToAccess(
+          supabase.from('contacts').update({ custom_fields: remaining }),
+          req
+        )
+          .eq('id', contact.id);
+
+        if (cleanupError) {
+          throw cleanupError;
+        }
+      }
+
+      cleaned += contacts.length;
+      if (contacts.length < CLEANUP_BATCH_SIZE) break;
+    }
+
+    const { error } = await scopeFieldDefinitions(
+      supabase.from('custom_field_definitions').delete(),
+      definitionOwner(req)
+    )
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        message: 'Custom field deleted successfully',
+        id: id,
+        contactsCleaned: cleaned,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Delete custom field error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete custom field',
+      },
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,257 @@
+/**
+ * Inbound Email Routes
+ * ResultMarketing CRM - Per-user BCC addresses and the inbound mail webhook
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission, getContactLimit } = require('../middleware/auth');
+const { getWorkspaceMembership } = require('../services/workspaces');
+const {
+  INBOUND_EMAIL_DOMAIN,
+  MAX_MESSAGE_BYTES,
+  getInboundSettings,
+  validateInboundSettings,
+  saveInboundSettings,
+  getInboundAddress,
+  rotateInboundAddress,
+  parseInboundEmail,
+  findInboundToken,
+  getUserByInboundToken,
+  logInboundEmail,
+} = require('../services/inboundEmail');
+
+/**
+ * Check the shared secret the mail provider sends with every webhook call
+ */
+function verifyInboundSecret(req, res, next) {
+  const expected = process.env.INBOUND_EMAIL_SECRET;
+
+  if (!expected) {
+    console.error('Inbound email webhook called but INBOUND_EMAIL_SECRET is not set');
+    return res.status(503).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'NOT_CONFIGURED',
+        message: 'Inbound email is not configured',
+      },
+    });
+  }
+
+  const provided = Buffer.from(String(req.headers['x-inbound-secret'] || ''));
+  const secret = Buffer.from(expected);
+
+  if (provided.length !== secret.length || !crypto.timingSafeEqual(provided, secret)) {
+    return res.status(401).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INVALID_SECRET',
+        message: 'Invalid inbound email secret',
+      },
+    });
+  }
+
+  next();
+}
+
+// ===========================================
+// WEBHOOK (called by the mail provider)
+// ===========================================
+
+/**
+ * POST /api/inbound-email/webhook
+ * Log a raw MIME message sent to a user's inbound address
+ * Body is the RFC 822 message; the SMTP recipient can be passed in X-Envelope-To
+ * (or ?recipient=) when the provider strips it from the headers
+ */
+router.post(
+  '/webhook',
+  // Checked before the body is read so unauthenticated callers can't make us buffer 25 MB
+  verifyInboundSecret,
+  express.raw({ type: ['message/rfc822', 'text/plain', 'application/octet-stream'], limit: MAX_MESSAGE_BYTES }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Request body must be a raw MIME message (Content-Type: message/rfc822)',
+          },
+        });
+      }
+
+      const parsed = await parseInboundEmail(req.body);
+      const envelopeRecipients = String(req.headers['x-envelope-to'] || req.query.recipient || '')
+        .split(',')
+        .map((r) => r.trim())
+        .filter(Boolean);
+
+      const token = findInboundToken(parsed, envelopeRecipients);
+      const profile = token ? await getUserByInboundToken(token) : null;
+
+      // Acknowledge mail for unknown addresses so the provider doesn't retry it
+      if (!profile) {
+        console.log('Inbound email not addressed to a known inbound address:', parsed.messageId || '(no Message-ID)');
+        return res.json({
+          success: true,
+          data: {
+            received: true,
+            logged: false,
+            reason: 'UNKNOWN_RECIPIENT',
+          },
+          error: null,
+        });
+      }
+
+      const membership = await getWorkspaceMembership(profile.id);
+      if (!membership.success) {
+        throw new Error(membership.error);
+      }
+
+      const result = await logInboundEmail(parsed, {
+        profile,
+        workspace: membership.workspace,
+        contactLimit: getContactLimit(profile),
+      });
+
+      return res.json({
+        success: true,
+        data: {
+          received: true,
+          logged: result.interactions.length > 0,
+          reason: result.duplicate ? 'DUPLICATE' : (result.interactions.length === 0 ? 'NO_MATCHING_CONTACTS' : null),
+          messageId: result.messageId,
+          direction: result.direction,
+          interactionIds: result.interactions.map((i) => i.id),
+          createdContactIds: result.createdContacts.map((c) => c.id),
+          unmatched: result.unmatched,
+          skippedAttachments: result.skippedAttachments,
+        },
+        error: null,
+      });
+    } catch (err) {
+      // 500 makes the provider retry; duplicates are skipped by Message-ID
+      console.error('Inbound email webhook error:', err);
+      return res.status(500).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to process inbound email',
+        },
+      });
+    }
+  }
+);
+
+// ===========================================
+// AUTHENTICATED ROUTES
+// ===========================================
+
+/**
+ * GET /api/inbound-email/address
+ * Get the caller's inbound address and settings (an address is issued on first use)
+ */
+router.get('/address', authenticateToken, requirePermission('interactions:write'), async (req, res) => {
+  try {
+    const address = await getInboundAddress(req.user.id, req.userProfile);
+
+    return res.json({
+      success: true,
+      data: {
+        address,
+        domain: INBOUND_EMAIL_DOMAIN,
+        settings: getInboundSettings(req.userProfile),
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Get inbound address error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to get inbound address',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/inbound-email/address/rotate
+ * Issue a new inbound address (mail to the old one is no longer logged)
+ */
+router.post('/address/rotate', authenticateToken, requirePermission('interactions:write'), async (req, res) => {
+  try {
+    const address = await rotateInboundAddress(req.user.id);
+
+    return res.json({
+      success: true,
+      data: {
+        address,
+        domain: INBOUND_EMAIL_DOMAIN,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Rotate inbound address error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to rotate inbound address',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/inbound-email/settings
+ * Update inbound settings, e.g. { createUnknownContacts: true } to add unknown senders as leads
+ */
+router.put('/settings', authenticateToken, requirePermission('interactions:write', 'contacts:write'), async (req, res) => {
+  try {
+    const validationErrors = validateInboundSettings(req.body);
+
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid inbound email settings',
+          details: validationErrors,
+        },
+      });
+    }
+
+    const settings = await saveInboundSettings(req.user.id, req.userProfile, req.body);
+
+    return res.json({
+      success: true,
+      data: {
+        settings,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Update inbound settings error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update inbound email settings',
+      },
+    });
+  }
+});
+
+module.exports = router;
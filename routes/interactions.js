@@ -5,25 +5,162 @@
 
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { supabase } = require('../services/supabase');
-const { authenticateToken } = require('../middleware/auth');
-
-// Valid interaction types
-const INTERACTION_TYPES = [
-  'call',
-  'email',
-  'meeting',
-  'whatsapp',
-  'sms',
-  'social',
-  'note',
-  'other',
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { uploadRateLimit } = require('../middleware/rateLimit');
+const { transcribeVoice, extractInteractionFromVoice } = require('../services/ai');
+const {
+  isCursorMode,
+  parsePageSize,
+  decodeCursor,
+  applyKeyset,
+  buildCursorPage,
+} = require('../utils/pagination');
+const { advanceLifecycle } = require('../services/lifecycle');
+const { scopeToAccess, workspaceColumns } = require('../services/workspaces');
+const {
+  INTERACTION_TYPES,
+  advanceLastInteraction,
+  refreshLastInteraction,
+  createFollowUpReminder,
+  syncFollowUpReminder,
+  cancelFollowUpReminders,
+} = require('../services/interactions');
+const {
+  STATS_INTERVALS,
+  validateDispositionSettings,
+  getDispositionCodes,
+  saveDispositionCodes,
+  validateDisposition,
+  summarizeDispositions,
+} = require('../services/dispositions');
+const {
+  ATTACHMENT_KINDS,
+  MAX_ATTACHMENT_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  MAX_ATTACHMENTS_PER_INTERACTION,
+  getAttachmentKind,
+  validateAttachment,
+  addAttachments,
+  getAttachments,
+  withDownloadUrls,
+  countAttachments,
+  deleteAttachments,
+} = require('../services/attachments');
+const {
+  VOICE_LANGUAGES,
+  malaysiaToday,
+  findContactMatches,
+  pickContact,
+  buildVoiceDraft,
+} = require('../services/voiceNotes');
+
+// Rows fetched per request when loading interactions for stats (the API caps a select at 1000)
+const STATS_PAGE_SIZE = 1000;
+
+// Fields a client can change with PUT /api/interactions/:id
+const UPDATABLE_FIELDS = [
+  'type',
+  'disposition',
+  'notes',
+  'outcome',
+  'duration_minutes',
+  'interaction_date',
+  'follow_up_date',
+  'metadata',
 ];
 
+// Configure multer for attachments (per-kind size limits are checked after upload)
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_BYTES,
+    files: MAX_FILES_PER_UPLOAD,
+  },
+  fileFilter: (req, file, cb) => {
+    if (getAttachmentKind(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Attach photos, PDF/Office documents or voice notes.'));
+    }
+  },
+});
+
+const voiceNoteUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: ATTACHMENT_KINDS.voice_note.maxBytes,
+  },
+  fileFilter: (req, file, cb) => {
+    if (getAttachmentKind(file.mimetype) === 'voice_note') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Upload an audio recording (MP3, M4A, AAC, OGG, WebM or WAV).'));
+    }
+  },
+});
+
+/**
+ * Wrap a multer handler so rejected files get a 400/413 response
+ */
+function handleUpload(parse, maxBytes) {
+  return (req, res, next) => {
+    parse(req, res, (err) => {
+      if (!err) return next();
+
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        data: null,
+        error: {
+          code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_FILE',
+          message: tooLarge
+            ? `Files can be at most ${maxBytes / (1024 * 1024)}MB`
+            : err.message,
+        },
+      });
+    });
+  };
+}
+
+// Multipart attachments (field "files") and voice notes (field "audio")
+const uploadAttachments = handleUpload(
+  attachmentUpload.array('files', MAX_FILES_PER_UPLOAD),
+  MAX_ATTACHMENT_BYTES
+);
+const uploadVoiceNote = handleUpload(
+  voiceNoteUpload.single('audio'),
+  ATTACHMENT_KINDS.voice_note.maxBytes
+);
+
+/**
+ * Validate interaction and follow-up dates (only the ones present)
+ * @param {object} data - { interaction_date, follow_up_date }
+ * @returns {Array<string>} Validation errors
+ */
+function validateInteractionDates(data) {
+  const errors = [];
+  const isDate = (value) => typeof value === 'string' && !isNaN(new Date(value).getTime());
+
+  if (data.interaction_date !== undefined && !isDate(data.interaction_date)) {
+    errors.push('Invalid interaction date');
+  }
+
+  if (data.follow_up_date !== undefined && data.follow_up_date !== null && !isDate(data.follow_up_date)) {
+    errors.push('Invalid follow-up date');
+  }
+
+  return errors;
+}
+
 /**
  * Validate interaction data
+ * @param {object} data - Interaction fields
+ * @param {object} dispositionCodes - From getDispositionCodes
  */
-function validateInteraction(data) {
+function validateInteraction(data, dispositionCodes) {
   const errors = [];
 
   if (!data.contact_id) {
@@ -34,10 +171,15 @@ function validateInteraction(data) {
     errors.push(`Type must be one of: ${INTERACTION_TYPES.join(', ')}`);
   }
 
-  if (data.interaction_date) {
-    const date = new Date(data.interaction_date);
-    if (isNaN(date.getTime())) {
-      errors.push('Invalid interaction date');
+  errors.push(...validateInteractionDates({
+    interaction_date: data.interaction_date || undefined,
+    follow_up_date: data.follow_up_date || undefined,
+  }));
+
+  if (INTERACTION_TYPES.includes(data.type)) {
+    const dispositionError = validateDisposition(dispositionCodes, data.type, data.disposition);
+    if (dispositionError) {
+      errors.push(dispositionError);
     }
   }
 
@@ -48,32 +190,55 @@ function validateInteraction(data) {
  * GET /api/interactions
  * List interactions with pagination
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('interactions:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const {
       page = 1,
       limit = 50,
       contact_id,
       type,
+      disposition,
       startDate,
       endDate,
       sort = 'interaction_date',
       order = 'desc',
+      owner,
+      cursor,
     } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    let query = supabase
-      .from('interactions')
-      .select(
-        `
-        *,
-        contacts!inner(id, name, company, phone, email)
-      `,
-        { count: 'exact' }
-      )
-      .eq('user_id', userId);
+    const validSorts = ['interaction_date', 'created_at', 'updated_at', 'type'];
+    const sortField = validSorts.includes(sort) ? sort : 'interaction_date';
+    const ascending = order.toLowerCase() === 'asc';
+
+    const cursorMode = isCursorMode(req.query);
+    const after = cursor ? decodeCursor(cursor, sortField) : null;
+
+    if (cursorMode && cursor && !after) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_CURSOR',
+          message: 'Invalid cursor for this sort order',
+        },
+      });
+    }
+
+    let query = scopeToAccess(
+      supabase
+        .from('interactions')
+        .select(
+          `
+          *,
+          contacts!inner(id, name, company, phone, email)
+        `,
+          cursorMode ? undefined : { count: 'exact' }
+        ),
+      req,
+      { ownerId: owner }
+    ).is('deleted_at', null);
 
     // Apply filters
     if (contact_id) {
@@ -82,6 +247,9 @@ router.get('/', authenticateToken, async (req, res) => {
     if (type) {
       query = query.eq('type', type);
     }
+    if (disposition) {
+      query = query.eq('disposition', disposition);
+    }
     if (startDate) {
       query = query.gte('interaction_date', startDate);
     }
@@ -89,10 +257,33 @@ router.get('/', authenticateToken, async (req, res) => {
       query = query.lte('interaction_date', endDate);
     }
 
+    if (cursorMode) {
+      const pageSize = parsePageSize(limit);
+      const { data, error } = await applyKeyset(query, { sortField, ascending, after, limit: pageSize });
+
+      if (error) {
+        throw error;
+      }
+
+      const { items, nextCursor, hasMore } = buildCursorPage(data, pageSize, sortField);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          interactions: items,
+          pagination: {
+            limit: pageSize,
+            nextCursor,
+            hasMore,
+          },
+        },
+        error: null,
+      });
+    }
+
     // Apply sorting
-    const ascending = order.toLowerCase() === 'asc';
     query = query
-      .order(sort, { ascending })
+      .order(sortField, { ascending })
       .range(offset, offset + parseInt(limit) - 1);
 
     const { data, error, count } = await query;
@@ -131,20 +322,22 @@ router.get('/', authenticateToken, async (req, res) => {
  * GET /api/interactions/recent
  * Get recent interactions
  */
-router.get('/recent', authenticateToken, async (req, res) => {
+router.get('/recent', authenticateToken, requirePermission('interactions:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { limit = 10 } = req.query;
 
-    const { data, error } = await supabase
-      .from('interactions')
-      .select(
+    const { data, error } = await scopeToAccess(
+      supabase
+        .from('interactions')
+        .select(
+          `
+          *,
+          contacts(id, name, company, phone)
         `
-        *,
-        contacts(id, name, company, phone)
-      `
-      )
-      .eq('user_id', userId)
+        ),
+      req
+    )
+      .is('deleted_at', null)
       .order('interaction_date', { ascending: false })
       .limit(parseInt(limit));
 
@@ -174,50 +367,70 @@ router.get('/recent', authenticateToken, async (req, res) => {
 
 /**
  * GET /api/interactions/stats
- * Get interaction statistics
+ * Get interaction statistics, with disposition breakdown and connect rates per
+ * interaction type (overall, per rep and per interval: day, week or month)
  */
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('interactions:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { period = '30' } = req.query;
+    const { period = '30', interval = 'week' } = req.query;
+
+    if (!STATS_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Interval must be one of: ${STATS_INTERVALS.join(', ')}`,
+        },
+      });
+    }
 
     const daysAgo = new Date();
     daysAgo.setDate(daysAgo.getDate() - parseInt(period));
 
     // Get total count
-    const { count: totalCount } = await supabase
-      .from('interactions')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+    const { count: totalCount } = await scopeToAccess(
+      supabase.from('interactions').select('*', { count: 'exact', head: true }),
+      req
+    ).is('deleted_at', null);
 
-    // Get counts by type
-    const { data: typeData } = await supabase
-      .from('interactions')
-      .select('type')
-      .eq('user_id', userId)
-      .gte('interaction_date', daysAgo.toISOString());
+    // Load the period's interactions page by page
+    const typeData = [];
+    for (let offset = 0; ; offset += STATS_PAGE_SIZE) {
+      const { data, error } = await scopeToAccess(
+        supabase.from('interactions').select('id, type, disposition, user_id, interaction_date'),
+        req
+      )
+        .is('deleted_at', null)
+        .gte('interaction_date', daysAgo.toISOString())
+        .order('interaction_date', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + STATS_PAGE_SIZE - 1);
+
+      if (error) {
+        throw error;
+      }
 
-    const typeStats = typeData?.reduce((acc, item) => {
+      typeData.push(...data);
+      if (data.length < STATS_PAGE_SIZE) break;
+    }
+
+    // Counts by type and by day
+    const typeStats = typeData.reduce((acc, item) => {
       acc[item.type] = (acc[item.type] || 0) + 1;
       return acc;
     }, {});
 
-    // Get daily counts for the period
-    const { data: dailyData } = await supabase
-      .from('interactions')
-      .select('interaction_date')
-      .eq('user_id', userId)
-      .gte('interaction_date', daysAgo.toISOString())
-      .order('interaction_date', { ascending: true });
-
-    const dailyStats = dailyData?.reduce((acc, item) => {
+    const dailyStats = typeData.reduce((acc, item) => {
       const date = item.interaction_date.split('T')[0];
       acc[date] = (acc[date] || 0) + 1;
       return acc;
     }, {});
 
     // Recent period count
-    const recentCount = typeData?.length || 0;
+    const recentCount = typeData.length;
+
+    const dispositions = summarizeDispositions(typeData, await getDispositionCodes(req), interval);
 
     return res.status(200).json({
       success: true,
@@ -225,9 +438,14 @@ router.get('/stats', authenticateToken, async (req, res) => {
         total: totalCount || 0,
         period: parseInt(period),
         recentCount,
-        byType: typeStats || {},
-        byDay: dailyStats || {},
+        byType: typeStats,
+        byDay: dailyStats,
         averagePerDay: recentCount / parseInt(period),
+        byDisposition: dispositions.byDisposition,
+        connectRate: {
+          interval,
+          byType: dispositions.connectRates,
+        },
       },
       error: null,
     });
@@ -244,25 +462,96 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/interactions/dispositions
+ * Get the disposition codes for each interaction type
+ */
+router.get('/dispositions', authenticateToken, requirePermission('interactions:read'), async (req, res) => {
+  try {
+    const dispositions = await getDispositionCodes(req);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        dispositions,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Get dispositions error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch dispositions',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/interactions/dispositions
+ * Configure disposition codes per interaction type (shared by the workspace)
+ * Body: { call: [{ code, label, connected }], meeting: null } - null restores the defaults
+ */
+router.put('/dispositions', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const validationErrors = validateDispositionSettings(req.body, INTERACTION_TYPES);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+        },
+      });
+    }
+
+    const dispositions = await saveDispositionCodes(req, req.body);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        dispositions,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Update dispositions error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update dispositions',
+      },
+    });
+  }
+});
+
 /**
  * GET /api/interactions/:id
  * Get single interaction
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('interactions:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
 
-    const { data, error } = await supabase
-      .from('interactions')
-      .select(
+    const { data, error } = await scopeToAccess(
+      supabase
+        .from('interactions')
+        .select(
+          `
+          *,
+          contacts(id, name, company, phone, email)
         `
-        *,
-        contacts(id, name, company, phone, email)
-      `
-      )
+        ),
+      req
+    )
       .eq('id', id)
-      .eq('user_id', userId)
+      .is('deleted_at', null)
       .single();
 
     if (error) {
@@ -279,10 +568,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
       throw error;
     }
 
+    const attachments = await getAttachments(id);
+
     return res.status(200).json({
       success: true,
       data: {
-        interaction: data,
+        interaction: { ...data, attachments },
       },
       error: null,
     });
@@ -303,12 +594,13 @@ router.get('/:id', authenticateToken, async (req, res) => {
  * POST /api/interactions
  * Log new interaction
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('interactions:write'), async (req, res) => {
   try {
     const userId = req.user.id;
     const {
       contact_id,
       type,
+      disposition,
       notes,
       outcome,
       duration_minutes,
@@ -318,7 +610,10 @@ router.post('/', authenticateToken, async (req, res) => {
     } = req.body;
 
     // Validate input
-    const validationErrors = validateInteraction({ contact_id, type, interaction_date });
+    const validationErrors = validateInteraction(
+      { contact_id, type, interaction_date, follow_up_date, disposition },
+      await getDispositionCodes(req)
+    );
     if (validationErrors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -330,12 +625,13 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    // Verify contact ownership
-    const { data: contact, error: contactError } = await supabase
-      .from('contacts')
-      .select('id, name')
+    // Verify contact access
+    const { data: contact, error: contactError } = await scopeToAccess(
+      supabase.from('contacts').select('id, name'),
+      req
+    )
       .eq('id', contact_id)
-      .eq('user_id', userId)
+      .is('deleted_at', null)
       .single();
 
     if (contactError || !contact) {
@@ -354,8 +650,10 @@ router.post('/', authenticateToken, async (req, res) => {
       .from('interactions')
       .insert({
         user_id: userId,
+        ...workspaceColumns(req),
         contact_id,
         type,
+        disposition: disposition || null,
         notes: notes?.trim() || null,
         outcome: outcome?.trim() || null,
         duration_minutes: duration_minutes || null,
@@ -370,30 +668,25 @@ router.post('/', authenticateToken, async (req, res) => {
       throw error;
     }
 
-    // Update contact's last_interaction timestamp
-    await supabase
-      .from('contacts')
-      .update({ last_interaction: data.interaction_date })
-      .eq('id', contact_id);
+    // Update contact's last_interaction timestamp (a backdated interaction doesn't move it back)
+    await advanceLastInteraction(contact_id, data.interaction_date);
 
-    // Create follow-up reminder if date provided
-    if (follow_up_date) {
-      await supabase.from('reminders').insert({
-        user_id: userId,
-        contact_id,
-        title: `Follow up with ${contact.name}`,
-        description: `Follow up after ${type}: ${notes || 'No notes'}`,
-        due_date: follow_up_date,
-        type: 'follow_up',
-        priority: 'medium',
-        status: 'pending',
-      });
-    }
+    // Lead -> Prospect on first interaction, Dormant contacts are reactivated
+    const lifecycleTransition = await advanceLifecycle(contact_id, 'interaction', {
+      interactionId: data.id,
+    });
+
+    // Create follow-up reminder if date provided (linked so edits and deletes keep it in step)
+    const followUpReminder = data.follow_up_date
+      ? await createFollowUpReminder(data, contact.name)
+      : null;
 
     return res.status(201).json({
       success: true,
       data: {
         interaction: data,
+        lifecycleTransition,
+        followUpReminder,
       },
       error: null,
     });
@@ -410,18 +703,192 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/interactions/voice
+ * Transcribe a voice note (Bahasa Malaysia or English) and draft an interaction from it
+ * Multipart field "audio"; optional contact_id and language ('ms' or 'en', detected otherwise)
+ * Returns drafts for the rep to confirm - nothing is saved
+ */
+router.post(
+  '/voice',
+  authenticateToken,
+  requirePermission('interactions:write'),
+  uploadRateLimit,
+  uploadVoiceNote,
+  async (req, res) => {
+    try {
+      const { contact_id, language } = req.body;
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NO_FILE',
+            message: 'No audio file uploaded',
+          },
+        });
+      }
+
+      if (language && !VOICE_LANGUAGES.includes(language)) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `Language must be one of: ${VOICE_LANGUAGES.join(', ')}`,
+          },
+        });
+      }
+
+      // The rep may have opened the voice note from a contact page
+      let contact = null;
+      if (contact_id) {
+        const { data } = await scopeToAccess(
+          supabase.from('contacts').select('id, name, company, position, phone'),
+          req
+        )
+          .eq('id', contact_id)
+          .is('deleted_at', null)
+          .single();
+
+        if (!data) {
+          return res.status(404).json({
+            success: false,
+            data: null,
+            error: {
+              code: 'CONTACT_NOT_FOUND',
+              message: 'Contact not found',
+            },
+          });
+        }
+        contact = data;
+      }
+
+      const transcription = await transcribeVoice(req.file.buffer, {
+        fileName: req.file.originalname,
+        language,
+      });
+
+      if (!transcription.success) {
+        return res.status(500).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'AI_ERROR',
+            message: transcription.error || 'Failed to transcribe voice note',
+          },
+        });
+      }
+
+      if (!transcription.text?.trim()) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NO_SPEECH',
+            message: 'No speech was detected in the recording',
+          },
+        });
+      }
+
+      const dispositions = await getDispositionCodes(req);
+      const result = await extractInteractionFromVoice(transcription.text, {
+        interactionTypes: INTERACTION_TYPES,
+        dispositions,
+        today: malaysiaToday(),
+      });
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'AI_ERROR',
+            message: result.error || 'Failed to read the voice note',
+          },
+        });
+      }
+
+      const contactMatches = contact ? [] : await findContactMatches(req, result.extraction);
+      const matched = contact || pickContact(contactMatches);
+
+      const draft = buildVoiceDraft(result.extraction, {
+        contact: matched,
+        transcription,
+        interactionTypes: INTERACTION_TYPES,
+        dispositions,
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          transcript: {
+            text: transcription.text,
+            language: transcription.language || null,
+            durationSeconds: transcription.duration || null,
+          },
+          draft,
+          contact: matched,
+          contactMatches,
+          spokenContact: {
+            name: result.extraction.contactName || null,
+            company: result.extraction.company || null,
+          },
+          confidence: result.extraction.confidence ?? null,
+        },
+        error: null,
+      });
+    } catch (err) {
+      console.error('Voice note error:', err);
+      return res.status(500).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to process voice note',
+        },
+      });
+    }
+  }
+);
+
 /**
  * PUT /api/interactions/:id
  * Update interaction
+ * Changing interaction_date recomputes the contact's last_interaction; changing
+ * follow_up_date moves, creates or (when cleared) cancels the linked follow-up reminder
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('interactions:write'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
-    const updates = req.body;
+
+    // Only whitelisted fields - deleted_at, owner and contact can't be changed here
+    const updates = UPDATABLE_FIELDS.reduce((acc, field) => {
+      if (req.body[field] !== undefined) {
+        acc[field] = req.body[field];
+      }
+      return acc;
+    }, {});
+
+    if (updates.follow_up_date === '') {
+      updates.follow_up_date = null;
+    }
+
+    const dateErrors = validateInteractionDates(updates);
+    if (dateErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: dateErrors.join(', '),
+        },
+      });
+    }
 
     // Validate type if being updated
-    if (updates.type && !INTERACTION_TYPES.includes(updates.type)) {
+    if (updates.type !== undefined && !INTERACTION_TYPES.includes(updates.type)) {
       return res.status(400).json({
         success: false,
         data: null,
@@ -432,19 +899,45 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Remove fields that shouldn't be updated
-    delete updates.id;
-    delete updates.user_id;
-    delete updates.contact_id;
-    delete updates.created_at;
+    // Check the disposition against the resulting type
+    if (updates.type !== undefined || updates.disposition !== undefined) {
+      const { data: current } = await scopeToAccess(supabase.from('interactions').select('type, disposition'), req)
+        .eq('id', id)
+        .is('deleted_at', null)
+        .single();
+
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Interaction not found',
+          },
+        });
+      }
+
+      const type = updates.type || current.type;
+      const disposition = updates.disposition !== undefined ? updates.disposition : current.disposition;
+      const dispositionError = validateDisposition(await getDispositionCodes(req), type, disposition || null);
+
+      if (dispositionError) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: dispositionError,
+          },
+        });
+      }
+    }
 
     updates.updated_at = new Date().toISOString();
 
-    const { data, error } = await supabase
-      .from('interactions')
-      .update(updates)
+    const { data, error } = await scopeToAccess(supabase.from('interactions').update(updates), req)
       .eq('id', id)
-      .eq('user_id', userId)
+      .is('deleted_at', null)
       .select()
       .single();
 
@@ -462,10 +955,20 @@ router.put('/:id', authenticateToken, async (req, res) => {
       throw error;
     }
 
+    if (updates.interaction_date !== undefined) {
+      await refreshLastInteraction(data.contact_id);
+    }
+
+    // The reminder's due date and description follow the interaction
+    const followUpReminder = ['follow_up_date', 'type', 'notes'].some((field) => updates[field] !== undefined)
+      ? await syncFollowUpReminder(data)
+      : null;
+
     return res.status(200).json({
       success: true,
       data: {
         interaction: data,
+        followUpReminder,
       },
       error: null,
     });
@@ -482,25 +985,244 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/interactions/:id/attachments
+ * List an interaction's attachments with signed download URLs
+ */
+router.get('/:id/attachments', authenticateToken, requirePermission('interactions:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: interaction } = await scopeToAccess(supabase.from('interactions').select('id'), req)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+
+    if (!interaction) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Interaction not found',
+        },
+      });
+    }
+
+    const attachments = await getAttachments(id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        attachments,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('List attachments error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch attachments',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/interactions/:id/attachments
+ * Attach photos, documents or voice notes (multipart field "files")
+ */
+router.post(
+  '/:id/attachments',
+  authenticateToken,
+  requirePermission('interactions:write'),
+  uploadRateLimit,
+  uploadAttachments,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const files = req.files || [];
+
+      if (files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NO_FILE',
+            message: 'No files uploaded',
+          },
+        });
+      }
+
+      const fileErrors = files.map(validateAttachment).filter(Boolean);
+      if (fileErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'INVALID_FILE',
+            message: fileErrors.join(', '),
+          },
+        });
+      }
+
+      const { data: interaction } = await scopeToAccess(
+        supabase.from('interactions').select('id, user_id, workspace_id'),
+        req
+      )
+        .eq('id', id)
+        .is('deleted_at', null)
+        .single();
+
+      if (!interaction) {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Interaction not found',
+          },
+        });
+      }
+
+      const existing = await countAttachments(id);
+      if (existing + files.length > MAX_ATTACHMENTS_PER_INTERACTION) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'ATTACHMENT_LIMIT_REACHED',
+            message: `An interaction can have at most ${MAX_ATTACHMENTS_PER_INTERACTION} attachments`,
+          },
+        });
+      }
+
+      const added = await addAttachments(interaction, files, req.user.id);
+
+      return res.status(201).json({
+        success: true,
+        data: {
+          attachments: await withDownloadUrls(added),
+        },
+        error: null,
+      });
+    } catch (err) {
+      console.error('Upload attachments error:', err);
+      return res.status(500).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to upload attachments',
+        },
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/interactions/:id/attachments/:attachmentId
+ * Remove an attachment and its file
+ */
+router.delete(
+  '/:id/attachments/:attachmentId',
+  authenticateToken,
+  requirePermission('interactions:write'),
+  async (req, res) => {
+    try {
+      const { id, attachmentId } = req.params;
+
+      const { data: interaction } = await scopeToAccess(supabase.from('interactions').select('id'), req)
+        .eq('id', id)
+        .is('deleted_at', null)
+        .single();
+
+      const { data: attachment } = interaction
+        ? await supabase
+          .from('interaction_attachments')
+          .select('id')
+          .eq('id', attachmentId)
+          .eq('interaction_id', id)
+          .single()
+        : { data: null };
+
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Attachment not found',
+          },
+        });
+      }
+
+      const result = await deleteAttachments({ ids: [attachmentId] });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          message: 'Attachment deleted successfully',
+          id: attachmentId,
+        },
+        error: null,
+      });
+    } catch (err) {
+      console.error('Delete attachment error:', err);
+      return res.status(500).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to delete attachment',
+        },
+      });
+    }
+  }
+);
+
 /**
  * DELETE /api/interactions/:id
  * Delete interaction
+ * Its open follow-up reminder is cancelled and the contact's last_interaction recomputed
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('interactions:delete'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
 
-    const { error } = await supabase
-      .from('interactions')
-      .delete()
+    const { data: existing } = await scopeToAccess(supabase.from('interactions').select('id'), req)
       .eq('id', id)
-      .eq('user_id', userId);
+      .single();
+
+    if (existing) {
+      // Before the delete unlinks the reminder
+      await cancelFollowUpReminders([id]);
+
+      // Files first - once the rows are gone their storage paths are lost
+      const attachments = await deleteAttachments({ interactionIds: [id] });
+      if (!attachments.success) {
+        throw new Error(attachments.error);
+      }
+    }
+
+    const { data, error } = await scopeToAccess(supabase.from('interactions').delete(), req)
+      .eq('id', id)
+      .select('id, contact_id');
 
     if (error) {
       throw error;
     }
 
+    if (data.length > 0) {
+      await refreshLastInteraction(data[0].contact_id);
+    }
+
     return res.status(200).json({
       success: true,
       data: {
@@ -6,7 +6,16 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../services/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  isCursorMode,
+  parsePageSize,
+  decodeCursor,
+  applyKeyset,
+  buildCursorPage,
+} = require('../utils/pagination');
+const { advanceLifecycle } = require('../services/lifecycle');
+const { scopeToAccess, workspaceColumns } = require('../services/workspaces');
 
 // Pipeline stages
 const STAGES = [
@@ -53,13 +62,38 @@ function validateOpportunity(data) {
   return errors;
 }
 
+/**
+ * Record a stage change for the contact timeline (never throws)
+ * @param {object} opportunity - Opportunity after the change
+ * @param {string|null} fromStage - Previous stage (null for new opportunities)
+ * @param {string} actorId - User who made the change
+ */
+async function recordStageChange(opportunity, fromStage, actorId) {
+  try {
+    const { error } = await supabase.from('opportunity_stage_changes').insert({
+      user_id: opportunity.user_id,
+      workspace_id: opportunity.workspace_id || null,
+      opportunity_id: opportunity.id,
+      contact_id: opportunity.contact_id,
+      from_stage: fromStage,
+      to_stage: opportunity.stage,
+      actor_id: actorId,
+    });
+
+    if (error) {
+      console.error('Record stage change error:', error);
+    }
+  } catch (err) {
+    console.error('Record stage change error:', err);
+  }
+}
+
 /**
  * GET /api/opportunities
  * List opportunities with filtering
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('opportunities:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const {
       page = 1,
       limit = 50,
@@ -70,20 +104,43 @@ router.get('/', authenticateToken, async (req, res) => {
       maxValue,
       sort = 'created_at',
       order = 'desc',
+      owner,
+      cursor,
     } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    let query = supabase
-      .from('opportunities')
-      .select(
-        `
-        *,
-        contacts(id, name, company, phone)
-      `,
-        { count: 'exact' }
-      )
-      .eq('user_id', userId);
+    const validSorts = ['created_at', 'updated_at', 'value', 'expected_close_date', 'stage', 'title'];
+    const sortField = validSorts.includes(sort) ? sort : 'created_at';
+    const ascending = order.toLowerCase() === 'asc';
+
+    const cursorMode = isCursorMode(req.query);
+    const after = cursor ? decodeCursor(cursor, sortField) : null;
+
+    if (cursorMode && cursor && !after) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_CURSOR',
+          message: 'Invalid cursor for this sort order',
+        },
+      });
+    }
+
+    let query = scopeToAccess(
+      supabase
+        .from('opportunities')
+        .select(
+          `
+          *,
+          contacts(id, name, company, phone)
+        `,
+          cursorMode ? undefined : { count: 'exact' }
+        ),
+      req,
+      { ownerId: owner }
+    );
 
     // Apply filters
     if (stage) {
@@ -102,10 +159,33 @@ router.get('/', authenticateToken, async (req, res) => {
       query = query.lte('value', parseFloat(maxValue));
     }
 
+    if (cursorMode) {
+      const pageSize = parsePageSize(limit);
+      const { data, error } = await applyKeyset(query, { sortField, ascending, after, limit: pageSize });
+
+      if (error) {
+        throw error;
+      }
+
+      const { items, nextCursor, hasMore } = buildCursorPage(data, pageSize, sortField);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          opportunities: items,
+          pagination: {
+            limit: pageSize,
+            nextCursor,
+            hasMore,
+          },
+        },
+        error: null,
+      });
+    }
+
     // Apply sorting
-    const ascending = order.toLowerCase() === 'asc';
     query = query
-      .order(sort, { ascending })
+      .order(sortField, { ascending })
       .range(offset, offset + parseInt(limit) - 1);
 
     const { data, error, count } = await query;
@@ -144,15 +224,13 @@ router.get('/', authenticateToken, async (req, res) => {
  * GET /api/opportunities/stats
  * Get pipeline statistics
  */
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('opportunities:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
-
     // Get all active opportunities
-    const { data: opportunities } = await supabase
-      .from('opportunities')
-      .select('stage, status, value, probability')
-      .eq('user_id', userId);
+    const { data: opportunities } = await scopeToAccess(
+      supabase.from('opportunities').select('stage, status, value, probability'),
+      req
+    );
 
     if (!opportunities) {
       return res.status(200).json({
@@ -207,10 +285,10 @@ router.get('/stats', authenticateToken, async (req, res) => {
     const sixMonthsAgo = new Date();
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
 
-    const { data: monthlyData } = await supabase
-      .from('opportunities')
-      .select('created_at, value, status')
-      .eq('user_id', userId)
+    const { data: monthlyData } = await scopeToAccess(
+      supabase.from('opportunities').select('created_at, value, status'),
+      req
+    )
       .gte('created_at', sixMonthsAgo.toISOString());
 
     const monthlyStats = monthlyData?.reduce((acc, opp) => {
@@ -258,19 +336,19 @@ router.get('/stats', authenticateToken, async (req, res) => {
  * GET /api/opportunities/pipeline
  * Get opportunities organized by pipeline stage
  */
-router.get('/pipeline', authenticateToken, async (req, res) => {
+router.get('/pipeline', authenticateToken, requirePermission('opportunities:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    const { data, error } = await supabase
-      .from('opportunities')
-      .select(
+    const { data, error } = await scopeToAccess(
+      supabase
+        .from('opportunities')
+        .select(
+          `
+          *,
+          contacts(id, name, company)
         `
-        *,
-        contacts(id, name, company)
-      `
-      )
-      .eq('user_id', userId)
+        ),
+      req
+    )
       .eq('status', 'active')
       .order('value', { ascending: false });
 
@@ -320,21 +398,22 @@ router.get('/pipeline', authenticateToken, async (req, res) => {
  * GET /api/opportunities/:id
  * Get single opportunity
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('opportunities:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
 
-    const { data, error } = await supabase
-      .from('opportunities')
-      .select(
+    const { data, error } = await scopeToAccess(
+      supabase
+        .from('opportunities')
+        .select(
+          `
+          *,
+          contacts(id, name, company, phone, email)
         `
-        *,
-        contacts(id, name, company, phone, email)
-      `
-      )
+        ),
+      req
+    )
       .eq('id', id)
-      .eq('user_id', userId)
       .single();
 
     if (error) {
@@ -375,7 +454,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
  * POST /api/opportunities
  * Create new opportunity
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('opportunities:write'), async (req, res) => {
   try {
     const userId = req.user.id;
     const {
@@ -413,11 +492,9 @@ router.post('/', authenticateToken, async (req, res) => {
 
     // Verify contact if provided
     if (contact_id) {
-      const { data: contact } = await supabase
-        .from('contacts')
-        .select('id')
+      const { data: contact } = await scopeToAccess(supabase.from('contacts').select('id'), req)
         .eq('id', contact_id)
-        .eq('user_id', userId)
+        .is('deleted_at', null)
         .single();
 
       if (!contact) {
@@ -437,6 +514,7 @@ router.post('/', authenticateToken, async (req, res) => {
       .from('opportunities')
       .insert({
         user_id: userId,
+        ...workspaceColumns(req),
         title: title.trim(),
         contact_id: contact_id || null,
         value: value || 0,
@@ -456,10 +534,17 @@ router.post('/', authenticateToken, async (req, res) => {
       throw error;
     }
 
+    await recordStageChange(data, null, userId);
+
+    const lifecycleTransition = data.stage === 'closed_won' && data.contact_id
+      ? await advanceLifecycle(data.contact_id, 'deal_won', { opportunityId: data.id })
+      : null;
+
     return res.status(201).json({
       success: true,
       data: {
         opportunity: data,
+        lifecycleTransition,
       },
       error: null,
     });
@@ -480,9 +565,8 @@ router.post('/', authenticateToken, async (req, res) => {
  * PUT /api/opportunities/:id
  * Update opportunity
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('opportunities:write'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
     const updates = req.body;
 
@@ -500,11 +584,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
     }
 
     // Get current opportunity for stage change tracking
-    const { data: current } = await supabase
-      .from('opportunities')
-      .select('stage, status')
+    const { data: current } = await scopeToAccess(supabase.from('opportunities').select('stage, status'), req)
       .eq('id', id)
-      .eq('user_id', userId)
       .single();
 
     if (!current) {
@@ -521,6 +602,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
     // Remove fields that shouldn't be updated
     delete updates.id;
     delete updates.user_id;
+    delete updates.workspace_id;
     delete updates.created_at;
 
     updates.updated_at = new Date().toISOString();
@@ -541,11 +623,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
       updates.closed_at = new Date().toISOString();
     }
 
-    const { data, error } = await supabase
-      .from('opportunities')
-      .update(updates)
+    const { data, error } = await scopeToAccess(supabase.from('opportunities').update(updates), req)
       .eq('id', id)
-      .eq('user_id', userId)
       .select()
       .single();
 
@@ -553,11 +632,20 @@ router.put('/:id', authenticateToken, async (req, res) => {
       throw error;
     }
 
+    if (data.stage !== current.stage) {
+      await recordStageChange(data, current.stage, req.user.id);
+    }
+
+    const lifecycleTransition = data.stage === 'closed_won' && current.stage !== 'closed_won' && data.contact_id
+      ? await advanceLifecycle(data.contact_id, 'deal_won', { opportunityId: id })
+      : null;
+
     return res.status(200).json({
       success: true,
       data: {
         opportunity: data,
         stageChanged: current.stage !== data.stage,
+        lifecycleTransition,
       },
       error: null,
     });
@@ -578,9 +666,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
  * PUT /api/opportunities/:id/stage
  * Update opportunity stage (drag & drop in pipeline)
  */
-router.put('/:id/stage', authenticateToken, async (req, res) => {
+router.put('/:id/stage', authenticateToken, requirePermission('opportunities:write'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
     const { stage } = req.body;
 
@@ -595,6 +682,21 @@ router.put('/:id/stage', authenticateToken, async (req, res) => {
       });
     }
 
+    const { data: current } = await scopeToAccess(supabase.from('opportunities').select('stage'), req)
+      .eq('id', id)
+      .single();
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Opportunity not found',
+        },
+      });
+    }
+
     const updates = {
       stage,
       stage_changed_at: new Date().toISOString(),
@@ -621,11 +723,8 @@ router.put('/:id/stage', authenticateToken, async (req, res) => {
       updates.probability = stageProbabilities[stage] || updates.probability;
     }
 
-    const { data, error } = await supabase
-      .from('opportunities')
-      .update(updates)
+    const { data, error } = await scopeToAccess(supabase.from('opportunities').update(updates), req)
       .eq('id', id)
-      .eq('user_id', userId)
       .select()
       .single();
 
@@ -633,10 +732,20 @@ router.put('/:id/stage', authenticateToken, async (req, res) => {
       throw error;
     }
 
+    if (data.stage !== current.stage) {
+      await recordStageChange(data, current.stage, req.user.id);
+    }
+
+    // Closing a deal makes the contact a (repeat) customer
+    const lifecycleTransition = stage === 'closed_won' && current.stage !== 'closed_won' && data.contact_id
+      ? await advanceLifecycle(data.contact_id, 'deal_won', { opportunityId: id })
+      : null;
+
     return res.status(200).json({
       success: true,
       data: {
         opportunity: data,
+        lifecycleTransition,
       },
       error: null,
     });
@@ -657,16 +766,12 @@ router.put('/:id/stage', authenticateToken, async (req, res) => {
  * DELETE /api/opportunities/:id
  * Delete opportunity
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('opportunities:delete'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
 
-    const { error } = await supabase
-      .from('opportunities')
-      .delete()
-      .eq('id', id)
-      .eq('user_id', userId);
+    const { error } = await scopeToAccess(supabase.from('opportunities').delete(), req)
+      .eq('id', id);
 
     if (error) {
       throw error;
@@ -6,7 +6,16 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../services/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  isCursorMode,
+  parsePageSize,
+  decodeCursor,
+  applyKeyset,
+  buildCursorPage,
+} = require('../utils/pagination');
+const { getContactList, countListMembers, getListMembers } = require('../services/contactLists');
+const { scopeToAccess, workspaceColumns } = require('../services/workspaces');
 
 // Reminder types
 const REMINDER_TYPES = ['follow_up', 'call', 'meeting', 'email', 'task', 'other'];
@@ -17,6 +26,9 @@ const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
 // Status types
 const STATUSES = ['pending', 'completed', 'snoozed', 'cancelled'];
 
+// Maximum reminders created from one saved list
+const MAX_LIST_REMINDERS = 500;
+
 /**
  * Validate reminder data
  */
@@ -51,9 +63,8 @@ function validateReminder(data) {
  * GET /api/reminders
  * List reminders with filtering
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('reminders:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const {
       page = 1,
       limit = 50,
@@ -66,20 +77,43 @@ router.get('/', authenticateToken, async (req, res) => {
       overdue,
       sort = 'due_date',
       order = 'asc',
+      owner,
+      cursor,
     } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
-    let query = supabase
-      .from('reminders')
-      .select(
-        `
-        *,
-        contacts(id, name, company, phone)
-      `,
-        { count: 'exact' }
-      )
-      .eq('user_id', userId);
+    const validSorts = ['due_date', 'created_at', 'updated_at', 'priority'];
+    const sortField = validSorts.includes(sort) ? sort : 'due_date';
+    const ascending = order.toLowerCase() === 'asc';
+
+    const cursorMode = isCursorMode(req.query);
+    const after = cursor ? decodeCursor(cursor, sortField) : null;
+
+    if (cursorMode && cursor && !after) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_CURSOR',
+          message: 'Invalid cursor for this sort order',
+        },
+      });
+    }
+
+    let query = scopeToAccess(
+      supabase
+        .from('reminders')
+        .select(
+          `
+          *,
+          contacts(id, name, company, phone)
+        `,
+          cursorMode ? undefined : { count: 'exact' }
+        ),
+      req,
+      { ownerId: owner }
+    ).is('deleted_at', null);
 
     // Apply filters
     if (status) {
@@ -106,10 +140,33 @@ router.get('/', authenticateToken, async (req, res) => {
         .eq('status', 'pending');
     }
 
+    if (cursorMode) {
+      const pageSize = parsePageSize(limit);
+      const { data, error } = await applyKeyset(query, { sortField, ascending, after, limit: pageSize });
+
+      if (error) {
+        throw error;
+      }
+
+      const { items, nextCursor, hasMore } = buildCursorPage(data, pageSize, sortField);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          reminders: items,
+          pagination: {
+            limit: pageSize,
+            nextCursor,
+            hasMore,
+          },
+        },
+        error: null,
+      });
+    }
+
     // Apply sorting
-    const ascending = order.toLowerCase() === 'asc';
     query = query
-      .order(sort, { ascending })
+      .order(sortField, { ascending })
       .range(offset, offset + parseInt(limit) - 1);
 
     const { data, error, count } = await query;
@@ -148,9 +205,8 @@ router.get('/', authenticateToken, async (req, res) => {
  * GET /api/reminders/today
  * Get today's reminders
  */
-router.get('/today', authenticateToken, async (req, res) => {
+router.get('/today', authenticateToken, requirePermission('reminders:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
 
     // Get start and end of today in user's timezone (default to MYT)
     const now = new Date();
@@ -158,15 +214,19 @@ router.get('/today', authenticateToken, async (req, res) => {
     const todayEnd = new Date(todayStart);
     todayEnd.setDate(todayEnd.getDate() + 1);
 
-    const { data, error } = await supabase
-      .from('reminders')
-      .select(
+    const { data, error } = await scopeToAccess(
+      supabase
+        .from('reminders')
+        .select(
+          `
+          *,
+          contacts(id, name, company, phone)
         `
-        *,
-        contacts(id, name, company, phone)
-      `
-      )
-      .eq('user_id', userId)
+        ),
+      req,
+      { ownerId: req.query.owner || req.user.id }
+    )
+      .is('deleted_at', null)
       .eq('status', 'pending')
       .gte('due_date', todayStart.toISOString())
       .lt('due_date', todayEnd.toISOString())
@@ -202,24 +262,27 @@ router.get('/today', authenticateToken, async (req, res) => {
  * GET /api/reminders/upcoming
  * Get upcoming reminders (next 7 days)
  */
-router.get('/upcoming', authenticateToken, async (req, res) => {
+router.get('/upcoming', authenticateToken, requirePermission('reminders:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { days = 7 } = req.query;
 
     const now = new Date();
     const futureDate = new Date();
     futureDate.setDate(futureDate.getDate() + parseInt(days));
 
-    const { data, error } = await supabase
-      .from('reminders')
-      .select(
+    const { data, error } = await scopeToAccess(
+      supabase
+        .from('reminders')
+        .select(
+          `
+          *,
+          contacts(id, name, company, phone)
         `
-        *,
-        contacts(id, name, company, phone)
-      `
-      )
-      .eq('user_id', userId)
+        ),
+      req,
+      { ownerId: req.query.owner || req.user.id }
+    )
+      .is('deleted_at', null)
       .eq('status', 'pending')
       .gte('due_date', now.toISOString())
       .lte('due_date', futureDate.toISOString())
@@ -266,19 +329,22 @@ router.get('/upcoming', authenticateToken, async (req, res) => {
  * GET /api/reminders/overdue
  * Get overdue reminders
  */
-router.get('/overdue', authenticateToken, async (req, res) => {
+router.get('/overdue', authenticateToken, requirePermission('reminders:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
 
-    const { data, error } = await supabase
-      .from('reminders')
-      .select(
+    const { data, error } = await scopeToAccess(
+      supabase
+        .from('reminders')
+        .select(
+          `
+          *,
+          contacts(id, name, company, phone)
         `
-        *,
-        contacts(id, name, company, phone)
-      `
-      )
-      .eq('user_id', userId)
+        ),
+      req,
+      { ownerId: req.query.owner || req.user.id }
+    )
+      .is('deleted_at', null)
       .eq('status', 'pending')
       .lt('due_date', new Date().toISOString())
       .order('due_date', { ascending: true });
@@ -312,15 +378,13 @@ router.get('/overdue', authenticateToken, async (req, res) => {
  * GET /api/reminders/stats
  * Get reminder statistics
  */
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('reminders:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
-
     // Get all reminders
-    const { data: reminders } = await supabase
-      .from('reminders')
-      .select('status, type, priority, due_date')
-      .eq('user_id', userId);
+    const { data: reminders } = await scopeToAccess(
+      supabase.from('reminders').select('status, type, priority, due_date'),
+      req
+    ).is('deleted_at', null);
 
     if (!reminders) {
       return res.status(200).json({
@@ -396,21 +460,23 @@ router.get('/stats', authenticateToken, async (req, res) => {
  * GET /api/reminders/:id
  * Get single reminder
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('reminders:read'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
 
-    const { data, error } = await supabase
-      .from('reminders')
-      .select(
+    const { data, error } = await scopeToAccess(
+      supabase
+        .from('reminders')
+        .select(
+          `
+          *,
+          contacts(id, name, company, phone, email)
         `
-        *,
-        contacts(id, name, company, phone, email)
-      `
-      )
+        ),
+      req
+    )
       .eq('id', id)
-      .eq('user_id', userId)
+      .is('deleted_at', null)
       .single();
 
     if (error) {
@@ -451,7 +517,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
  * POST /api/reminders
  * Create new reminder
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('reminders:write'), async (req, res) => {
   try {
     const userId = req.user.id;
     const {
@@ -481,11 +547,9 @@ router.post('/', authenticateToken, async (req, res) => {
 
     // Verify contact if provided
     if (contact_id) {
-      const { data: contact } = await supabase
-        .from('contacts')
-        .select('id')
+      const { data: contact } = await scopeToAccess(supabase.from('contacts').select('id'), req)
         .eq('id', contact_id)
-        .eq('user_id', userId)
+        .is('deleted_at', null)
         .single();
 
       if (!contact) {
@@ -511,6 +575,7 @@ router.post('/', authenticateToken, async (req, res) => {
       .from('reminders')
       .insert({
         user_id: userId,
+        ...workspaceColumns(req),
         title: title.trim(),
         description: description?.trim() || null,
         contact_id: contact_id || null,
@@ -548,13 +613,145 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/reminders/list
+ * Create the same reminder for every contact in a saved list
+ */
+router.post('/list', authenticateToken, requirePermission('reminders:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const {
+      list_id,
+      title,
+      description,
+      due_date,
+      due_time,
+      type,
+      priority,
+      notification_minutes,
+    } = req.body;
+
+    if (!list_id) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'list_id is required',
+        },
+      });
+    }
+
+    const validationErrors = validateReminder({ title, due_date, type, priority });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+        },
+      });
+    }
+
+    const listResult = await getContactList(userId, list_id);
+    if (!listResult.success) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'LIST_NOT_FOUND',
+          message: 'List not found',
+        },
+      });
+    }
+
+    const { list } = listResult;
+    const total = await countListMembers(req, list.filters);
+
+    if (total > MAX_LIST_REMINDERS) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'TOO_MANY_CONTACTS',
+          message: `List has ${total} contacts. Maximum ${MAX_LIST_REMINDERS} reminders per list.`,
+        },
+      });
+    }
+
+    const contacts = await getListMembers(req, list.filters, {
+      columns: 'id',
+      limit: MAX_LIST_REMINDERS,
+    });
+
+    if (contacts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'EMPTY_LIST',
+          message: 'List has no contacts',
+        },
+      });
+    }
+
+    // Combine date and time
+    let fullDueDate = due_date;
+    if (due_time) {
+      fullDueDate = `${due_date.split('T')[0]}T${due_time}:00`;
+    }
+
+    const { data, error } = await supabase
+      .from('reminders')
+      .insert(
+        contacts.map((contact) => ({
+          user_id: userId,
+          ...workspaceColumns(req),
+          title: title.trim(),
+          description: description?.trim() || null,
+          contact_id: contact.id,
+          due_date: fullDueDate,
+          type: type || 'follow_up',
+          priority: priority || 'medium',
+          status: 'pending',
+          notification_minutes: notification_minutes || 30,
+        }))
+      )
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        list: { id: list.id, name: list.name },
+        created: data.length,
+        reminders: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Create list reminders error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create reminders',
+      },
+    });
+  }
+});
+
 /**
  * PUT /api/reminders/:id
  * Update reminder
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('reminders:write'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
     const updates = req.body;
 
@@ -584,15 +781,14 @@ router.put('/:id', authenticateToken, async (req, res) => {
     // Remove fields that shouldn't be updated
     delete updates.id;
     delete updates.user_id;
+    delete updates.workspace_id;
     delete updates.created_at;
 
     updates.updated_at = new Date().toISOString();
 
-    const { data, error } = await supabase
-      .from('reminders')
-      .update(updates)
+    const { data, error } = await scopeToAccess(supabase.from('reminders').update(updates), req)
       .eq('id', id)
-      .eq('user_id', userId)
+      .is('deleted_at', null)
       .select()
       .single();
 
@@ -634,9 +830,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
  * PUT /api/reminders/:id/complete
  * Mark reminder as complete
  */
-router.put('/:id/complete', authenticateToken, async (req, res) => {
+router.put('/:id/complete', authenticateToken, requirePermission('reminders:write'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
     const { notes } = req.body;
 
@@ -650,11 +845,9 @@ router.put('/:id/complete', authenticateToken, async (req, res) => {
       updates.completion_notes = notes;
     }
 
-    const { data, error } = await supabase
-      .from('reminders')
-      .update(updates)
+    const { data, error } = await scopeToAccess(supabase.from('reminders').update(updates), req)
       .eq('id', id)
-      .eq('user_id', userId)
+      .is('deleted_at', null)
       .select()
       .single();
 
@@ -677,7 +870,8 @@ router.put('/:id/complete', authenticateToken, async (req, res) => {
       const nextDue = calculateNextRecurrence(data.due_date, data.recurrence);
       if (nextDue) {
         await supabase.from('reminders').insert({
-          user_id: userId,
+          user_id: data.user_id,
+          workspace_id: data.workspace_id,
           title: data.title,
           description: data.description,
           contact_id: data.contact_id,
@@ -715,9 +909,8 @@ router.put('/:id/complete', authenticateToken, async (req, res) => {
  * PUT /api/reminders/:id/snooze
  * Snooze reminder
  */
-router.put('/:id/snooze', authenticateToken, async (req, res) => {
+router.put('/:id/snooze', authenticateToken, requirePermission('reminders:write'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
     const { minutes = 30, until } = req.body;
 
@@ -729,16 +922,19 @@ router.put('/:id/snooze', authenticateToken, async (req, res) => {
       newDueDate.setMinutes(newDueDate.getMinutes() + parseInt(minutes));
     }
 
-    const { data, error } = await supabase
-      .from('reminders')
-      .update({
-        due_date: newDueDate.toISOString(),
-        snoozed_count: supabase.sql`COALESCE(snoozed_count, 0) + 1`,
-        last_snoozed_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-      })
+    const { data, error } = await scopeToAccess(
+      supabase
+        .from('reminders')
+        .update({
+          due_date: newDueDate.toISOString(),
+          snoozed_count: supabase.sql`COALESCE(snoozed_count, 0) + 1`,
+          last_snoozed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        }),
+      req
+    )
       .eq('id', id)
-      .eq('user_id', userId)
+      .is('deleted_at', null)
       .select()
       .single();
 
@@ -771,16 +967,12 @@ router.put('/:id/snooze', authenticateToken, async (req, res) => {
  * DELETE /api/reminders/:id
  * Delete reminder
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('reminders:delete'), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
 
-    const { error } = await supabase
-      .from('reminders')
-      .delete()
-      .eq('id', id)
-      .eq('user_id', userId);
+    const { error } = await scopeToAccess(supabase.from('reminders').delete(), req)
+      .eq('id', id);
 
     if (error) {
       throw error;
@@ -9,9 +9,44 @@ const multer = require('multer');
 const XLSX = require('xlsx');
 const { v4: uuidv4 } = require('uuid');
 const { supabase, uploadFile } = require('../services/supabase');
-const { analyzeSpreadsheetData, extractNamecardText } = require('../services/ai');
-const { authenticateToken, checkContactLimit } = require('../middleware/auth');
+const { analyzeSpreadsheetData, extractNamecardText, summarizeConversation } = require('../services/ai');
+const { authenticateToken, checkContactLimit, requirePermission } = require('../middleware/auth');
 const { uploadRateLimit } = require('../middleware/rateLimit');
+const { normalizeEmail, normalizePhone } = require('../utils/normalize');
+const { recordContactHistory, recordContactHistoryBatch } = require('../services/audit');
+const { resolveCompanyId, matchExistingCompanies } = require('../services/companies');
+const { definitionOwner, getFieldDefinitions, parseCustomFields } = require('../services/customFields');
+const { scopeToAccess, workspaceColumns } = require('../services/workspaces');
+const { advanceLifecycle } = require('../services/lifecycle');
+const { INTERACTION_TYPES, advanceLastInteraction } = require('../services/interactions');
+const { getDispositionCodes } = require('../services/dispositions');
+const {
+  IMPORT_FIELDS,
+  INSERT_BATCH_SIZE,
+  MAX_IMPORT_ROWS,
+  readImportFile,
+  suggestMappings,
+  validateMappings,
+  resolveType,
+  loadContactIndex,
+  buildImportRows,
+  findExistingInteractions,
+  interactionKey,
+  latestDateByContact,
+} = require('../services/interactionImport');
+const {
+  WHATSAPP_GROUPINGS,
+  MAX_AI_SUMMARIES,
+  readChatExport,
+  parseChatExport,
+  listSenders,
+  senderPhones,
+  findContactsByPhone,
+  groupMessages,
+  formatTranscript,
+  buildWhatsAppInteraction,
+  getImportedThreadKeys,
+} = require('../services/whatsappImport');
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -56,6 +91,24 @@ const namecardUpload = multer({
   },
 });
 
+const whatsappUpload = multer({
+  storage,
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB limit (export "without media" for long chats)
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['.txt', '.zip'];
+
+    const ext = file.originalname.toLowerCase().slice(file.originalname.lastIndexOf('.'));
+
+    if (allowedExtensions.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Upload the .txt or .zip file from WhatsApp\'s "Export chat".'));
+    }
+  },
+});
+
 // In-memory job storage (use Redis in production)
 const processingJobs = new Map();
 
@@ -66,6 +119,7 @@ const processingJobs = new Map();
 router.post(
   '/spreadsheet',
   authenticateToken,
+  requirePermission('contacts:import'),
   uploadRateLimit,
   checkContactLimit(),
   spreadsheetUpload.single('file'),
@@ -96,7 +150,7 @@ router.post(
       });
 
       // Process file asynchronously
-      processSpreadsheet(jobId, userId, req.file, req.contactLimit);
+      processSpreadsheet(jobId, userId, req.file, req.contactLimit, workspaceColumns(req));
 
       return res.status(202).json({
         success: true,
@@ -128,6 +182,7 @@ router.post(
 router.post(
   '/spreadsheet/preview',
   authenticateToken,
+  requirePermission('contacts:import'),
   spreadsheetUpload.single('file'),
   async (req, res) => {
     try {
@@ -165,6 +220,9 @@ router.post(
       // Use AI to analyze and suggest column mappings
       const analysis = await analyzeSpreadsheetData(rows, headers);
 
+      // Custom fields the user can map columns to
+      const customFields = await getFieldDefinitions(definitionOwner(req));
+
       return res.status(200).json({
         success: true,
         data: {
@@ -173,6 +231,12 @@ router.post(
           headers,
           sampleRows: rows,
           columnMappings: analysis.success ? analysis.analysis.columnMappings : null,
+          customFields: customFields.map((f) => ({
+            key: f.key,
+            label: f.label,
+            type: f.type,
+            required: f.required,
+          })),
           dataQuality: analysis.success
             ? {
                 issues: analysis.analysis.dataQualityIssues,
@@ -205,6 +269,7 @@ router.post(
 router.post(
   '/spreadsheet/import',
   authenticateToken,
+  requirePermission('contacts:import'),
   checkContactLimit(),
   spreadsheetUpload.single('file'),
   async (req, res) => {
@@ -245,7 +310,9 @@ router.post(
         });
       }
 
-      // Transform data using mappings
+      // Transform data using mappings (custom_fields maps field key -> column)
+      const customFieldMappings = columnMappings.custom_fields || {};
+      const customFieldDefinitions = await getFieldDefinitions(definitionOwner(req));
       const contacts = [];
       const errors = [];
       const duplicates = [];
@@ -256,6 +323,7 @@ router.post(
         try {
           const contact = {
             user_id: userId,
+            ...workspaceColumns(req),
             name: extractField(row, columnMappings.name) || 'Unknown',
             email: normalizeEmail(extractField(row, columnMappings.email)),
             phone: normalizePhone(extractField(row, columnMappings.phone)),
@@ -274,6 +342,20 @@ router.post(
             continue;
           }
 
+          const customFields = parseCustomFields(
+            Object.fromEntries(
+              Object.entries(customFieldMappings).map(([key, column]) => [key, extractField(row, column)])
+            ),
+            customFieldDefinitions,
+            { checkRequired: true }
+          );
+
+          if (customFields.errors.length > 0) {
+            errors.push({ row: i + 2, reason: customFields.errors.join(', ') });
+            continue;
+          }
+          contact.custom_fields = customFields.values;
+
           contacts.push(contact);
         } catch (err) {
           errors.push({ row: i + 2, reason: err.message });
@@ -285,10 +367,11 @@ router.post(
         const emails = contacts.filter((c) => c.email).map((c) => c.email);
         const phones = contacts.filter((c) => c.phone).map((c) => c.phone);
 
-        const { data: existingContacts } = await supabase
-          .from('contacts')
-          .select('email, phone')
-          .eq('user_id', userId)
+        const { data: existingContacts } = await scopeToAccess(
+          supabase.from('contacts').select('email, phone'),
+          req
+        )
+          .is('deleted_at', null)
           .or(
             `email.in.(${emails.join(',')}),phone.in.(${phones.join(',')})`
           );
@@ -331,6 +414,22 @@ router.post(
           user_id: userId,
           amount: inserted,
         });
+
+        await recordContactHistoryBatch(
+          insertedData.map((contact) => ({
+            userId,
+            contactId: contact.id,
+            action: 'create',
+            source: 'spreadsheet_import',
+            before: null,
+            after: contact,
+          }))
+        );
+
+        // Link imported company names to companies in the background
+        matchExistingCompanies(userId).catch((err) => {
+          console.error('Import company matching error:', err);
+        });
       }
 
       return res.status(200).json({
@@ -367,6 +466,7 @@ router.post(
 router.post(
   '/namecard',
   authenticateToken,
+  requirePermission('contacts:write'),
   uploadRateLimit,
   namecardUpload.single('image'),
   async (req, res) => {
@@ -396,7 +496,7 @@ router.post(
       });
 
       // Process namecard asynchronously
-      processNamecard(jobId, userId, req.file);
+      processNamecard(jobId, userId, req.file, workspaceColumns(req));
 
       return res.status(202).json({
         success: true,
@@ -428,6 +528,7 @@ router.post(
 router.post(
   '/namecard/instant',
   authenticateToken,
+  requirePermission('contacts:write'),
   namecardUpload.single('image'),
   async (req, res) => {
     try {
@@ -489,11 +590,373 @@ router.post(
   }
 );
 
+/**
+ * POST /api/uploads/whatsapp
+ * Import an exported WhatsApp chat (.txt or .zip) as whatsapp interactions
+ * Form fields: file, contact_id or phone (optional - otherwise matched by the senders'
+ * phone numbers), group_by ('day' or 'thread'), summarize ('true' for AI summaries)
+ */
+router.post(
+  '/whatsapp',
+  authenticateToken,
+  requirePermission('interactions:write'),
+  uploadRateLimit,
+  whatsappUpload.single('file'),
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { contact_id, phone, group_by = 'day', summarize } = req.body;
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NO_FILE',
+            message: 'No file uploaded',
+          },
+        });
+      }
+
+      if (!WHATSAPP_GROUPINGS.includes(group_by)) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `group_by must be one of: ${WHATSAPP_GROUPINGS.join(', ')}`,
+          },
+        });
+      }
+
+      const chat = readChatExport(req.file);
+
+      if (!chat.success) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'INVALID_FILE',
+            message: chat.error,
+          },
+        });
+      }
+
+      const messages = parseChatExport(chat.text);
+
+      if (messages.length === 0) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NO_MESSAGES',
+            message: 'No WhatsApp messages found. Use "Export chat" in WhatsApp and upload the file it creates.',
+          },
+        });
+      }
+
+      const senders = listSenders(messages);
+
+      // Find the contact the chat is with
+      let candidates;
+
+      if (contact_id) {
+        const { data } = await scopeToAccess(
+          supabase.from('contacts').select('id, name, phone, company'),
+          req
+        )
+          .eq('id', contact_id)
+          .is('deleted_at', null)
+          .single();
+
+        candidates = data ? [data] : [];
+      } else {
+        let phones = senderPhones([...senders, chat.chatName].filter(Boolean));
+
+        if (phone) {
+          const normalized = normalizePhone(phone);
+
+          if (!normalized) {
+            return res.status(400).json({
+              success: false,
+              data: null,
+              error: {
+                code: 'VALIDATION_ERROR',
+                message: 'Invalid phone number',
+              },
+            });
+          }
+
+          phones = [normalized];
+        }
+
+        const matches = await Promise.all(phones.map((p) => findContactsByPhone(req, p)));
+        candidates = [...new Map(matches.flat().map((c) => [c.id, c])).values()];
+      }
+
+      if (candidates.length !== 1) {
+        return res.status(candidates.length === 0 ? 404 : 409).json({
+          success: false,
+          data: null,
+          error: {
+            code: candidates.length === 0 ? 'CONTACT_NOT_FOUND' : 'AMBIGUOUS_CONTACT',
+            message: candidates.length === 0
+              ? 'No contact matches this chat. Send contact_id or the phone number of the person you chatted with.'
+              : 'Several contacts match this chat. Send contact_id to choose one.',
+            participants: senders,
+            matches: candidates,
+          },
+        });
+      }
+
+      const contact = candidates[0];
+      const groups = groupMessages(messages, group_by);
+
+      // Create job ID for tracking
+      const jobId = uuidv4();
+
+      // Initialize job status
+      processingJobs.set(jobId, {
+        status: 'processing',
+        progress: 0,
+        message: 'Starting chat import...',
+        createdAt: new Date().toISOString(),
+      });
+
+      // Process chat asynchronously
+      processWhatsAppImport(jobId, userId, {
+        contact,
+        groups,
+        groupBy: group_by,
+        summarize: summarize === true || summarize === 'true',
+        ownership: workspaceColumns(req),
+      });
+
+      return res.status(202).json({
+        success: true,
+        data: {
+          jobId,
+          message: `Found ${messages.length} messages in ${groups.length} conversations. Import started.`,
+          statusUrl: `/api/uploads/status/${jobId}`,
+          contact,
+          participants: senders,
+        },
+        error: null,
+      });
+    } catch (err) {
+      console.error('WhatsApp upload error:', err);
+      return res.status(500).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'UPLOAD_ERROR',
+          message: 'Failed to import WhatsApp chat',
+        },
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/uploads/interactions/preview
+ * Preview an interaction history file (CSV/XLSX) with suggested column mappings
+ */
+router.post(
+  '/interactions/preview',
+  authenticateToken,
+  requirePermission('interactions:write'),
+  spreadsheetUpload.single('file'),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NO_FILE',
+            message: 'No file uploaded',
+          },
+        });
+      }
+
+      const { headers, rows, sampleRows } = readImportFile(req.file.buffer);
+
+      if (rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'EMPTY_FILE',
+            message: 'File contains no data',
+          },
+        });
+      }
+
+      const columnMappings = suggestMappings(headers);
+
+      // Type labels in the file and what they resolve to (null needs a typeMap entry)
+      const typeLabels = columnMappings.type
+        ? [...new Set(rows.map((row) => String(row[columnMappings.type] ?? '').trim()).filter(Boolean))]
+        : [];
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          fileName: req.file.originalname,
+          totalRows: rows.length,
+          headers,
+          sampleRows,
+          fields: IMPORT_FIELDS,
+          columnMappings,
+          interactionTypes: INTERACTION_TYPES,
+          typeMapping: Object.fromEntries(typeLabels.slice(0, 100).map((label) => [label, resolveType(label)])),
+        },
+        error: null,
+      });
+    } catch (err) {
+      console.error('Interaction import preview error:', err);
+      return res.status(500).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'PREVIEW_ERROR',
+          message: 'Failed to preview file',
+        },
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/uploads/interactions/import
+ * Import interaction history from a CSV/XLSX file
+ * Form fields: file, mappings (field -> column, see /interactions/preview),
+ * typeMap (file label -> interaction type), defaultType, skipDuplicates
+ */
+router.post(
+  '/interactions/import',
+  authenticateToken,
+  requirePermission('interactions:write'),
+  uploadRateLimit,
+  spreadsheetUpload.single('file'),
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { defaultType, skipDuplicates = 'true' } = req.body;
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NO_FILE',
+            message: 'No file uploaded',
+          },
+        });
+      }
+
+      // Parse mappings and type map from JSON strings (multipart form fields)
+      let mappings;
+      let typeMap;
+      try {
+        mappings = typeof req.body.mappings === 'string' ? JSON.parse(req.body.mappings) : req.body.mappings;
+        typeMap = typeof req.body.typeMap === 'string' ? JSON.parse(req.body.typeMap) : (req.body.typeMap || {});
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'mappings and typeMap must be valid JSON',
+          },
+        });
+      }
+
+      const { headers, rows } = readImportFile(req.file.buffer);
+
+      const validationErrors = validateMappings(mappings, headers, { defaultType });
+      if (typeMap && typeof typeMap === 'object') {
+        Object.entries(typeMap)
+          .filter(([, type]) => !INTERACTION_TYPES.includes(type))
+          .forEach(([label]) => validationErrors.push(`typeMap: '${label}' must map to one of: ${INTERACTION_TYPES.join(', ')}`));
+      }
+
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: validationErrors.join(', '),
+            details: validationErrors,
+          },
+        });
+      }
+
+      if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: {
+            code: rows.length === 0 ? 'EMPTY_FILE' : 'TOO_MANY_ROWS',
+            message: rows.length === 0
+              ? 'File contains no data'
+              : `Import at most ${MAX_IMPORT_ROWS} rows per file. File contains ${rows.length} rows.`,
+          },
+        });
+      }
+
+      // Create job ID for tracking
+      const jobId = uuidv4();
+
+      // Initialize job status
+      processingJobs.set(jobId, {
+        status: 'processing',
+        progress: 0,
+        message: 'Starting interaction import...',
+        createdAt: new Date().toISOString(),
+      });
+
+      // Process file asynchronously
+      const access = { user: req.user, workspace: req.workspace, userProfile: req.userProfile };
+      processInteractionImport(jobId, access, {
+        rows,
+        mappings,
+        typeMap: typeMap || {},
+        defaultType: defaultType || null,
+        skipDuplicates: skipDuplicates !== false && skipDuplicates !== 'false',
+        ownership: workspaceColumns(req),
+        userId,
+      });
+
+      return res.status(202).json({
+        success: true,
+        data: {
+          jobId,
+          message: `Importing ${rows.length} rows. Processing started.`,
+          statusUrl: `/api/uploads/status/${jobId}`,
+        },
+        error: null,
+      });
+    } catch (err) {
+      console.error('Interaction import error:', err);
+      return res.status(500).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'IMPORT_ERROR',
+          message: 'Failed to import interactions',
+        },
+      });
+    }
+  }
+);
+
 /**
  * GET /api/uploads/status/:jobId
  * Get processing job status
  */
-router.get('/status/:jobId', authenticateToken, async (req, res) => {
+router.get('/status/:jobId', authenticateToken, requirePermission('contacts:import'), async (req, res) => {
   try {
     const { jobId } = req.params;
 
@@ -533,8 +996,9 @@ router.get('/status/:jobId', authenticateToken, async (req, res) => {
 
 /**
  * Process spreadsheet in background
+ * @param {object} ownership - Workspace columns for new contacts (from workspaceColumns)
  */
-async function processSpreadsheet(jobId, userId, file, contactLimit) {
+async function processSpreadsheet(jobId, userId, file, contactLimit, ownership) {
   try {
     processingJobs.set(jobId, {
       status: 'processing',
@@ -582,6 +1046,7 @@ async function processSpreadsheet(jobId, userId, file, contactLimit) {
     const mappings = analysis.analysis.columnMappings;
     const contacts = data.map((row) => ({
       user_id: userId,
+      ...ownership,
       name: extractField(row, mappings.name) || 'Unknown',
       email: normalizeEmail(extractField(row, mappings.email)),
       phone: normalizePhone(extractField(row, mappings.phone)),
@@ -608,6 +1073,20 @@ async function processSpreadsheet(jobId, userId, file, contactLimit) {
         amount: inserted.length,
       });
 
+      await recordContactHistoryBatch(
+        inserted.map((contact) => ({
+          userId,
+          contactId: contact.id,
+          action: 'create',
+          source: 'spreadsheet_import',
+          before: null,
+          after: contact,
+          metadata: { jobId },
+        }))
+      );
+
+      await matchExistingCompanies(userId);
+
       processingJobs.set(jobId, {
         status: 'completed',
         progress: 100,
@@ -642,8 +1121,9 @@ async function processSpreadsheet(jobId, userId, file, contactLimit) {
 
 /**
  * Process namecard in background
+ * @param {object} ownership - Workspace columns for the new contact (from workspaceColumns)
  */
-async function processNamecard(jobId, userId, file) {
+async function processNamecard(jobId, userId, file, ownership) {
   try {
     processingJobs.set(jobId, {
       status: 'processing',
@@ -686,10 +1166,12 @@ async function processNamecard(jobId, userId, file) {
       .from('contacts')
       .insert({
         user_id: userId,
+        ...ownership,
         name: extracted.name || 'Unknown',
         email: normalizeEmail(extracted.email),
         phone: normalizePhone(extracted.phone),
         company: extracted.company,
+        company_id: await resolveCompanyId(userId, extracted.company),
         position: extracted.position,
         address: extracted.address,
         notes: extracted.raw_text,
@@ -706,6 +1188,16 @@ async function processNamecard(jobId, userId, file) {
 
     await supabase.rpc('increment_contact_count', { user_id: userId });
 
+    await recordContactHistory({
+      userId,
+      contactId: contact.id,
+      action: 'create',
+      source: 'namecard_scan',
+      before: null,
+      after: contact,
+      metadata: { jobId },
+    });
+
     processingJobs.set(jobId, {
       status: 'completed',
       progress: 100,
@@ -730,40 +1222,205 @@ async function processNamecard(jobId, userId, file) {
 }
 
 /**
- * Helper to extract field from row
+ * Import WhatsApp conversations in background
+ * Conversations imported before (same contact and grouping key) are skipped
+ * @param {object} options - { contact, groups (from groupMessages), groupBy, summarize, ownership }
  */
-function extractField(row, columnName) {
-  if (!columnName) return null;
-  const value = row[columnName];
-  return value !== undefined ? String(value).trim() : null;
+async function processWhatsAppImport(jobId, userId, { contact, groups, groupBy, summarize, ownership }) {
+  try {
+    const imported = await getImportedThreadKeys(contact.id, groups.map((g) => g.key));
+    const newGroups = groups.filter((g) => !imported.has(g.key));
+    const rows = [];
+    let summarized = 0;
+
+    for (const [index, group] of newGroups.entries()) {
+      let summary = null;
+
+      if (summarize && summarized < MAX_AI_SUMMARIES) {
+        const result = await summarizeConversation(formatTranscript(group.messages), { contactName: contact.name });
+        if (result.success) {
+          summary = result.summary;
+          summarized++;
+        }
+      }
+
+      rows.push({
+        user_id: userId,
+        ...ownership,
+        contact_id: contact.id,
+        ...buildWhatsAppInteraction(group, { groupBy, importId: jobId, summary }),
+      });
+
+      processingJobs.set(jobId, {
+        status: 'processing',
+        progress: Math.round(((index + 1) / newGroups.length) * 80),
+        message: summarize
+          ? `Summarized ${index + 1} of ${newGroups.length} conversations...`
+          : `Prepared ${index + 1} of ${newGroups.length} conversations...`,
+        createdAt: processingJobs.get(jobId).createdAt,
+      });
+    }
+
+    let inserted = [];
+
+    if (rows.length > 0) {
+      const { data, error } = await supabase
+        .from('interactions')
+        .insert(rows)
+        .select('id, interaction_date');
+
+      if (error) {
+        throw error;
+      }
+
+      inserted = data;
+      const latest = inserted[inserted.length - 1];
+
+      await advanceLastInteraction(contact.id, latest.interaction_date);
+
+      await advanceLifecycle(contact.id, 'interaction', { interactionId: latest.id });
+    }
+
+    processingJobs.set(jobId, {
+      status: 'completed',
+      progress: 100,
+      message: `Imported ${inserted.length} WhatsApp conversations with ${contact.name}`,
+      result: {
+        contactId: contact.id,
+        imported: inserted.length,
+        total: groups.length,
+        skipped: groups.length - newGroups.length,
+        summarized,
+        interactionIds: inserted.map((i) => i.id),
+      },
+      createdAt: processingJobs.get(jobId).createdAt,
+    });
+  } catch (err) {
+    console.error('WhatsApp import error:', err);
+    processingJobs.set(jobId, {
+      status: 'failed',
+      progress: 100,
+      message: 'Import failed',
+      error: err.message,
+      createdAt: processingJobs.get(jobId)?.createdAt,
+    });
+  }
 }
 
 /**
- * Normalize email
+ * Import interaction history in background
+ * Contacts are matched by email, phone, then name. Each contact's last_interaction moves
+ * to its latest imported date if that is newer. Historical rows don't advance lifecycle
+ * stages (old activity shouldn't reactivate a dormant contact).
+ * @param {object} access - { user, workspace, userProfile } of the uploader (for access scoping)
+ * @param {object} options - { rows, mappings, typeMap, defaultType, skipDuplicates, ownership, userId }
  */
-function normalizeEmail(email) {
-  if (!email) return null;
-  const cleaned = email.toLowerCase().trim();
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cleaned) ? cleaned : null;
+async function processInteractionImport(jobId, access, options) {
+  const { rows, mappings, typeMap, defaultType, skipDuplicates, ownership, userId } = options;
+
+  try {
+    processingJobs.set(jobId, {
+      status: 'processing',
+      progress: 10,
+      message: 'Matching contacts...',
+      createdAt: processingJobs.get(jobId).createdAt,
+    });
+
+    const index = await loadContactIndex(access);
+    const dispositionCodes = await getDispositionCodes(access);
+    const built = buildImportRows(rows, { mappings, typeMap, defaultType, index, dispositionCodes });
+
+    let toInsert = built.interactions;
+    let duplicates = 0;
+
+    if (skipDuplicates && toInsert.length > 0) {
+      const existing = await findExistingInteractions(toInsert);
+      const seen = new Set();
+
+      // Skips rows already in the CRM and rows repeated within the file
+      toInsert = toInsert.filter((interaction) => {
+        const key = interactionKey(interaction);
+        if (existing.has(key) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+      duplicates = built.interactions.length - toInsert.length;
+    }
+
+    let imported = 0;
+
+    for (let i = 0; i < toInsert.length; i += INSERT_BATCH_SIZE) {
+      const batch = toInsert.slice(i, i + INSERT_BATCH_SIZE).map((interaction) => ({
+        user_id: userId,
+        ...ownership,
+        ...interaction,
+        metadata: { ...interaction.metadata, import_id: jobId },
+      }));
+
+      const { error } = await supabase.from('interactions').insert(batch);
+
+      if (error) {
+        throw error;
+      }
+
+      imported += batch.length;
+
+      processingJobs.set(jobId, {
+        status: 'processing',
+        progress: 20 + Math.round((imported / toInsert.length) * 70),
+        message: `Imported ${imported} of ${toInsert.length} interactions...`,
+        createdAt: processingJobs.get(jobId).createdAt,
+      });
+    }
+
+    // Lead -> Prospect for contacts whose first interaction was imported, Dormant ones are reactivated
+    const latest = latestDateByContact(toInsert);
+    let lifecycleTransitions = 0;
+    for (const [contactId, date] of Object.entries(latest)) {
+      await advanceLastInteraction(contactId, date);
+
+      if (await advanceLifecycle(contactId, 'interaction', { importId: jobId })) {
+        lifecycleTransitions++;
+      }
+    }
+
+    processingJobs.set(jobId, {
+      status: 'completed',
+      progress: 100,
+      message: `Successfully imported ${imported} interactions`,
+      result: {
+        imported,
+        total: rows.length,
+        contacts: Object.keys(latest).length,
+        lifecycleTransitions,
+        duplicates,
+        unmatched: built.unmatched.length,
+        errors: built.invalid.length,
+        unmatchedDetails: built.unmatched.slice(0, 1000),
+        errorDetails: built.invalid.slice(0, 1000),
+      },
+      createdAt: processingJobs.get(jobId).createdAt,
+    });
+  } catch (err) {
+    console.error('Interaction import processing error:', err);
+    processingJobs.set(jobId, {
+      status: 'failed',
+      progress: 100,
+      message: 'Import failed',
+      error: err.message,
+      createdAt: processingJobs.get(jobId)?.createdAt,
+    });
+  }
 }
 
 /**
- * Normalize phone (Malaysian format)
+ * Helper to extract field from row
  */
-function normalizePhone(phone) {
-  if (!phone) return null;
-  let cleaned = String(phone).replace(/[^\d+]/g, '');
-
-  // Convert local format to +60
-  if (cleaned.startsWith('0')) {
-    cleaned = '+60' + cleaned.slice(1);
-  } else if (cleaned.startsWith('60') && !cleaned.startsWith('+')) {
-    cleaned = '+' + cleaned;
-  } else if (!cleaned.startsWith('+') && cleaned.length >= 9) {
-    cleaned = '+60' + cleaned;
-  }
-
-  return cleaned.length >= 10 ? cleaned : null;
+function extractField(row, columnName) {
+  if (!columnName) return null;
+  const value = row[columnName];
+  return value !== undefined ? String(value).trim() : null;
 }
 
 // Clean up old jobs periodically
@@ -0,0 +1,507 @@
+/**
+ * WhatsApp Routes
+ * ResultMarketing CRM - Message templates and click-to-chat links
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../services/supabase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { scopeToAccess, workspaceColumns } = require('../services/workspaces');
+const { advanceLifecycle } = require('../services/lifecycle');
+const { advanceLastInteraction } = require('../services/interactions');
+const {
+  MAX_TEMPLATES,
+  TEMPLATE_PLACEHOLDERS,
+  listPlaceholders,
+  validateTemplate,
+  getTemplate,
+  renderTemplate,
+  buildWhatsAppLink,
+  recordTemplateUse,
+} = require('../services/whatsappTemplates');
+
+/**
+ * Load the contact (and optional opportunity) a link is for
+ * @returns {Promise<{contact?: object, opportunity?: object|null, error?: {status: number, code: string, message: string}}>}
+ */
+async function loadLinkTarget(req, { contactId, opportunityId }) {
+  if (!contactId) {
+    return { error: { status: 400, code: 'VALIDATION_ERROR', message: 'Contact ID is required' } };
+  }
+
+  const { data: contact } = await scopeToAccess(supabase.from('contacts').select('*'), req)
+    .eq('id', contactId)
+    .is('deleted_at', null)
+    .single();
+
+  if (!contact) {
+    return { error: { status: 404, code: 'CONTACT_NOT_FOUND', message: 'Contact not found' } };
+  }
+
+  if (!opportunityId) {
+    return { contact, opportunity: null };
+  }
+
+  const { data: opportunity } = await scopeToAccess(supabase.from('opportunities').select('*'), req)
+    .eq('id', opportunityId)
+    .single();
+
+  if (!opportunity) {
+    return { error: { status: 404, code: 'NOT_FOUND', message: 'Opportunity not found' } };
+  }
+
+  if (opportunity.contact_id && opportunity.contact_id !== contact.id) {
+    return { error: { status: 400, code: 'VALIDATION_ERROR', message: 'Opportunity belongs to a different contact' } };
+  }
+
+  return { contact, opportunity };
+}
+
+/**
+ * Send a loadLinkTarget error
+ */
+function sendTargetError(res, { status, code, message }) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: {
+      code,
+      message,
+    },
+  });
+}
+
+// ===========================================
+// TEMPLATES
+// ===========================================
+
+/**
+ * GET /api/whatsapp/templates
+ * List the caller's message templates
+ */
+router.get('/templates', authenticateToken, requirePermission('interactions:read'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('whatsapp_templates')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        templates: data,
+        placeholders: TEMPLATE_PLACEHOLDERS,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('List WhatsApp templates error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch templates',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/whatsapp/templates
+ * Create a message template
+ */
+router.post('/templates', authenticateToken, requirePermission('interactions:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, body } = req.body;
+
+    const validationErrors = validateTemplate({ name, body });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+          details: validationErrors,
+        },
+      });
+    }
+
+    const { count } = await supabase
+      .from('whatsapp_templates')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    if (count >= MAX_TEMPLATES) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'TEMPLATE_LIMIT_EXCEEDED',
+          message: `Maximum ${MAX_TEMPLATES} templates`,
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('whatsapp_templates')
+      .insert({
+        user_id: userId,
+        name: name.trim(),
+        body,
+        placeholders: listPlaceholders(body),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Unique (user_id, name)
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'DUPLICATE_TEMPLATE',
+            message: `A template named '${name.trim()}' already exists`,
+          },
+        });
+      }
+      throw error;
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        template: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Create WhatsApp template error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create template',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/whatsapp/templates/:id
+ * Update a message template
+ */
+router.put('/templates/:id', authenticateToken, requirePermission('interactions:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { name, body } = req.body;
+
+    const existing = await getTemplate(userId, id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Template not found',
+        },
+      });
+    }
+
+    const validationErrors = validateTemplate({ name, body }, { partial: true });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: validationErrors.join(', '),
+          details: validationErrors,
+        },
+      });
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updates.name = name.trim();
+    if (body !== undefined) {
+      updates.body = body;
+      updates.placeholders = listPlaceholders(body);
+    }
+
+    const { data, error } = await supabase
+      .from('whatsapp_templates')
+      .update(updates)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'DUPLICATE_TEMPLATE',
+            message: `A template named '${updates.name}' already exists`,
+          },
+        });
+      }
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        template: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Update WhatsApp template error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update template',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/whatsapp/templates/:id
+ * Delete a message template (interactions logged with it keep their text)
+ */
+router.delete('/templates/:id', authenticateToken, requirePermission('interactions:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('whatsapp_templates')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Template not found',
+        },
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        message: 'Template deleted',
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Delete WhatsApp template error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to delete template',
+      },
+    });
+  }
+});
+
+// ===========================================
+// CLICK-TO-CHAT
+// ===========================================
+
+/**
+ * POST /api/whatsapp/link
+ * Render a message for a contact and build its wa.me link
+ * Body: { contact_id, template_id or message, opportunity_id }
+ * Nothing is logged - call /link/confirm once the message has been sent
+ */
+router.post('/link', authenticateToken, requirePermission('interactions:write'), async (req, res) => {
+  try {
+    const { contact_id, template_id, message, opportunity_id } = req.body;
+
+    const target = await loadLinkTarget(req, { contactId: contact_id, opportunityId: opportunity_id });
+    if (target.error) {
+      return sendTargetError(res, target.error);
+    }
+
+    let body = typeof message === 'string' ? message : '';
+
+    if (template_id) {
+      const template = await getTemplate(req.user.id, template_id);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Template not found',
+          },
+        });
+      }
+
+      body = template.body;
+    }
+
+    const rendered = renderTemplate(body, {
+      contact: target.contact,
+      opportunity: target.opportunity,
+      sender: req.userProfile,
+    });
+
+    const link = buildWhatsAppLink(target.contact.phone, rendered.message);
+
+    if (!link) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'INVALID_PHONE',
+          message: `${target.contact.name} has no valid phone number`,
+        },
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        url: link.url,
+        phone: link.phone,
+        message: rendered.message,
+        missingPlaceholders: rendered.missing,
+        contact: {
+          id: target.contact.id,
+          name: target.contact.name,
+        },
+        templateId: template_id || null,
+        opportunityId: opportunity_id || null,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('WhatsApp link error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create WhatsApp link',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/whatsapp/link/confirm
+ * Log a whatsapp interaction for a message sent through a wa.me link
+ * Body: { contact_id, message, template_id, opportunity_id } as returned by /link
+ */
+router.post('/link/confirm', authenticateToken, requirePermission('interactions:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { contact_id, message, template_id, opportunity_id } = req.body;
+
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Message is required',
+        },
+      });
+    }
+
+    const target = await loadLinkTarget(req, { contactId: contact_id, opportunityId: opportunity_id });
+    if (target.error) {
+      return sendTargetError(res, target.error);
+    }
+
+    const template = template_id ? await getTemplate(userId, template_id) : null;
+    const link = buildWhatsAppLink(target.contact.phone, null);
+
+    const { data, error } = await supabase
+      .from('interactions')
+      .insert({
+        user_id: userId,
+        ...workspaceColumns(req),
+        contact_id: target.contact.id,
+        type: 'whatsapp',
+        notes: message.trim(),
+        interaction_date: new Date().toISOString(),
+        metadata: {
+          source: 'whatsapp_link',
+          phone: link?.phone || null,
+          template_id: template?.id || null,
+          template_name: template?.name || null,
+          opportunity_id: target.opportunity?.id || null,
+        },
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    // Update contact's last_interaction timestamp (never moves it backwards)
+    await advanceLastInteraction(target.contact.id, data.interaction_date);
+
+    const lifecycleTransition = await advanceLifecycle(target.contact.id, 'interaction', {
+      interactionId: data.id,
+    });
+
+    if (template) {
+      await recordTemplateUse(template);
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        interaction: data,
+        lifecycleTransition,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('WhatsApp link confirm error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to log WhatsApp message',
+      },
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,582 @@
+/**
+ * Workspace Routes
+ * ResultMarketing CRM - Team workspaces, members and owner reassignment
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../services/supabase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getRole, hasPermission, getRolePermissions } = require('../services/permissions');
+const {
+  WORKSPACE_ROLES,
+  getWorkspaceMembers,
+  moveRecordsToWorkspace,
+  reassignOwner,
+} = require('../services/workspaces');
+
+// Maximum contacts per partial reassignment request
+const MAX_REASSIGN_CONTACTS = 1000;
+
+/**
+ * Require the caller to be in a workspace
+ */
+function requireWorkspace(req, res, next) {
+  if (!req.workspace) {
+    return res.status(404).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'NO_WORKSPACE',
+        message: 'You are not a member of a workspace',
+      },
+    });
+  }
+
+  next();
+}
+
+/**
+ * Count admins in a workspace
+ */
+async function countAdmins(workspaceId) {
+  const { count } = await supabase
+    .from('workspace_members')
+    .select('*', { count: 'exact', head: true })
+    .eq('workspace_id', workspaceId)
+    .eq('role', 'admin');
+
+  return count || 0;
+}
+
+/**
+ * GET /api/workspaces
+ * Get the caller's workspace with its members and the caller's permissions
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    if (!req.workspace) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          workspace: null,
+          members: [],
+          permissions: getRolePermissions(getRole(req)),
+        },
+        error: null,
+      });
+    }
+
+    const members = await getWorkspaceMembers(req.workspace.id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        workspace: req.workspace,
+        members,
+        permissions: getRolePermissions(getRole(req)),
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Get workspace error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch workspace',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/workspaces
+ * Create a workspace; the caller becomes its admin and brings their records in
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name } = req.body;
+
+    if (!name || name.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Workspace name must be at least 2 characters',
+        },
+      });
+    }
+
+    if (req.workspace) {
+      return res.status(409).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'ALREADY_IN_WORKSPACE',
+          message: `You are already a member of ${req.workspace.name}`,
+        },
+      });
+    }
+
+    const { data: workspace, error } = await supabase
+      .from('workspaces')
+      .insert({
+        name: name.trim(),
+        owner_id: userId,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const { error: memberError } = await supabase
+      .from('workspace_members')
+      .insert({
+        workspace_id: workspace.id,
+        user_id: userId,
+        role: 'admin',
+      });
+
+    if (memberError) {
+      await supabase.from('workspaces').delete().eq('id', workspace.id);
+      throw memberError;
+    }
+
+    const moved = await moveRecordsToWorkspace(userId, workspace.id);
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        workspace: { ...workspace, role: 'admin' },
+        moved,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Create workspace error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to create workspace',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/workspaces
+ * Rename the workspace (admin)
+ */
+router.put('/', authenticateToken, requireWorkspace, requirePermission('workspace:manage'), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || name.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Workspace name must be at least 2 characters',
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('workspaces')
+      .update({ name: name.trim(), updated_at: new Date().toISOString() })
+      .eq('id', req.workspace.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        workspace: { ...data, role: req.workspace.role },
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Update workspace error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update workspace',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/workspaces/members
+ * Add an existing user to the workspace by email (admin)
+ */
+router.post('/members', authenticateToken, requireWorkspace, requirePermission('workspace:manage'), async (req, res) => {
+  try {
+    const { email, role = 'rep' } = req.body;
+
+    if (!email || !WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Email is required and role must be one of: ${WORKSPACE_ROLES.join(', ')}`,
+        },
+      });
+    }
+
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('id, name, email')
+      .ilike('email', email.trim())
+      .single();
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'No user with this email. Ask them to sign up first.',
+        },
+      });
+    }
+
+    // A user belongs to one workspace; a second membership row would break sign-in
+    const { count: memberships, error: membershipError } = await supabase
+      .from('workspace_members')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', profile.id);
+
+    if (membershipError) {
+      throw membershipError;
+    }
+
+    if (memberships > 0) {
+      return res.status(409).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'ALREADY_IN_WORKSPACE',
+          message: 'This user is already a member of a workspace',
+        },
+      });
+    }
+
+    const { data: member, error } = await supabase
+      .from('workspace_members')
+      .insert({
+        workspace_id: req.workspace.id,
+        user_id: profile.id,
+        role,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Unique (user_id) - a user belongs to one workspace
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          data: null,
+          error: {
+            code: 'ALREADY_IN_WORKSPACE',
+            message: 'This user is already a member of a workspace',
+          },
+        });
+      }
+      throw error;
+    }
+
+    const moved = await moveRecordsToWorkspace(profile.id, req.workspace.id);
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        member: { ...member, profile },
+        moved,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Add workspace member error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to add workspace member',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/workspaces/members/:userId
+ * Change a member's role (admin)
+ */
+router.put('/members/:userId', authenticateToken, requireWorkspace, requirePermission('workspace:manage'), async (req, res) => {
+  try {
+    const { userId: memberId } = req.params;
+    const { role } = req.body;
+
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}`,
+        },
+      });
+    }
+
+    const { data: existing } = await supabase
+      .from('workspace_members')
+      .select('role')
+      .eq('workspace_id', req.workspace.id)
+      .eq('user_id', memberId)
+      .single();
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Member not found',
+        },
+      });
+    }
+
+    if (existing.role === 'admin' && role !== 'admin' && (await countAdmins(req.workspace.id)) <= 1) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'LAST_ADMIN',
+          message: 'A workspace needs at least one admin',
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .update({ role })
+      .eq('workspace_id', req.workspace.id)
+      .eq('user_id', memberId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        member: data,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Update workspace member error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update workspace member',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/workspaces/members/:userId
+ * Remove a member (workspace:manage) or leave the workspace (self)
+ * Their records stay in the workspace so they can be reassigned
+ */
+router.delete('/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { userId: memberId } = req.params;
+
+    if (!req.workspace) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NO_WORKSPACE',
+          message: 'You are not a member of a workspace',
+        },
+      });
+    }
+
+    if (memberId !== req.user.id && !hasPermission(getRole(req), 'workspace:manage')) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only admins can remove other members',
+        },
+      });
+    }
+
+    const { data: existing } = await supabase
+      .from('workspace_members')
+      .select('role')
+      .eq('workspace_id', req.workspace.id)
+      .eq('user_id', memberId)
+      .single();
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Member not found',
+        },
+      });
+    }
+
+    if (existing.role === 'admin' && (await countAdmins(req.workspace.id)) <= 1) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'LAST_ADMIN',
+          message: 'Make another member admin before removing the last admin',
+        },
+      });
+    }
+
+    const { error } = await supabase
+      .from('workspace_members')
+      .delete()
+      .eq('workspace_id', req.workspace.id)
+      .eq('user_id', memberId);
+
+    if (error) {
+      throw error;
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        message: 'Member removed from workspace',
+        userId: memberId,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Remove workspace member error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to remove workspace member',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/workspaces/reassign
+ * Reassign contacts (and their interactions, opportunities and reminders) to another owner
+ * Body: { fromUserId, toUserId, contactIds? } - without contactIds the whole book moves
+ */
+router.post('/reassign', authenticateToken, requireWorkspace, requirePermission('workspace:reassign'), async (req, res) => {
+  try {
+    const { fromUserId, toUserId, contactIds } = req.body;
+
+    if (!fromUserId || !toUserId || fromUserId === toUserId) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'fromUserId and toUserId are required and must differ',
+        },
+      });
+    }
+
+    if (contactIds !== undefined
+      && (!Array.isArray(contactIds) || contactIds.length === 0 || contactIds.length > MAX_REASSIGN_CONTACTS)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `contactIds must be a non-empty array of at most ${MAX_REASSIGN_CONTACTS} IDs`,
+        },
+      });
+    }
+
+    // The new owner must be a current member; the previous owner may have left
+    const { data: target } = await supabase
+      .from('workspace_members')
+      .select('user_id')
+      .eq('workspace_id', req.workspace.id)
+      .eq('user_id', toUserId)
+      .single();
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'New owner is not a member of this workspace',
+        },
+      });
+    }
+
+    const reassigned = await reassignOwner({
+      workspaceId: req.workspace.id,
+      fromUserId,
+      toUserId,
+      contactIds,
+      actorId: req.user.id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        fromUserId,
+        toUserId,
+        reassigned,
+      },
+      error: null,
+    });
+  } catch (err) {
+    console.error('Reassign owner error:', err);
+    return res.status(500).json({
+      success: false,
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to reassign records',
+      },
+    });
+  }
+});
+
+module.exports = router;
@@ -13,12 +13,19 @@ const morgan = require('morgan');
 // Import routes
 const authRoutes = require('./routes/auth');
 const contactsRoutes = require('./routes/contacts');
+const contactListsRoutes = require('./routes/contactLists');
+const contactGroupsRoutes = require('./routes/contactGroups');
+const customFieldsRoutes = require('./routes/customFields');
+const companiesRoutes = require('./routes/companies');
 const interactionsRoutes = require('./routes/interactions');
 const opportunitiesRoutes = require('./routes/opportunities');
 const remindersRoutes = require('./routes/reminders');
 const uploadsRoutes = require('./routes/uploads');
 const chatRoutes = require('./routes/chat');
 const paymentsRoutes = require('./routes/payments');
+const workspacesRoutes = require('./routes/workspaces');
+const inboundEmailRoutes = require('./routes/inboundEmail');
+const whatsappRoutes = require('./routes/whatsapp');
 
 // Import middleware
 const { globalRateLimit } = require('./middleware/rateLimit');
@@ -103,13 +110,21 @@ app.get('/api/health', (req, res) => {
 // ===========================================
 
 app.use('/api/auth', authRoutes);
+// Mounted before /api/contacts so 'lists', 'groups' and 'fields' aren't taken as contact IDs
+app.use('/api/contacts/lists', contactListsRoutes);
+app.use('/api/contacts/groups', contactGroupsRoutes);
+app.use('/api/contacts/fields', customFieldsRoutes);
 app.use('/api/contacts', contactsRoutes);
+app.use('/api/companies', companiesRoutes);
 app.use('/api/interactions', interactionsRoutes);
 app.use('/api/opportunities', opportunitiesRoutes);
 app.use('/api/reminders', remindersRoutes);
 app.use('/api/uploads', uploadsRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/payments', paymentsRoutes);
+app.use('/api/workspaces', workspacesRoutes);
+app.use('/api/inbound-email', inboundEmailRoutes);
+app.use('/api/whatsapp', whatsappRoutes);
 
 // ===========================================
 // 404 HANDLER
@@ -251,6 +266,14 @@ const server = app.listen(PORT, () => {
   `);
 });
 
+// Schedule background maintenance jobs (requires Redis)
+if (process.env.REDIS_HOST) {
+  const { scheduleMaintenanceJobs } = require('./services/queue');
+  scheduleMaintenanceJobs().catch((err) => {
+    console.error('Failed to schedule maintenance jobs:', err);
+  });
+}
+
 // Handle shutdown signals
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
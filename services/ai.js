@@ -106,6 +106,10 @@ async function sendChatMessage(userMessage, conversationHistory = [], context =
 function buildUserMessageWithContext(userMessage, context) {
   let contextStr = '';
 
+  if (context.list) {
+    contextStr += `\n\n[Saved List: ${context.list.name} - ${context.list.total} contacts]`;
+  }
+
   if (context.contacts && context.contacts.length > 0) {
     contextStr += '\n\n[Relevant Contacts Context]\n';
     if (context.contacts.length <= 10) {
@@ -316,18 +320,28 @@ If information is unclear, use null.`,
 
 /**
  * Transcribe voice memo
+ * Without a language Whisper detects it, which handles Bahasa Malaysia, English and a mix of both
  * @param {Buffer} audioBuffer - Audio file buffer
- * @returns {Promise<{success: boolean, text?: string, error?: string}>}
+ * @param {object} options - { fileName (extension tells Whisper the format), language ('ms' or 'en') }
+ * @returns {Promise<{success: boolean, text?: string, language?: string, duration?: number, error?: string}>}
  */
-async function transcribeVoice(audioBuffer) {
+async function transcribeVoice(audioBuffer, { fileName = 'voice-note.m4a', language } = {}) {
   try {
     const transcription = await openai.audio.transcriptions.create({
-      file: audioBuffer,
+      file: await OpenAI.toFile(audioBuffer, fileName),
       model: 'whisper-1',
-      language: 'en', // Can detect Malay as well
+      response_format: 'verbose_json',
+      // Prompt with local vocabulary so names and code-switching transcribe cleanly
+      prompt: 'Nota jualan selepas panggilan atau mesyuarat dengan pelanggan di Malaysia. Sales notes after a call or meeting.',
+      ...(language ? { language } : {}),
     });
 
-    return { success: true, text: transcription.text };
+    return {
+      success: true,
+      text: transcription.text,
+      language: transcription.language,
+      duration: transcription.duration,
+    };
   } catch (err) {
     console.error('Voice transcription error:', err);
     return { success: false, error: err.message };
@@ -393,6 +407,113 @@ Respond in JSON:
   }
 }
 
+/**
+ * Extract a draft interaction from a voice note transcript
+ * @param {string} transcript - Transcribed voice note
+ * @param {object} options - { interactionTypes, dispositions (type -> codes), today (YYYY-MM-DD) }
+ * @returns {Promise<{success: boolean, extraction?: object, error?: string}>}
+ */
+async function extractInteractionFromVoice(transcript, { interactionTypes, dispositions, today }) {
+  try {
+    const dispositionList = Object.entries(dispositions)
+      .map(([type, codes]) => `- ${type}: ${codes.map((c) => c.code).join(', ')}`)
+      .join('\n');
+
+    const prompt = `A sales rep recorded this voice note after talking to a customer. It may be in Bahasa Malaysia, English or a mix of both.
+
+Transcript:
+"""${transcript}"""
+
+Today is ${today} (Malaysia time).
+
+Extract the interaction the rep is describing:
+- contactName: the customer's name as spoken (null if not mentioned)
+- company: the customer's company (null if not mentioned)
+- type: one of ${interactionTypes.join(', ')}
+- disposition: for these types only, one of
+${dispositionList}
+  (null if unclear or for other types)
+- outcome: one short sentence in English describing the result
+- notes: a concise English summary of what was discussed, keeping names, amounts and commitments
+- durationMinutes: number if mentioned, else null
+- followUp: if the rep mentions a next step, { "date": "YYYY-MM-DD" (resolve relative dates like "next Tuesday" or "minggu depan" from today), "title": short reminder title in English }, else null
+
+Respond in JSON:
+{
+  "contactName": "name or null",
+  "company": "company or null",
+  "type": "call",
+  "disposition": "code or null",
+  "outcome": "text",
+  "notes": "text",
+  "durationMinutes": null,
+  "followUp": null,
+  "confidence": 0.0-1.0
+}`;
+
+    const response = await anthropic.messages.create({
+      model: process.env.CLAUDE_MODEL || 'claude-3-sonnet-20240229',
+      max_tokens: 600,
+      messages: [{ role: 'user', content: prompt }],
+    });
+
+    const responseText = response.content[0].text;
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+
+    if (jsonMatch) {
+      return { success: true, extraction: JSON.parse(jsonMatch[0]) };
+    }
+
+    return { success: false, error: 'Could not parse AI response' };
+  } catch (err) {
+    console.error('Voice extraction error:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Summarize a WhatsApp conversation with a customer
+ * @param {string} transcript - Messages as "HH:mm Sender: text" lines
+ * @param {object} options - { contactName }
+ * @returns {Promise<{success: boolean, summary?: {notes: string, outcome: string|null}, error?: string}>}
+ */
+async function summarizeConversation(transcript, { contactName } = {}) {
+  try {
+    const prompt = `This is a WhatsApp conversation between a sales rep and their customer${contactName ? ` ${contactName}` : ''}. It may be in Bahasa Malaysia, English or a mix of both.
+
+Conversation:
+"""${transcript}"""
+
+Summarize it for the CRM:
+- notes: 1-3 concise English sentences on what was discussed, keeping names, amounts, dates and commitments
+- outcome: one short English sentence with the result or next step (null if there is none)
+
+Respond in JSON:
+{
+  "notes": "text",
+  "outcome": "text or null"
+}`;
+
+    const response = await anthropic.messages.create({
+      model: process.env.CLAUDE_MODEL || 'claude-3-sonnet-20240229',
+      max_tokens: 400,
+      messages: [{ role: 'user', content: prompt }],
+    });
+
+    const responseText = response.content[0].text;
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+
+    if (jsonMatch) {
+      return { success: true, summary: JSON.parse(jsonMatch[0]) };
+    }
+
+    return { success: false, error: 'Could not parse AI response' };
+  } catch (err) {
+    console.error('Conversation summary error:', err);
+    return { success: false, error: err.message };
+  }
+}
+
 /**
  * Categorize contact by industry
  * @param {object} contact - Contact information
@@ -460,6 +581,8 @@ module.exports = {
   analyzeSpreadsheetData,
   extractNamecardText,
   transcribeVoice,
+  extractInteractionFromVoice,
+  summarizeConversation,
   generateFollowUpSuggestions,
   categorizeContact,
 };
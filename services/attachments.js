@@ -0,0 +1,239 @@
+/**
+ * Attachments Service
+ * ResultMarketing CRM - Files attached to interactions (photos, documents, voice notes)
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { supabase, uploadFile, deleteFile, createSignedUrls } = require('./supabase');
+
+// Private storage bucket for attachments (downloads go through signed URLs)
+const ATTACHMENTS_BUCKET = process.env.ATTACHMENTS_BUCKET || 'interaction-attachments';
+
+// Attachment kinds with their allowed MIME types and size limits
+const ATTACHMENT_KINDS = {
+  photo: {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/heic'],
+    maxBytes: 5 * 1024 * 1024, // 5MB
+  },
+  document: {
+    mimeTypes: [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ],
+    maxBytes: 10 * 1024 * 1024, // 10MB
+  },
+  voice_note: {
+    mimeTypes: [
+      'audio/mpeg',
+      'audio/mp4',
+      'audio/m4a',
+      'audio/x-m4a',
+      'audio/aac',
+      'audio/ogg',
+      'audio/webm',
+      'audio/wav',
+      'audio/x-wav',
+    ],
+    maxBytes: 10 * 1024 * 1024, // 10MB
+  },
+};
+
+// Largest file of any kind (the multer limit)
+const MAX_ATTACHMENT_BYTES = Math.max(...Object.values(ATTACHMENT_KINDS).map((k) => k.maxBytes));
+
+// Files per upload request and per interaction
+const MAX_FILES_PER_UPLOAD = 5;
+const MAX_ATTACHMENTS_PER_INTERACTION = 20;
+
+// Signed download URLs expire after this many seconds
+const SIGNED_URL_EXPIRY = parseInt(process.env.ATTACHMENT_URL_EXPIRY || '3600', 10);
+
+/**
+ * Get the attachment kind for a MIME type
+ * @param {string} mimeType - File MIME type
+ * @returns {string|null} Null when the type isn't allowed
+ */
+function getAttachmentKind(mimeType) {
+  const entry = Object.entries(ATTACHMENT_KINDS).find(([, kind]) => kind.mimeTypes.includes(mimeType));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Validate an uploaded file against its kind's limits
+ * @param {object} file - Multer file
+ * @returns {string|null} Error message
+ */
+function validateAttachment(file) {
+  const kind = getAttachmentKind(file.mimetype);
+
+  if (!kind) {
+    return `${file.originalname}: file type not allowed. Attach photos, PDF/Office documents or voice notes.`;
+  }
+
+  const { maxBytes } = ATTACHMENT_KINDS[kind];
+  if (file.size > maxBytes) {
+    return `${file.originalname}: ${kind.replace('_', ' ')}s can be at most ${maxBytes / (1024 * 1024)}MB`;
+  }
+
+  return null;
+}
+
+/**
+ * Upload files and record them as attachments of an interaction
+ * Uploaded files are removed again if recording fails
+ * @param {object} interaction - Interaction row (id, user_id, workspace_id)
+ * @param {Array<object>} files - Validated multer files
+ * @param {string} uploadedBy - User ID of the uploader
+ * @returns {Promise<Array>} Attachment rows
+ */
+async function addAttachments(interaction, files, uploadedBy) {
+  const uploaded = [];
+
+  try {
+    for (const file of files) {
+      const storagePath = `${interaction.id}/${uuidv4()}${path.extname(file.originalname).toLowerCase()}`;
+      const result = await uploadFile(ATTACHMENTS_BUCKET, storagePath, file.buffer, file.mimetype);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      uploaded.push({
+        interaction_id: interaction.id,
+        user_id: interaction.user_id,
+        workspace_id: interaction.workspace_id || null,
+        uploaded_by: uploadedBy,
+        kind: getAttachmentKind(file.mimetype),
+        file_name: file.originalname,
+        content_type: file.mimetype,
+        size_bytes: file.size,
+        storage_path: storagePath,
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('interaction_attachments')
+      .insert(uploaded)
+      .select();
+
+    if (error) throw error;
+    return data;
+  } catch (err) {
+    await Promise.all(uploaded.map((a) => deleteFile(ATTACHMENTS_BUCKET, a.storage_path)));
+    throw err;
+  }
+}
+
+/**
+ * Add signed download URLs to attachment rows
+ * @param {Array} attachments - Attachment rows
+ * @returns {Promise<Array>} Rows with url and urlExpiresAt
+ */
+async function withDownloadUrls(attachments) {
+  const result = await createSignedUrls(
+    ATTACHMENTS_BUCKET,
+    attachments.map((a) => a.storage_path),
+    SIGNED_URL_EXPIRY
+  );
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const expiresAt = new Date(Date.now() + SIGNED_URL_EXPIRY * 1000).toISOString();
+
+  return attachments.map((a) => ({
+    ...a,
+    url: result.urls[a.storage_path] || null,
+    urlExpiresAt: expiresAt,
+  }));
+}
+
+/**
+ * Get an interaction's attachments with download URLs
+ * @param {string} interactionId - Interaction ID
+ * @returns {Promise<Array>}
+ */
+async function getAttachments(interactionId) {
+  const { data, error } = await supabase
+    .from('interaction_attachments')
+    .select('*')
+    .eq('interaction_id', interactionId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return withDownloadUrls(data);
+}
+
+/**
+ * Count an interaction's attachments
+ * @param {string} interactionId - Interaction ID
+ * @returns {Promise<number>}
+ */
+async function countAttachments(interactionId) {
+  const { count, error } = await supabase
+    .from('interaction_attachments')
+    .select('*', { count: 'exact', head: true })
+    .eq('interaction_id', interactionId);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * Delete attachment rows and their files
+ * Never throws - cleanup must not break the delete it follows
+ * @param {object} filter - { interactionIds } or { ids } (attachment IDs)
+ * @returns {Promise<{success: boolean, deleted?: number, error?: string}>}
+ */
+async function deleteAttachments({ interactionIds, ids }) {
+  try {
+    const column = ids ? 'id' : 'interaction_id';
+    const values = ids || interactionIds;
+
+    if (!values || values.length === 0) {
+      return { success: true, deleted: 0 };
+    }
+
+    const { data, error } = await supabase
+      .from('interaction_attachments')
+      .delete()
+      .in(column, values)
+      .select('storage_path');
+
+    if (error) {
+      console.error('[Attachments] Delete error:', error.message);
+      return { success: false, error: error.message };
+    }
+
+    for (const { storage_path: storagePath } of data) {
+      const result = await deleteFile(ATTACHMENTS_BUCKET, storagePath);
+      if (!result.success) {
+        console.error('[Attachments] Delete file error:', storagePath, result.error);
+      }
+    }
+
+    return { success: true, deleted: data.length };
+  } catch (err) {
+    console.error('[Attachments] Delete error:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  ATTACHMENT_KINDS,
+  MAX_ATTACHMENT_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  MAX_ATTACHMENTS_PER_INTERACTION,
+  getAttachmentKind,
+  validateAttachment,
+  addAttachments,
+  withDownloadUrls,
+  getAttachments,
+  countAttachments,
+  deleteAttachments,
+};
@@ -0,0 +1,181 @@
+/**
+ * Audit Service
+ * ResultMarketing CRM - Field-level change history for contacts
+ */
+
+const { supabase } = require('./supabase');
+
+// Where a change came from
+const AUDIT_SOURCES = [
+  'manual',
+  'chat_quick_action',
+  'spreadsheet_import',
+  'namecard_scan',
+  'inbound_email',
+  'system',
+];
+
+// What happened to the contact
+const AUDIT_ACTIONS = [
+  'create',
+  'update',
+  'bulk_update',
+  'delete',
+  'restore',
+  'merge',
+  'revert',
+  'reassign',
+  'quick_action',
+];
+
+// Contact fields captured in history snapshots and diffs
+const TRACKED_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'company',
+  'company_id',
+  'position',
+  'industry',
+  'category',
+  'address',
+  'notes',
+  'tags',
+  'custom_fields',
+  'status',
+  'source',
+  'namecard_image',
+];
+
+// Rows written per insert when recording many entries
+const AUDIT_BATCH_SIZE = 500;
+
+/**
+ * Pick tracked fields from a contact row
+ * @param {object} contact - Contact row
+ * @returns {object|null}
+ */
+function snapshotContact(contact) {
+  if (!contact) return null;
+
+  return TRACKED_FIELDS.reduce((acc, field) => {
+    if (contact[field] !== undefined) {
+      acc[field] = contact[field];
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Compute before/after diff of tracked fields
+ * @param {object|null} before - Contact before the change
+ * @param {object|null} after - Contact after the change
+ * @returns {object} Map of field -> { from, to }
+ */
+function diffContact(before, after) {
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+
+    // Skip fields the update didn't touch
+    if (after && after[field] === undefined && before) continue;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Build a history row
+ */
+function buildHistoryEntry({ userId, actorId, contactId, action, source, before, after, metadata }) {
+  const snapshot = action === 'delete' ? before : after;
+
+  return {
+    user_id: userId,
+    contact_id: contactId,
+    actor_id: actorId || userId,
+    action,
+    source: AUDIT_SOURCES.includes(source) ? source : 'manual',
+    changes: diffContact(before, after),
+    snapshot: snapshotContact(snapshot),
+    metadata: metadata || {},
+  };
+}
+
+/**
+ * Record a contact history entry
+ * Never throws - history must not break the change it describes
+ * @param {object} entry - { userId, actorId, contactId, action, source, before, after, metadata }
+ * @returns {Promise<{success: boolean, entry?: object, error?: string}>}
+ */
+async function recordContactHistory(entry) {
+  try {
+    const row = buildHistoryEntry(entry);
+
+    // Nothing changed - don't write an empty update entry
+    if (row.action === 'update' && Object.keys(row.changes).length === 0) {
+      return { success: true, skipped: true };
+    }
+
+    const { data, error } = await supabase
+      .from('contact_history')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[Audit] Record history error:', error.message);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, entry: data };
+  } catch (err) {
+    console.error('[Audit] Record history error:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Record many contact history entries (bulk operations and imports)
+ * @param {Array} entries - Entries as accepted by recordContactHistory
+ * @returns {Promise<{success: boolean, recorded?: number, error?: string}>}
+ */
+async function recordContactHistoryBatch(entries) {
+  try {
+    const rows = entries
+      .map(buildHistoryEntry)
+      .filter((row) => row.action !== 'bulk_update' || Object.keys(row.changes).length > 0);
+
+    for (let i = 0; i < rows.length; i += AUDIT_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('contact_history')
+        .insert(rows.slice(i, i + AUDIT_BATCH_SIZE));
+
+      if (error) {
+        console.error('[Audit] Record history batch error:', error.message);
+        return { success: false, error: error.message };
+      }
+    }
+
+    return { success: true, recorded: rows.length };
+  } catch (err) {
+    console.error('[Audit] Record history batch error:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  AUDIT_SOURCES,
+  AUDIT_ACTIONS,
+  TRACKED_FIELDS,
+  snapshotContact,
+  diffContact,
+  recordContactHistory,
+  recordContactHistoryBatch,
+};
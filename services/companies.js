@@ -0,0 +1,245 @@
+/**
+ * Companies Service
+ * ResultMarketing CRM - Company (account) matching for free-text contact companies
+ */
+
+const { supabase } = require('./supabase');
+const { normalizeCompany, similarity } = require('./duplicates');
+
+// Minimum similarity for a fuzzy company name match
+const COMPANY_MATCH_THRESHOLD = 0.85;
+
+// Rows fetched/updated per query when linking existing contacts
+const MATCH_BATCH_SIZE = 500;
+
+// Well-known Malaysian companies that are often written under another name
+const KNOWN_COMPANY_ALIASES = {
+  maybank: ['malayan banking', 'maybank islamic'],
+  cimb: ['cimb bank', 'cimb islamic', 'cimb islamic bank'],
+  'public bank': ['pbb', 'public islamic bank'],
+  'hong leong bank': ['hlb', 'hong leong islamic bank'],
+  'rhb bank': ['rhb', 'rhb islamic bank'],
+  tnb: ['tenaga nasional'],
+  petronas: ['petroliam nasional'],
+  tm: ['telekom malaysia'],
+  'air asia': ['airasia', 'capital a'],
+};
+
+const ALIAS_TO_CANONICAL = Object.entries(KNOWN_COMPANY_ALIASES).reduce(
+  (acc, [canonical, aliases]) => {
+    acc[canonical] = canonical;
+    aliases.forEach((alias) => {
+      acc[alias] = canonical;
+    });
+    return acc;
+  },
+  {}
+);
+
+/**
+ * Comparison key for a company name (normalized, known aliases collapsed)
+ * @param {string} name - Company name as written
+ * @returns {string}
+ */
+function companyKey(name) {
+  const normalized = normalizeCompany(name);
+  return ALIAS_TO_CANONICAL[normalized] || normalized;
+}
+
+/**
+ * Find the company a free-text company name refers to
+ * @param {Array} companies - Companies with id, name, aliases
+ * @param {string} name - Company name to match
+ * @returns {object|null} Matching company
+ */
+function findMatchingCompany(companies, name) {
+  const key = companyKey(name);
+  if (!key) return null;
+
+  let best = null;
+  let bestScore = 0;
+
+  for (const company of companies) {
+    const keys = [company.name, ...(company.aliases || [])].map(companyKey);
+
+    if (keys.includes(key)) {
+      return company;
+    }
+
+    const score = Math.max(...keys.map((k) => similarity(k, key)));
+    if (score > bestScore) {
+      best = company;
+      bestScore = score;
+    }
+  }
+
+  return bestScore >= COMPANY_MATCH_THRESHOLD ? best : null;
+}
+
+/**
+ * Load all of a user's companies for matching
+ */
+async function loadCompanies(userId) {
+  const { data, error } = await supabase
+    .from('companies')
+    .select('id, name, aliases')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Create a company from a contact's free-text company name
+ */
+async function createCompany(userId, name) {
+  const { data, error } = await supabase
+    .from('companies')
+    .insert({
+      user_id: userId,
+      name: name.trim(),
+      aliases: [],
+    })
+    .select('id, name, aliases')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Resolve the company ID for a contact's company name, creating the company if new
+ * @param {string} userId - User ID
+ * @param {string} companyName - Free-text company name
+ * @returns {Promise<string|null>} Company ID
+ */
+async function resolveCompanyId(userId, companyName) {
+  if (!companyName || !companyKey(companyName)) return null;
+
+  const companies = await loadCompanies(userId);
+  const match = findMatchingCompany(companies, companyName);
+  if (match) return match.id;
+
+  const company = await createCompany(userId, companyName);
+  return company.id;
+}
+
+/**
+ * Link every contact that has a company name but no company
+ * @param {string} userId - User ID
+ * @returns {Promise<{success: boolean, linked?: number, created?: number, error?: string}>}
+ */
+async function matchExistingCompanies(userId) {
+  try {
+    const unlinked = [];
+
+    for (let offset = 0; ; offset += MATCH_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('contacts')
+        .select('id, company')
+        .eq('user_id', userId)
+        .is('company_id', null)
+        .not('company', 'is', null)
+        .order('id', { ascending: true })
+        .range(offset, offset + MATCH_BATCH_SIZE - 1);
+
+      if (error) throw error;
+
+      unlinked.push(...data);
+      if (data.length < MATCH_BATCH_SIZE) break;
+    }
+
+    const companies = await loadCompanies(userId);
+    const byCompanyId = new Map();
+    let created = 0;
+
+    for (const contact of unlinked) {
+      if (!companyKey(contact.company)) continue;
+
+      let company = findMatchingCompany(companies, contact.company);
+      if (!company) {
+        company = await createCompany(userId, contact.company);
+        companies.push(company);
+        created++;
+      }
+
+      if (!byCompanyId.has(company.id)) byCompanyId.set(company.id, []);
+      byCompanyId.get(company.id).push(contact.id);
+    }
+
+    let linked = 0;
+    for (const [companyId, contactIds] of byCompanyId) {
+      for (let i = 0; i < contactIds.length; i += MATCH_BATCH_SIZE) {
+        const batchIds = contactIds.slice(i, i + MATCH_BATCH_SIZE);
+        const { error } = await supabase
+          .from('contacts')
+          .update({ company_id: companyId })
+          .eq('user_id', userId)
+          .in('id', batchIds);
+
+        if (error) throw error;
+        linked += batchIds.length;
+      }
+    }
+
+    return { success: true, linked, created };
+  } catch (err) {
+    console.error('Company matching error:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Link contacts to the matching company among a user's companies, creating it if new
+ * For contacts that changed owner - companies belong to the owner, so the old link isn't theirs
+ * @param {string} userId - The contacts' (new) owner
+ * @param {Array} contacts - Contact rows with id, company and company_id
+ * @returns {Promise<Map>} Contact ID -> company ID (or null) for contacts whose link changed
+ */
+async function relinkCompanies(userId, contacts) {
+  const companies = await loadCompanies(userId);
+  const byCompanyId = new Map();
+  const relinked = new Map();
+
+  for (const contact of contacts) {
+    let company = null;
+
+    if (contact.company && companyKey(contact.company)) {
+      company = findMatchingCompany(companies, contact.company);
+      if (!company) {
+        company = await createCompany(userId, contact.company);
+        companies.push(company);
+      }
+    }
+
+    const companyId = company ? company.id : null;
+    if (companyId === contact.company_id) continue;
+
+    relinked.set(contact.id, companyId);
+    if (!byCompanyId.has(companyId)) byCompanyId.set(companyId, []);
+    byCompanyId.get(companyId).push(contact.id);
+  }
+
+  for (const [companyId, contactIds] of byCompanyId) {
+    for (let i = 0; i < contactIds.length; i += MATCH_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('contacts')
+        .update({ company_id: companyId })
+        .eq('user_id', userId)
+        .in('id', contactIds.slice(i, i + MATCH_BATCH_SIZE));
+
+      if (error) throw error;
+    }
+  }
+
+  return relinked;
+}
+
+module.exports = {
+  KNOWN_COMPANY_ALIASES,
+  companyKey,
+  findMatchingCompany,
+  resolveCompanyId,
+  matchExistingCompanies,
+  relinkCompanies,
+};
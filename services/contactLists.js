@@ -0,0 +1,233 @@
+/**
+ * Contact Lists Service
+ * ResultMarketing CRM - Saved searches with dynamically evaluated membership
+ */
+
+const { supabase } = require('./supabase');
+const { applyTextSearch } = require('./search');
+const { scopeToAccess } = require('./workspaces');
+
+// Filters a saved list can store (same names as GET /api/contacts/search)
+const LIST_FILTER_FIELDS = {
+  q: 'string',
+  name: 'string',
+  company: 'string',
+  industry: 'string',
+  category: 'string',
+  status: 'string',
+  phone: 'string',
+  email: 'string',
+  location: 'string',
+  tags: 'array',
+  hasInteraction: 'boolean',
+  createdAfter: 'date',
+  createdBefore: 'date',
+  notContactedDays: 'number',
+  contactedWithinDays: 'number',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate saved list filters
+ * @param {object} filters - Map of filter -> value
+ * @returns {Array<string>} Validation errors
+ */
+function validateListFilters(filters) {
+  const errors = [];
+
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return ['Filters must be an object'];
+  }
+
+  for (const [field, value] of Object.entries(filters)) {
+    const type = LIST_FILTER_FIELDS[field];
+
+    if (!type) {
+      errors.push(`Unknown filter '${field}'`);
+      continue;
+    }
+
+    if (value === null || value === undefined || value === '') continue;
+
+    switch (type) {
+      case 'string':
+        if (typeof value !== 'string') errors.push(`Filter '${field}' must be a string`);
+        break;
+      case 'array':
+        if (!Array.isArray(value)) errors.push(`Filter '${field}' must be an array`);
+        break;
+      case 'boolean':
+        if (![true, false, 'true', 'false'].includes(value)) {
+          errors.push(`Filter '${field}' must be true or false`);
+        }
+        break;
+      case 'date':
+        if (isNaN(new Date(value).getTime())) errors.push(`Filter '${field}' must be a valid date`);
+        break;
+      case 'number':
+        if (!Number.isInteger(Number(value)) || Number(value) < 1) {
+          errors.push(`Filter '${field}' must be a positive whole number`);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (Object.values(filters).every((v) => v === null || v === undefined || v === '')) {
+    errors.push('At least one filter is required');
+  }
+
+  return errors;
+}
+
+/**
+ * Apply search filters to a contacts query
+ * Relative filters (notContactedDays, contactedWithinDays) are evaluated at query time
+ * @param {object} query - Supabase query on contacts
+ * @param {object} filters - Search filters
+ * @returns {object} Filtered query
+ */
+function applySearchFilters(query, filters = {}) {
+  const {
+    q,
+    name,
+    company,
+    industry,
+    category,
+    status,
+    phone,
+    email,
+    location,
+    tags,
+    hasInteraction,
+    createdAfter,
+    createdBefore,
+    notContactedDays,
+    contactedWithinDays,
+  } = filters;
+
+  // Full text search (every word must match, name variants included)
+  if (q) {
+    query = applyTextSearch(query, q, ['name', 'company', 'email', 'phone', 'notes']);
+  }
+
+  // Specific field searches
+  if (name) query = query.ilike('name', `%${name}%`);
+  if (company) query = query.ilike('company', `%${company}%`);
+  if (industry) query = query.eq('industry', industry);
+  if (category) query = query.eq('category', category);
+  if (status) query = query.eq('status', status);
+  if (phone) query = query.ilike('phone', `%${phone}%`);
+  if (email) query = query.ilike('email', `%${email}%`);
+  if (location) query = query.ilike('address', `%${location}%`);
+  if (Array.isArray(tags) && tags.length > 0) query = query.overlaps('tags', tags);
+
+  // Date filters
+  if (createdAfter) {
+    query = query.gte('created_at', createdAfter);
+  }
+  if (createdBefore) {
+    query = query.lte('created_at', createdBefore);
+  }
+
+  // Interaction filters
+  if (hasInteraction === true || hasInteraction === 'true') {
+    query = query.not('last_interaction', 'is', null);
+  } else if (hasInteraction === false || hasInteraction === 'false') {
+    query = query.is('last_interaction', null);
+  }
+
+  if (notContactedDays) {
+    const cutoff = new Date(Date.now() - parseInt(notContactedDays) * DAY_MS).toISOString();
+    query = query.or(`last_interaction.is.null,last_interaction.lt.${cutoff}`);
+  }
+  if (contactedWithinDays) {
+    const cutoff = new Date(Date.now() - parseInt(contactedWithinDays) * DAY_MS).toISOString();
+    query = query.gte('last_interaction', cutoff);
+  }
+
+  return query;
+}
+
+/**
+ * Get a saved list owned by the user
+ * @param {string} userId - User ID
+ * @param {string} listId - List ID
+ * @returns {Promise<{success: boolean, list?: object, error?: string}>}
+ */
+async function getContactList(userId, listId) {
+  const { data, error } = await supabase
+    .from('contact_lists')
+    .select('*')
+    .eq('id', listId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !data) {
+    return { success: false, error: 'List not found' };
+  }
+
+  return { success: true, list: data };
+}
+
+/**
+ * Restrict a contacts query to a list's current members the caller can access
+ * Every use of a list (counts, members, export, bulk reminders) goes through here,
+ * so a manager sees the same workspace-wide members everywhere
+ * @param {object} query - Supabase query on contacts
+ * @param {object} req - Express request (after authenticateToken)
+ * @param {object} filters - Saved filters
+ * @param {object} options - { ownerId } to filter by owner
+ * @returns {object} Scoped query
+ */
+function scopeListMembers(query, req, filters, { ownerId } = {}) {
+  return applySearchFilters(scopeToAccess(query, req, { ownerId }).is('deleted_at', null), filters);
+}
+
+/**
+ * Count contacts currently matching a list's filters
+ * @param {object} req - Express request (after authenticateToken)
+ * @param {object} filters - Saved filters
+ * @returns {Promise<number>}
+ */
+async function countListMembers(req, filters) {
+  const { count, error } = await scopeListMembers(
+    supabase.from('contacts').select('*', { count: 'exact', head: true }),
+    req,
+    filters
+  );
+
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * Fetch contacts currently matching a list's filters
+ * @param {object} req - Express request (after authenticateToken)
+ * @param {object} filters - Saved filters
+ * @param {object} options - { columns, limit, offset }
+ * @returns {Promise<Array>}
+ */
+async function getListMembers(req, filters, options = {}) {
+  const { columns = '*', limit = 50, offset = 0 } = options;
+
+  const { data, error } = await scopeListMembers(supabase.from('contacts').select(columns), req, filters)
+    .order('name', { ascending: true })
+    .order('id', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  LIST_FILTER_FIELDS,
+  validateListFilters,
+  applySearchFilters,
+  getContactList,
+  scopeListMembers,
+  countListMembers,
+  getListMembers,
+};
@@ -0,0 +1,342 @@
+/**
+ * Custom Fields Service
+ * ResultMarketing CRM - Custom field definitions (shared by a workspace) and typed values
+ */
+
+const { supabase } = require('./supabase');
+const { normalizePhone } = require('../utils/normalize');
+
+// Supported field types
+const CUSTOM_FIELD_TYPES = [
+  'text',
+  'number',
+  'date',
+  'single_select',
+  'multi_select',
+  'currency',
+  'phone',
+  'url',
+];
+
+// Types that need a list of options
+const SELECT_TYPES = ['single_select', 'multi_select'];
+
+// Types filtered with gte/lte ranges
+const RANGE_TYPES = ['number', 'currency', 'date'];
+
+// Maximum definitions per workspace (or per user, without one)
+const MAX_CUSTOM_FIELDS = 50;
+
+// Maximum length of a text value
+const MAX_TEXT_LENGTH = 1000;
+
+/**
+ * Validate a custom field definition
+ * @param {object} data - { key, label, type, options, required }
+ * @param {object} options - { partial } for updates
+ * @returns {Array<string>} Validation errors
+ */
+function validateFieldDefinition(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial) {
+    if (!data.key || !/^[a-z][a-z0-9_]{0,39}$/.test(data.key)) {
+      errors.push('Key must start with a letter and contain only lowercase letters, numbers and underscores (max 40)');
+    }
+
+    if (!CUSTOM_FIELD_TYPES.includes(data.type)) {
+      errors.push(`Type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+    }
+  }
+
+  if (!partial || data.label !== undefined) {
+    if (!data.label || data.label.trim().length < 1) {
+      errors.push('Label is required');
+    }
+  }
+
+  if (data.options !== undefined || (!partial && SELECT_TYPES.includes(data.type))) {
+    if (!Array.isArray(data.options) || data.options.length === 0) {
+      errors.push('Options must be a non-empty array for select fields');
+    } else if (new Set(data.options.map((o) => String(o).toLowerCase())).size !== data.options.length) {
+      errors.push('Options must be unique');
+    }
+  }
+
+  if (data.required !== undefined && typeof data.required !== 'boolean') {
+    errors.push('Required must be true or false');
+  }
+
+  return errors;
+}
+
+/**
+ * Owner of the definitions that apply to the caller's records
+ * Workspace members share the workspace's definitions, so reps can fill in fields managers define
+ * @param {object} req - Express request (after authenticateToken)
+ * @returns {{userId: string, workspaceId: string|null}}
+ */
+function definitionOwner(req) {
+  return { userId: req.user.id, workspaceId: req.workspace?.id || null };
+}
+
+/**
+ * Restrict a query on custom_field_definitions to one owner's definitions
+ * @param {object} query - Supabase query on custom_field_definitions
+ * @param {object} owner - { userId, workspaceId } (from definitionOwner, or a contact's owner and workspace)
+ * @returns {object} Scoped query
+ */
+function scopeFieldDefinitions(query, { userId, workspaceId }) {
+  return workspaceId
+    ? query.eq('workspace_id', workspaceId)
+    : query.eq('user_id', userId).is('workspace_id', null);
+}
+
+/**
+ * Get custom field definitions
+ * @param {object} owner - { userId, workspaceId } (from definitionOwner, or a contact's owner and workspace)
+ * @returns {Promise<Array>}
+ */
+async function getFieldDefinitions(owner) {
+  const { data, error } = await scopeFieldDefinitions(
+    supabase.from('custom_field_definitions').select('*'),
+    owner
+  )
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Parse a currency amount in RM ("RM 1,200.50", "1200.5", 1200.5)
+ */
+function parseCurrency(value) {
+  if (typeof value === 'number') return value;
+
+  const cleaned = String(value).replace(/^\s*(rm|myr)\s*/i, '').replace(/,/g, '').trim();
+  return cleaned && /^-?\d+(\.\d+)?$/.test(cleaned) ? parseFloat(cleaned) : NaN;
+}
+
+/**
+ * Find a select option case-insensitively, returning the defined spelling
+ */
+function matchOption(definition, value) {
+  const wanted = String(value).trim().toLowerCase();
+  return (definition.options || []).find((o) => String(o).toLowerCase() === wanted);
+}
+
+/**
+ * Parse one custom field value according to its definition
+ * @returns {{value?: any, error?: string}}
+ */
+function parseFieldValue(definition, raw) {
+  const label = definition.label || definition.key;
+
+  switch (definition.type) {
+    case 'text': {
+      const value = String(raw).trim();
+      if (value.length > MAX_TEXT_LENGTH) {
+        return { error: `${label} must be at most ${MAX_TEXT_LENGTH} characters` };
+      }
+      return { value };
+    }
+
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).replace(/,/g, ''));
+      return Number.isFinite(value) ? { value } : { error: `${label} must be a number` };
+    }
+
+    case 'currency': {
+      const value = parseCurrency(raw);
+      return Number.isFinite(value)
+        ? { value: Math.round(value * 100) / 100 }
+        : { error: `${label} must be an amount in RM` };
+    }
+
+    case 'date': {
+      const date = new Date(raw);
+      return isNaN(date.getTime())
+        ? { error: `${label} must be a valid date` }
+        : { value: date.toISOString().split('T')[0] };
+    }
+
+    case 'single_select': {
+      const option = matchOption(definition, raw);
+      return option !== undefined
+        ? { value: option }
+        : { error: `${label} must be one of: ${definition.options.join(', ')}` };
+    }
+
+    case 'multi_select': {
+      const values = Array.isArray(raw) ? raw : String(raw).split(/[,;]/);
+      const options = [];
+      for (const item of values.filter((v) => String(v).trim())) {
+        const option = matchOption(definition, item);
+        if (option === undefined) {
+          return { error: `${label} values must be from: ${definition.options.join(', ')}` };
+        }
+        if (!options.includes(option)) options.push(option);
+      }
+      return { value: options };
+    }
+
+    case 'phone': {
+      const value = normalizePhone(String(raw));
+      return value && /^\+?\d{8,15}$/.test(value)
+        ? { value }
+        : { error: `${label} must be a valid phone number` };
+    }
+
+    case 'url': {
+      const value = String(raw).trim();
+      return /^https?:\/\/[^\s.]+\.\S+$/i.test(value)
+        ? { value }
+        : { error: `${label} must be a URL starting with http:// or https://` };
+    }
+
+    default:
+      return { error: `${label} has an unsupported type` };
+  }
+}
+
+/**
+ * Validate and normalize custom field values against their definitions
+ * @param {object} values - Map of key -> raw value
+ * @param {Array} definitions - Custom field definitions
+ * @param {object} options - { checkRequired } to enforce required fields (create)
+ * @returns {{values: object, errors: Array<string>}}
+ */
+function parseCustomFields(values, definitions, { checkRequired = false } = {}) {
+  const errors = [];
+  const parsed = {};
+
+  if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+    return { values: {}, errors: ['Custom fields must be an object'] };
+  }
+
+  const byKey = new Map(definitions.map((d) => [d.key, d]));
+
+  for (const [key, raw] of Object.entries(values || {})) {
+    const definition = byKey.get(key);
+
+    if (!definition) {
+      errors.push(`Unknown custom field '${key}'`);
+      continue;
+    }
+
+    // Empty values leave the field unset
+    if (raw === null || raw === undefined || raw === '' || (Array.isArray(raw) && raw.length === 0)) {
+      continue;
+    }
+
+    const result = parseFieldValue(definition, raw);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      parsed[key] = result.value;
+    }
+  }
+
+  if (checkRequired) {
+    for (const definition of definitions) {
+      if (definition.required && parsed[definition.key] === undefined) {
+        errors.push(`${definition.label} is required`);
+      }
+    }
+  }
+
+  return { values: parsed, errors };
+}
+
+/**
+ * Apply custom field filters to a contacts query
+ *
+ * Filters come from `?custom[key]=value` or, for number/currency/date fields,
+ * `?custom[key][gte]=...&custom[key][lte]=...`
+ *
+ * @param {object} query - Supabase query on contacts
+ * @param {object} filters - Map of key -> value or { gte, lte }
+ * @param {Array} definitions - Custom field definitions
+ * @returns {{query?: object, errors: Array<string>}}
+ */
+function applyCustomFieldFilters(query, filters, definitions) {
+  const errors = [];
+
+  if (!filters || typeof filters !== 'object') {
+    return { query, errors };
+  }
+
+  const byKey = new Map(definitions.map((d) => [d.key, d]));
+
+  for (const [key, filter] of Object.entries(filters)) {
+    const definition = byKey.get(key);
+    if (!definition) {
+      errors.push(`Unknown custom field '${key}'`);
+      continue;
+    }
+
+    const jsonPath = `custom_fields->${key}`;
+    const textPath = `custom_fields->>${key}`;
+
+    if (RANGE_TYPES.includes(definition.type)) {
+      const bounds = typeof filter === 'object' ? filter : { eq: filter };
+
+      for (const [op, raw] of Object.entries(bounds)) {
+        if (!['eq', 'gte', 'lte'].includes(op)) {
+          errors.push(`Custom field '${key}' supports eq, gte and lte`);
+          continue;
+        }
+
+        const result = parseFieldValue(definition, raw);
+        if (result.error) {
+          errors.push(result.error);
+          continue;
+        }
+
+        // Dates are stored as YYYY-MM-DD text, numbers as JSON numbers
+        query = definition.type === 'date'
+          ? query.filter(textPath, op, result.value)
+          : query.filter(jsonPath, op, result.value);
+      }
+      continue;
+    }
+
+    if (typeof filter === 'object') {
+      errors.push(`Custom field '${key}' only supports a single value`);
+      continue;
+    }
+
+    switch (definition.type) {
+      case 'single_select':
+        query = query.ilike(textPath, String(filter));
+        break;
+      case 'multi_select': {
+        const option = matchOption(definition, filter);
+        if (option === undefined) {
+          errors.push(`${definition.label} values must be from: ${definition.options.join(', ')}`);
+          break;
+        }
+        query = query.filter(jsonPath, 'cs', JSON.stringify([option]));
+        break;
+      }
+      default:
+        query = query.ilike(textPath, `%${filter}%`);
+        break;
+    }
+  }
+
+  return { query, errors };
+}
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  MAX_CUSTOM_FIELDS,
+  validateFieldDefinition,
+  definitionOwner,
+  scopeFieldDefinitions,
+  getFieldDefinitions,
+  parseCustomFields,
+  applyCustomFieldFilters,
+};
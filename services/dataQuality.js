@@ -0,0 +1,319 @@
+/**
+ * Data Quality Service
+ * ResultMarketing CRM - Contact completeness scoring and enrichment suggestions
+ */
+
+const { supabase } = require('./supabase');
+const { normalizeEmail, normalizePhone } = require('../utils/normalize');
+const { sendMissingInfoNudge, sendDataQualityTip } = require('./notifications');
+
+// Rows fetched per page when loading a contact book
+const QUALITY_PAGE_SIZE = 1000;
+
+// Columns needed to assess a contact
+const QUALITY_COLUMNS = 'id, name, email, phone, company, position, last_interaction, created_at';
+
+// Quality checks and the points each one deducts from a perfect score of 100
+const QUALITY_CHECKS = {
+  missing_phone: { field: 'phone', weight: 25 },
+  invalid_phone: { field: 'phone', weight: 15 },
+  missing_email: { field: 'email', weight: 20 },
+  invalid_email: { field: 'email', weight: 15 },
+  generic_email: { field: 'email', weight: 5 },
+  missing_company: { field: 'company', weight: 15 },
+  missing_position: { field: 'position', weight: 5 },
+  never_contacted: { field: 'last_interaction', weight: 10 },
+  stale_interaction: { field: 'last_interaction', weight: 15 },
+};
+
+// Score bands used in summaries
+const QUALITY_BANDS = {
+  good: 80,
+  fair: 50,
+};
+
+// Days without an interaction before a contact counts as stale
+const STALE_INTERACTION_DAYS = 90;
+
+// New contacts are not flagged as never contacted during this window
+const NEW_CONTACT_GRACE_DAYS = 14;
+
+// Personal webmail domains (a B2B contact should have a work address)
+const WEBMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.com.my', 'ymail.com',
+  'hotmail.com', 'hotmail.my', 'outlook.com', 'live.com', 'msn.com',
+  'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com',
+  'streamyx.com', 'tm.net.my',
+]);
+
+// Second-level suffixes stripped when guessing a company from an email domain
+const DOMAIN_SUFFIXES = ['com.my', 'net.my', 'org.my', 'edu.my', 'gov.my', 'com.sg', 'co.uk'];
+
+// Checks that map to the missingInfo notification, in nudge priority order
+const MISSING_INFO_NUDGES = ['missing_phone', 'missing_email', 'missing_company'];
+
+// Minimum affected contacts before a user is nudged about an issue
+const MIN_NUDGE_COUNT = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a phone number against Malaysian mobile/landline formats
+ * Non-Malaysian numbers only need to look like an international number
+ * @param {string} phone - Phone as entered
+ * @returns {boolean}
+ */
+function isValidMalaysianPhone(phone) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return false;
+
+  if (normalized.startsWith('+60')) {
+    // Mobile: 01X-XXX XXXX (011/015 have 8 subscriber digits), landline: 0X-XXXX XXXX
+    return /^\+601\d{8,9}$/.test(normalized) || /^\+60[3-9]\d{7,8}$/.test(normalized);
+  }
+
+  return /^\+\d{8,15}$/.test(normalized);
+}
+
+/**
+ * Guess a company name from a work email domain
+ * @param {string} email - Email address
+ * @returns {string|null} e.g. "ali@sunway-property.com.my" -> "Sunway Property"
+ */
+function companyFromEmail(email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+
+  let domain = normalized.split('@')[1];
+  if (WEBMAIL_DOMAINS.has(domain)) return null;
+
+  const suffix = DOMAIN_SUFFIXES.find((s) => domain.endsWith(`.${s}`));
+  domain = suffix ? domain.slice(0, -(suffix.length + 1)) : domain.replace(/\.[a-z]+$/, '');
+
+  const label = domain.split('.').pop();
+  if (!label || label.length < 2) return null;
+
+  return label
+    .split(/[-_]/)
+    .filter(Boolean)
+    .map((word) => (word.length <= 3 ? word.toUpperCase() : word[0].toUpperCase() + word.slice(1)))
+    .join(' ');
+}
+
+/**
+ * Assess one contact's data quality
+ * @param {object} contact - Contact with QUALITY_COLUMNS
+ * @param {Date} now - Reference time (for staleness)
+ * @returns {{score: number, issues: Array<{code: string, field: string, message: string, suggestion?: object}>}}
+ */
+function assessContact(contact, now = new Date()) {
+  const issues = [];
+  const add = (code, message, suggestion) => {
+    issues.push({
+      code,
+      field: QUALITY_CHECKS[code].field,
+      message,
+      ...(suggestion ? { suggestion } : {}),
+    });
+  };
+
+  const email = contact.email?.trim();
+  const phone = contact.phone?.trim();
+  const company = contact.company?.trim();
+
+  // Phone
+  if (!phone) {
+    add('missing_phone', 'No phone number');
+  } else if (!isValidMalaysianPhone(phone)) {
+    add('invalid_phone', `'${phone}' is not a valid Malaysian phone number`);
+  }
+
+  // Email
+  if (!email) {
+    add('missing_email', 'No email address');
+  } else if (!normalizeEmail(email)) {
+    add('invalid_email', `'${email}' is not a valid email address`);
+  } else if (company && WEBMAIL_DOMAINS.has(normalizeEmail(email).split('@')[1])) {
+    add('generic_email', 'Personal webmail address for a business contact', {
+      action: `Ask for a work email at ${company}`,
+    });
+  }
+
+  // Company and position
+  if (!company) {
+    const guessed = email ? companyFromEmail(email) : null;
+    add('missing_company', 'No company', guessed
+      ? { field: 'company', value: guessed, action: `Company looks like ${guessed} from the email domain` }
+      : undefined);
+  }
+  if (!contact.position?.trim()) {
+    add('missing_position', 'No position or job title');
+  }
+
+  // Engagement
+  if (contact.last_interaction) {
+    const days = Math.floor((now - new Date(contact.last_interaction)) / DAY_MS);
+    if (days >= STALE_INTERACTION_DAYS) {
+      add('stale_interaction', `Last contacted ${days} days ago`, {
+        action: 'Schedule a follow-up or update the contact status',
+      });
+    }
+  } else if (contact.created_at && now - new Date(contact.created_at) >= NEW_CONTACT_GRACE_DAYS * DAY_MS) {
+    add('never_contacted', 'No interactions logged yet', {
+      action: 'Log your first call, meeting or message',
+    });
+  }
+
+  const deducted = issues.reduce((sum, issue) => sum + QUALITY_CHECKS[issue.code].weight, 0);
+
+  return { score: Math.max(0, 100 - deducted), issues };
+}
+
+/**
+ * Summarize assessed contacts
+ * @param {Array<{score: number, issues: Array}>} assessments - From assessContact
+ * @returns {{total: number, averageScore: number, bands: object, issues: object}}
+ */
+function summarizeQuality(assessments) {
+  const bands = { good: 0, fair: 0, poor: 0 };
+  const issues = Object.keys(QUALITY_CHECKS).reduce((acc, code) => {
+    acc[code] = 0;
+    return acc;
+  }, {});
+
+  let scoreTotal = 0;
+
+  for (const { score, issues: contactIssues } of assessments) {
+    scoreTotal += score;
+
+    if (score >= QUALITY_BANDS.good) bands.good++;
+    else if (score >= QUALITY_BANDS.fair) bands.fair++;
+    else bands.poor++;
+
+    contactIssues.forEach((issue) => {
+      issues[issue.code]++;
+    });
+  }
+
+  return {
+    total: assessments.length,
+    averageScore: assessments.length > 0 ? Math.round(scoreTotal / assessments.length) : 100,
+    bands,
+    issues,
+  };
+}
+
+/**
+ * Load and assess a whole contact book
+ * @param {function} scope - Restricts the contacts query, e.g. (query) => scopeToAccess(query, req)
+ * @returns {Promise<Array<{contact: object, score: number, issues: Array}>>}
+ */
+async function assessContactBook(scope) {
+  const now = new Date();
+  const assessments = [];
+
+  for (let offset = 0; ; offset += QUALITY_PAGE_SIZE) {
+    const { data, error } = await scope(supabase.from('contacts').select(QUALITY_COLUMNS))
+      .is('deleted_at', null)
+      .order('id', { ascending: true })
+      .range(offset, offset + QUALITY_PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    data.forEach((contact) => {
+      assessments.push({ contact, ...assessContact(contact, now) });
+    });
+
+    if (data.length < QUALITY_PAGE_SIZE) break;
+  }
+
+  return assessments;
+}
+
+/**
+ * Build a data quality tip from the most common non-missing-info issue
+ * @param {object} issues - Issue counts from summarizeQuality
+ * @returns {string|null}
+ */
+function buildQualityTip(issues) {
+  const tips = {
+    invalid_phone: (n) => `${n} contacts have phone numbers that don't look like valid Malaysian numbers. Fix them so click-to-call and WhatsApp work.`,
+    invalid_email: (n) => `${n} contacts have email addresses with typos. Correct them so your emails get delivered.`,
+    generic_email: (n) => `${n} business contacts only have a personal email. Ask for their work email at your next meeting.`,
+    stale_interaction: (n) => `${n} contacts haven't heard from you in over ${STALE_INTERACTION_DAYS} days. A quick check-in keeps the relationship warm.`,
+    never_contacted: (n) => `${n} contacts have no interactions logged. Log your calls and meetings for better AI insights.`,
+  };
+
+  const [code, count] = Object.entries(tips)
+    .map(([c]) => [c, issues[c] || 0])
+    .sort((a, b) => b[1] - a[1])[0];
+
+  return count >= MIN_NUDGE_COUNT ? tips[code](count) : null;
+}
+
+/**
+ * Send weekly data quality notifications to every user
+ * Each user gets at most one missing-info nudge and one tip, based on real counts
+ * @returns {Promise<{success: boolean, users?: number, nudges?: number, tips?: number, error?: string}>}
+ */
+async function runDataQualityNudges() {
+  try {
+    let users = 0;
+    let nudges = 0;
+    let tips = 0;
+
+    for (let offset = 0; ; offset += QUALITY_PAGE_SIZE) {
+      const { data: profiles, error } = await supabase
+        .from('profiles')
+        .select('id')
+        .order('id', { ascending: true })
+        .range(offset, offset + QUALITY_PAGE_SIZE - 1);
+
+      if (error) {
+        return { success: false, error: error.message };
+      }
+
+      for (const { id: userId } of profiles) {
+        // Nudges cover the contacts a user owns, in or out of a workspace
+        const assessments = await assessContactBook((query) => query.eq('user_id', userId));
+        if (assessments.length === 0) continue;
+
+        users++;
+        const { issues } = summarizeQuality(assessments);
+
+        const missing = MISSING_INFO_NUDGES.find((code) => issues[code] >= MIN_NUDGE_COUNT);
+        if (missing) {
+          const result = await sendMissingInfoNudge(userId, QUALITY_CHECKS[missing].field, issues[missing]);
+          if (result.success) nudges++;
+        }
+
+        const tip = buildQualityTip(issues);
+        if (tip) {
+          const result = await sendDataQualityTip(userId, tip);
+          if (result.success) tips++;
+        }
+      }
+
+      if (profiles.length < QUALITY_PAGE_SIZE) break;
+    }
+
+    console.log('[DataQuality] Nudges sent:', { users, nudges, tips });
+
+    return { success: true, users, nudges, tips };
+  } catch (err) {
+    console.error('[DataQuality] Nudge error:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  QUALITY_CHECKS,
+  QUALITY_BANDS,
+  STALE_INTERACTION_DAYS,
+  isValidMalaysianPhone,
+  companyFromEmail,
+  assessContact,
+  summarizeQuality,
+  assessContactBook,
+  runDataQualityNudges,
+};
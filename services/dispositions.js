@@ -0,0 +1,259 @@
+/**
+ * Dispositions Service
+ * ResultMarketing CRM - Structured call and meeting outcomes and connect rates
+ */
+
+const { supabase, upsertUserProfile } = require('./supabase');
+
+// Default disposition codes per interaction type. `connected` marks the codes that
+// count as reaching the contact. Types without codes don't take a disposition.
+const DEFAULT_DISPOSITIONS = {
+  call: [
+    { code: 'connected', label: 'Connected', connected: true },
+    { code: 'no_answer', label: 'No answer', connected: false },
+    { code: 'voicemail', label: 'Voicemail', connected: false },
+    { code: 'busy', label: 'Busy', connected: false },
+    { code: 'wrong_number', label: 'Wrong number', connected: false },
+  ],
+  meeting: [
+    { code: 'held', label: 'Held', connected: true },
+    { code: 'no_show', label: 'No-show', connected: false },
+    { code: 'rescheduled', label: 'Rescheduled', connected: false },
+    { code: 'cancelled', label: 'Cancelled', connected: false },
+  ],
+};
+
+// Limits for configured codes
+const MAX_CODES_PER_TYPE = 20;
+const MAX_LABEL_LENGTH = 60;
+const CODE_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+
+// Buckets for connect-rate trends
+const STATS_INTERVALS = ['day', 'week', 'month'];
+
+/**
+ * Validate disposition settings
+ * @param {object} settings - Map of interaction type -> codes (null restores the defaults)
+ * @param {Array<string>} interactionTypes - Valid interaction types
+ * @returns {Array<string>} Validation errors
+ */
+function validateDispositionSettings(settings, interactionTypes) {
+  const errors = [];
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['Dispositions must be an object keyed by interaction type'];
+  }
+
+  for (const [type, codes] of Object.entries(settings)) {
+    if (!interactionTypes.includes(type)) {
+      errors.push(`Unknown interaction type '${type}'`);
+      continue;
+    }
+
+    if (codes === null) continue;
+
+    if (!Array.isArray(codes) || codes.length > MAX_CODES_PER_TYPE) {
+      errors.push(`${type}: dispositions must be a list of at most ${MAX_CODES_PER_TYPE} codes`);
+      continue;
+    }
+
+    const seen = new Set();
+
+    codes.forEach((entry, i) => {
+      if (!entry || !CODE_PATTERN.test(entry.code)) {
+        errors.push(`${type}[${i}]: code must be lowercase letters, numbers and underscores`);
+        return;
+      }
+
+      if (seen.has(entry.code)) {
+        errors.push(`${type}: duplicate code '${entry.code}'`);
+      }
+      seen.add(entry.code);
+
+      if (typeof entry.label !== 'string' || !entry.label.trim() || entry.label.length > MAX_LABEL_LENGTH) {
+        errors.push(`${type}.${entry.code}: label is required (max ${MAX_LABEL_LENGTH} characters)`);
+      }
+
+      if (entry.connected !== undefined && typeof entry.connected !== 'boolean') {
+        errors.push(`${type}.${entry.code}: connected must be true or false`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Merge configured codes over the defaults (an empty list turns dispositions off for a type)
+ */
+function mergeDispositions(configured) {
+  const merged = { ...DEFAULT_DISPOSITIONS };
+
+  for (const [type, codes] of Object.entries(configured || {})) {
+    if (!codes) continue;
+
+    if (codes.length === 0) {
+      delete merged[type];
+    } else {
+      merged[type] = codes.map((c) => ({ code: c.code, label: c.label.trim(), connected: c.connected === true }));
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Get the configured codes of the caller's workspace (or their own, without one)
+ * @param {object} req - Express request (after authenticateToken)
+ * @returns {Promise<object>} Raw overrides
+ */
+async function getConfiguredDispositions(req) {
+  if (!req.workspace) {
+    return req.userProfile?.disposition_codes || {};
+  }
+
+  const { data, error } = await supabase
+    .from('workspaces')
+    .select('disposition_codes')
+    .eq('id', req.workspace.id)
+    .single();
+
+  if (error) throw error;
+  return data?.disposition_codes || {};
+}
+
+/**
+ * Get the disposition codes that apply to the caller
+ * Workspace members share the workspace's codes
+ * @param {object} req - Express request (after authenticateToken)
+ * @returns {Promise<object>} Map of interaction type -> codes
+ */
+async function getDispositionCodes(req) {
+  return mergeDispositions(await getConfiguredDispositions(req));
+}
+
+/**
+ * Save disposition overrides for the caller's workspace (or their own, without one)
+ * @param {object} req - Express request (after authenticateToken)
+ * @param {object} changes - Validated map of interaction type -> codes
+ * @returns {Promise<object>} Map of interaction type -> codes after the change
+ */
+async function saveDispositionCodes(req, changes) {
+  const configured = { ...(await getConfiguredDispositions(req)), ...changes };
+
+  // null entries restore the defaults, so they don't need to be stored
+  Object.keys(configured).forEach((type) => {
+    if (configured[type] === null) delete configured[type];
+  });
+
+  if (req.workspace) {
+    const { error } = await supabase
+      .from('workspaces')
+      .update({ disposition_codes: configured, updated_at: new Date().toISOString() })
+      .eq('id', req.workspace.id);
+
+    if (error) throw error;
+  } else {
+    const result = await upsertUserProfile(req.user.id, { disposition_codes: configured });
+    if (!result.success) throw new Error(result.error);
+  }
+
+  return mergeDispositions(configured);
+}
+
+/**
+ * Validate a disposition for an interaction type
+ * @param {object} codes - From getDispositionCodes
+ * @param {string} type - Interaction type
+ * @param {string|null} disposition - Disposition code
+ * @returns {string|null} Error message
+ */
+function validateDisposition(codes, type, disposition) {
+  if (disposition === undefined || disposition === null) return null;
+
+  const allowed = codes[type];
+  if (!allowed) {
+    return `${type} interactions don't take a disposition`;
+  }
+
+  if (!allowed.some((c) => c.code === disposition)) {
+    return `Disposition for ${type} must be one of: ${allowed.map((c) => c.code).join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Start of the stats bucket a date falls in (UTC)
+ * @returns {string} YYYY-MM-DD
+ */
+function bucketStart(date, interval) {
+  const d = new Date(date);
+
+  if (interval === 'month') {
+    d.setUTCDate(1);
+  } else if (interval === 'week') {
+    // Weeks start on Monday
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  }
+
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Connect-rate counters
+ */
+function emptyRate() {
+  return { attempts: 0, connected: 0, connectRate: null };
+}
+
+function addAttempt(rate, connected) {
+  rate.attempts++;
+  if (connected) rate.connected++;
+  rate.connectRate = Math.round((rate.connected / rate.attempts) * 1000) / 10;
+}
+
+/**
+ * Break interactions down by disposition with connect rates
+ * Only interactions with a disposition count as attempts. Rates are kept per interaction
+ * type - a held meeting and a connected call aren't the same outcome.
+ * @param {Array<{type: string, disposition: string, user_id: string, interaction_date: string}>} rows
+ * @param {object} codes - From getDispositionCodes
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {{byDisposition: object, connectRates: object}} connectRates is keyed by type: { overall, byRep, byPeriod }
+ */
+function summarizeDispositions(rows, codes, interval = 'week') {
+  const byDisposition = {};
+  const connectRates = {};
+
+  for (const row of rows) {
+    if (!row.disposition) continue;
+
+    byDisposition[row.type] = byDisposition[row.type] || {};
+    byDisposition[row.type][row.disposition] = (byDisposition[row.type][row.disposition] || 0) + 1;
+
+    const connected = (codes[row.type] || []).some((c) => c.code === row.disposition && c.connected);
+    const period = bucketStart(row.interaction_date, interval);
+
+    connectRates[row.type] = connectRates[row.type] || { overall: emptyRate(), byRep: {}, byPeriod: {} };
+    const rates = connectRates[row.type];
+    rates.byRep[row.user_id] = rates.byRep[row.user_id] || emptyRate();
+    rates.byPeriod[period] = rates.byPeriod[period] || emptyRate();
+
+    addAttempt(rates.overall, connected);
+    addAttempt(rates.byRep[row.user_id], connected);
+    addAttempt(rates.byPeriod[period], connected);
+  }
+
+  return { byDisposition, connectRates };
+}
+
+module.exports = {
+  DEFAULT_DISPOSITIONS,
+  STATS_INTERVALS,
+  validateDispositionSettings,
+  getDispositionCodes,
+  saveDispositionCodes,
+  validateDisposition,
+  summarizeDispositions,
+};
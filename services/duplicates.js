@@ -0,0 +1,336 @@
+/**
+ * Duplicate Detection Service
+ * ResultMarketing CRM - Clusters likely duplicate contacts across a contact book
+ */
+
+const { supabase } = require('./supabase');
+const { normalizeEmail, normalizePhone } = require('../utils/normalize');
+
+// Rows fetched per page when loading a contact book
+const SCAN_PAGE_SIZE = 1000;
+
+// Fuzzy comparisons are skipped for blocks larger than this (e.g. very common names)
+const MAX_BLOCK_SIZE = 300;
+
+// Minimum similarity scores for a fuzzy name match
+const NAME_MATCH_THRESHOLD = 0.85;
+const COMPANY_MATCH_THRESHOLD = 0.8;
+
+// Confidence assigned to each match signal
+const MATCH_CONFIDENCE = {
+  phone: 0.95,
+  email: 0.95,
+};
+
+// Honorifics and titles common on Malaysian namecards
+const NAME_TITLES = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'mdm', 'madam', 'dr', 'prof', 'ir', 'ar',
+  'encik', 'en', 'puan', 'pn', 'cik', 'tuan', 'haji', 'hj', 'hajah', 'hjh',
+  'dato', 'datuk', 'datin', 'sri', 'seri', 'tun',
+]);
+
+// Company suffixes ignored when comparing company names
+const COMPANY_SUFFIXES = [
+  'sdn bhd', 'sdn berhad', 'berhad', 'bhd', 'plt', 'pte ltd', 'ltd', 'limited',
+  'inc', 'corp', 'corporation', 'co', 'enterprise', 'group', 'holdings', 'm',
+];
+
+/**
+ * Normalize a person's name for comparison
+ * Strips titles and punctuation - "Tan" is a common surname, so it is only
+ * treated as a title when followed by "Sri" (i.e. "Tan Sri")
+ */
+function normalizeName(name) {
+  if (!name) return '';
+
+  const tokens = String(name)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const result = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i] === 'tan' && tokens[i + 1] === 'sri') {
+      i++;
+    } else if (!NAME_TITLES.has(tokens[i])) {
+      result.push(tokens[i]);
+    }
+  }
+
+  return result.join(' ');
+}
+
+/**
+ * Normalize a company name for comparison
+ */
+function normalizeCompany(company) {
+  if (!company) return '';
+
+  let cleaned = ` ${String(company)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()} `;
+
+  for (const suffix of COMPANY_SUFFIXES) {
+    cleaned = cleaned.replace(new RegExp(` ${suffix} `, 'g'), ' ');
+  }
+
+  return cleaned.trim();
+}
+
+/**
+ * Build character bigrams of a string (tokens sorted so word order doesn't matter)
+ */
+function bigrams(value) {
+  const sorted = value.split(' ').sort().join(' ');
+  const grams = new Map();
+
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const gram = sorted.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+
+  return grams;
+}
+
+/**
+ * Dice coefficient similarity between two normalized strings (0-1)
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+
+  for (const [gram, count] of gramsA) {
+    overlap += Math.min(count, gramsB.get(gram) || 0);
+    total += count;
+  }
+  for (const count of gramsB.values()) {
+    total += count;
+  }
+
+  return total > 0 ? (2 * overlap) / total : 0;
+}
+
+/**
+ * Minimal union-find for clustering contact IDs
+ */
+function createUnionFind() {
+  const parent = new Map();
+
+  const find = (id) => {
+    if (!parent.has(id)) parent.set(id, id);
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(id, root);
+    return root;
+  };
+
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  return { find, union };
+}
+
+/**
+ * Find clusters of likely duplicate contacts
+ * @param {Array} contacts - Contacts with id, name, email, phone, company, created_at
+ * @param {object} options - { minConfidence }
+ * @returns {Array} Clusters sorted by confidence (highest first)
+ */
+function findDuplicateClusters(contacts, options = {}) {
+  const { minConfidence = 0.6 } = options;
+
+  const prepared = contacts.map((c) => ({
+    contact: c,
+    phone: normalizePhone(c.phone),
+    email: normalizeEmail(c.email),
+    name: normalizeName(c.name),
+    company: normalizeCompany(c.company),
+  }));
+
+  const matches = [];
+  const addMatch = (a, b, reason, confidence) => {
+    if (a.contact.id === b.contact.id || confidence < minConfidence) return;
+    matches.push({ a: a.contact.id, b: b.contact.id, reason, confidence });
+  };
+
+  // Exact matches on normalized phone and email
+  for (const key of ['phone', 'email']) {
+    const groups = new Map();
+    for (const item of prepared) {
+      if (!item[key]) continue;
+      if (!groups.has(item[key])) groups.set(item[key], []);
+      groups.get(item[key]).push(item);
+    }
+
+    for (const group of groups.values()) {
+      for (let i = 1; i < group.length; i++) {
+        addMatch(group[0], group[i], key, MATCH_CONFIDENCE[key]);
+      }
+    }
+  }
+
+  // Fuzzy name + company, blocked by name token prefix to avoid comparing every pair
+  const blocks = new Map();
+  for (const item of prepared) {
+    if (!item.name) continue;
+    for (const token of new Set(item.name.split(' '))) {
+      if (token.length < 3) continue;
+      const blockKey = token.slice(0, 4);
+      if (!blocks.has(blockKey)) blocks.set(blockKey, []);
+      blocks.get(blockKey).push(item);
+    }
+  }
+
+  const compared = new Set();
+  for (const block of blocks.values()) {
+    if (block.length < 2 || block.length > MAX_BLOCK_SIZE) continue;
+
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const a = block[i];
+        const b = block[j];
+        const pairKey = a.contact.id < b.contact.id
+          ? `${a.contact.id}|${b.contact.id}`
+          : `${b.contact.id}|${a.contact.id}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const nameScore = similarity(a.name, b.name);
+        if (nameScore < NAME_MATCH_THRESHOLD) continue;
+
+        if (a.company && b.company) {
+          const companyScore = similarity(a.company, b.company);
+          if (companyScore < COMPANY_MATCH_THRESHOLD) continue;
+          addMatch(a, b, 'name_company', Math.round((0.6 * nameScore + 0.3 * companyScore) * 100) / 100);
+        } else {
+          // Name alone is weaker evidence
+          addMatch(a, b, 'name', Math.round(0.7 * nameScore * 100) / 100);
+        }
+      }
+    }
+  }
+
+  // Cluster connected contacts
+  const uf = createUnionFind();
+  const bestMatch = new Map();
+  for (const match of matches) {
+    uf.union(match.a, match.b);
+    for (const id of [match.a, match.b]) {
+      bestMatch.set(id, Math.max(bestMatch.get(id) || 0, match.confidence));
+    }
+  }
+
+  const clusters = new Map();
+  const byId = new Map(contacts.map((c) => [c.id, c]));
+
+  for (const match of matches) {
+    const root = uf.find(match.a);
+    if (!clusters.has(root)) {
+      clusters.set(root, { ids: new Set(), reasons: new Set(), matches: [] });
+    }
+    const cluster = clusters.get(root);
+    cluster.ids.add(match.a);
+    cluster.ids.add(match.b);
+    cluster.reasons.add(match.reason);
+    cluster.matches.push(match);
+  }
+
+  return [...clusters.values()]
+    .map((cluster) => {
+      const members = [...cluster.ids]
+        .map((id) => byId.get(id))
+        .sort((x, y) => String(x.created_at).localeCompare(String(y.created_at)));
+
+      return {
+        id: members[0].id,
+        // A chain is only as strong as its weakest member's best link
+        confidence: Math.min(...members.map((m) => bestMatch.get(m.id))),
+        reasons: [...cluster.reasons],
+        suggestedTargetId: members[0].id,
+        contacts: members.map((m) => ({
+          id: m.id,
+          name: m.name,
+          email: m.email,
+          phone: m.phone,
+          company: m.company,
+          created_at: m.created_at,
+        })),
+        matches: cluster.matches,
+      };
+    })
+    .sort((x, y) => y.confidence - x.confidence);
+}
+
+/**
+ * Scan a whole contact book and store the clusters on the scan record
+ * @param {string} scanId - duplicate_scans row ID
+ * @param {Function} scopeContacts - Restricts a contacts query to the scanned book
+ *   (the requester's workspace or own contacts, see scopeToAccess)
+ */
+async function runDuplicateScan(scanId, scopeContacts) {
+  try {
+    const contacts = [];
+
+    for (let offset = 0; ; offset += SCAN_PAGE_SIZE) {
+      const { data, error } = await scopeContacts(
+        supabase.from('contacts').select('id, name, email, phone, company, created_at')
+      )
+        .is('deleted_at', null)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + SCAN_PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      contacts.push(...data);
+      if (data.length < SCAN_PAGE_SIZE) break;
+    }
+
+    const clusters = findDuplicateClusters(contacts);
+
+    await supabase
+      .from('duplicate_scans')
+      .update({
+        status: 'completed',
+        contact_count: contacts.length,
+        cluster_count: clusters.length,
+        clusters,
+        completed_at: new Date().toISOString(),
+      })
+      .eq('id', scanId);
+
+    return { success: true, clusters: clusters.length };
+  } catch (err) {
+    console.error('Duplicate scan error:', err);
+
+    await supabase
+      .from('duplicate_scans')
+      .update({
+        status: 'failed',
+        error: err.message,
+        completed_at: new Date().toISOString(),
+      })
+      .eq('id', scanId);
+
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  normalizeName,
+  normalizeCompany,
+  similarity,
+  findDuplicateClusters,
+  runDuplicateScan,
+};
@@ -0,0 +1,241 @@
+/**
+ * Export Service
+ * ResultMarketing CRM - Contact export formats (CSV, XLSX, vCard)
+ */
+
+const XLSX = require('xlsx');
+
+// Supported export formats
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+  vcf: {
+    contentType: 'text/vcard; charset=utf-8',
+    extension: 'vcf',
+  },
+};
+
+// Supported vCard versions
+const VCARD_VERSIONS = ['3.0', '4.0'];
+
+// Columns written to CSV and XLSX exports
+const EXPORT_COLUMNS = [
+  { key: 'name', header: 'Name' },
+  { key: 'email', header: 'Email' },
+  { key: 'phone', header: 'Phone' },
+  { key: 'company', header: 'Company' },
+  { key: 'position', header: 'Position' },
+  { key: 'industry', header: 'Industry' },
+  { key: 'category', header: 'Category' },
+  { key: 'status', header: 'Status' },
+  { key: 'address', header: 'Address' },
+  { key: 'notes', header: 'Notes' },
+  { key: 'tags', header: 'Tags' },
+  { key: 'source', header: 'Source' },
+  { key: 'last_interaction', header: 'Last Interaction' },
+  { key: 'created_at', header: 'Created At' },
+];
+
+/**
+ * Get flat cell value for a contact column
+ * @param {object} contact - Contact row
+ * @param {string} key - Column key
+ * @returns {string}
+ */
+function getCellValue(contact, key) {
+  const value = contact[key];
+
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+
+  return String(value);
+}
+
+/**
+ * Escape a single CSV cell
+ */
+function escapeCsvCell(value) {
+  if (/[",\r\n]/.test(value)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
+/**
+ * Stop spreadsheet apps from running a cell as a formula (CSV injection)
+ * Also keeps +60 phone numbers as text instead of numbers
+ */
+function neutralizeCsvFormula(value) {
+  if (/^[=+\-@\t\r]/.test(value)) {
+    return `'${value}`;
+  }
+  return value;
+}
+
+/**
+ * Build CSV header line (with UTF-8 BOM so Excel reads Malay/Chinese names correctly)
+ * @returns {string}
+ */
+function buildCsvHeader() {
+  return '\uFEFF' + EXPORT_COLUMNS.map((col) => escapeCsvCell(col.header)).join(',') + '\r\n';
+}
+
+/**
+ * Build CSV lines for a batch of contacts
+ * @param {Array} contacts - Contact rows
+ * @returns {string}
+ */
+function buildCsvRows(contacts) {
+  return contacts
+    .map((contact) =>
+      EXPORT_COLUMNS.map((col) =>
+        escapeCsvCell(neutralizeCsvFormula(getCellValue(contact, col.key)))
+      ).join(',') + '\r\n'
+    )
+    .join('');
+}
+
+/**
+ * Build XLSX workbook buffer for contacts
+ * @param {Array} contacts - Contact rows
+ * @returns {Buffer}
+ */
+function buildXlsxBuffer(contacts) {
+  const rows = [
+    EXPORT_COLUMNS.map((col) => col.header),
+    ...contacts.map((contact) => EXPORT_COLUMNS.map((col) => getCellValue(contact, col.key))),
+  ];
+
+  const workbook = XLSX.utils.book_new();
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Contacts');
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/**
+ * Escape vCard property value (RFC 6350 section 3.4)
+ */
+function escapeVCardValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+/**
+ * Fold vCard content line at 75 octets without splitting multi-byte characters
+ */
+function foldVCardLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Build a single vCard for a contact
+ * @param {object} contact - Contact row
+ * @param {string} version - vCard version ('3.0' or '4.0')
+ * @returns {string}
+ */
+function buildVCard(contact, version = '3.0') {
+  const isV4 = version === '4.0';
+  const lines = ['BEGIN:VCARD', `VERSION:${version}`];
+
+  if (isV4) {
+    lines.push('KIND:individual');
+    if (contact.id) lines.push(`UID:urn:uuid:${contact.id}`);
+  }
+
+  const name = escapeVCardValue(contact.name || 'Unknown');
+  lines.push(`FN:${name}`);
+  // Malay and Chinese names don't split reliably into given/family - keep the full name
+  lines.push(`N:${name};;;;`);
+
+  if (contact.company) lines.push(`ORG:${escapeVCardValue(contact.company)}`);
+  if (contact.position) lines.push(`TITLE:${escapeVCardValue(contact.position)}`);
+
+  if (contact.phone) {
+    lines.push(
+      isV4
+        ? `TEL;VALUE=uri;TYPE=cell:tel:${contact.phone.replace(/[^\d+]/g, '')}`
+        : `TEL;TYPE=CELL:${escapeVCardValue(contact.phone)}`
+    );
+  }
+
+  if (contact.email) {
+    lines.push(
+      isV4
+        ? `EMAIL;TYPE=work:${escapeVCardValue(contact.email)}`
+        : `EMAIL;TYPE=INTERNET:${escapeVCardValue(contact.email)}`
+    );
+  }
+
+  if (contact.address) {
+    lines.push(`ADR;TYPE=${isV4 ? 'work' : 'WORK'}:;;${escapeVCardValue(contact.address)};;;;`);
+  }
+
+  if (Array.isArray(contact.tags) && contact.tags.length > 0) {
+    lines.push(`CATEGORIES:${contact.tags.map(escapeVCardValue).join(',')}`);
+  }
+
+  if (contact.notes) lines.push(`NOTE:${escapeVCardValue(contact.notes)}`);
+
+  if (contact.updated_at || contact.created_at) {
+    const rev = new Date(contact.updated_at || contact.created_at)
+      .toISOString()
+      .replace(/[-:]/g, '')
+      .replace(/\.\d{3}/, '');
+    lines.push(`REV:${rev}`);
+  }
+
+  lines.push('END:VCARD');
+
+  return lines.map(foldVCardLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build vCards for a batch of contacts
+ * @param {Array} contacts - Contact rows
+ * @param {string} version - vCard version
+ * @returns {string}
+ */
+function buildVCards(contacts, version = '3.0') {
+  return contacts.map((contact) => buildVCard(contact, version)).join('');
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  VCARD_VERSIONS,
+  EXPORT_COLUMNS,
+  buildCsvHeader,
+  buildCsvRows,
+  buildXlsxBuffer,
+  buildVCard,
+  buildVCards,
+};
@@ -0,0 +1,490 @@
+/**
+ * Inbound Email Service
+ * ResultMarketing CRM - Log emails BCC'd or forwarded to a user's inbound address
+ */
+
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+const { supabase, upsertUserProfile, incrementContactCount } = require('./supabase');
+const { scopeToAccess } = require('./workspaces');
+const { recordContactHistory } = require('./audit');
+const { advanceLifecycle } = require('./lifecycle');
+const { advanceLastInteraction } = require('./interactions');
+const {
+  MAX_ATTACHMENTS_PER_INTERACTION,
+  validateAttachment,
+  addAttachments,
+} = require('./attachments');
+const { normalizeEmail } = require('../utils/normalize');
+
+// Domain the inbound mail provider (or a local SMTP stand-in) receives mail for
+const INBOUND_EMAIL_DOMAIN = (process.env.INBOUND_EMAIL_DOMAIN || 'inbound.resultmarketing.my').toLowerCase();
+
+// Local part of every inbound address: log+<token>@domain
+const ADDRESS_PREFIX = 'log';
+const TOKEN_PATTERN = /^[a-f0-9]{20}$/;
+
+// Largest raw message accepted by the webhook
+const MAX_MESSAGE_BYTES = 25 * 1024 * 1024; // 25MB
+
+// Characters of body text kept as the interaction snippet
+const SNIPPET_LENGTH = 280;
+
+const DEFAULT_INBOUND_SETTINGS = {
+  createUnknownContacts: false,
+};
+
+// Lines that start the quoted part of a reply or forward
+const QUOTE_MARKERS = [
+  /^On .+wrote:$/,
+  /^-{2,}\s*(Original|Forwarded) Message\s*-{2,}$/i,
+  /^From: .+$/,
+];
+
+// Header lines of a forwarded message (skipped rather than cut at when logging a forward)
+const FORWARD_HEADER = /^(-{2,}\s*(Original|Forwarded) Message\s*-{2,}|(From|Date|Sent|Subject|To|Cc): .*)$/i;
+
+/**
+ * Build the inbound address for a token
+ * @param {string} token - profiles.inbound_email_token
+ * @returns {string}
+ */
+function formatInboundAddress(token) {
+  return `${ADDRESS_PREFIX}+${token}@${INBOUND_EMAIL_DOMAIN}`;
+}
+
+/**
+ * Get a user's inbound settings with defaults applied
+ * @param {object} profile - User profile
+ * @returns {{createUnknownContacts: boolean}}
+ */
+function getInboundSettings(profile) {
+  return { ...DEFAULT_INBOUND_SETTINGS, ...(profile?.inbound_email_settings || {}) };
+}
+
+/**
+ * Validate inbound settings changes
+ * @param {object} settings - Partial settings
+ * @returns {Array<string>} Validation errors
+ */
+function validateInboundSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['Settings must be an object'];
+  }
+
+  const errors = [];
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (!(key in DEFAULT_INBOUND_SETTINGS)) {
+      errors.push(`Unknown setting '${key}'`);
+    } else if (typeof value !== 'boolean') {
+      errors.push(`${key} must be true or false`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Save inbound settings changes
+ * @param {string} userId - User ID
+ * @param {object} profile - Current profile
+ * @param {object} changes - Validated partial settings
+ * @returns {Promise<object>} Settings after the change
+ */
+async function saveInboundSettings(userId, profile, changes) {
+  const settings = { ...getInboundSettings(profile), ...changes };
+  const result = await upsertUserProfile(userId, { inbound_email_settings: settings });
+
+  if (!result.success) throw new Error(result.error);
+  return settings;
+}
+
+/**
+ * Give a user a new inbound address (the old one stops working)
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} The new address
+ */
+async function rotateInboundAddress(userId) {
+  const token = crypto.randomBytes(10).toString('hex');
+  const result = await upsertUserProfile(userId, { inbound_email_token: token });
+
+  if (!result.success) throw new Error(result.error);
+  return formatInboundAddress(token);
+}
+
+/**
+ * Get a user's inbound address, issuing one on first use
+ * @param {string} userId - User ID
+ * @param {object} profile - User profile
+ * @returns {Promise<string>}
+ */
+async function getInboundAddress(userId, profile) {
+  if (profile?.inbound_email_token) {
+    return formatInboundAddress(profile.inbound_email_token);
+  }
+
+  return rotateInboundAddress(userId);
+}
+
+/**
+ * Parse a raw MIME message
+ * @param {Buffer} raw - RFC 822 message
+ * @returns {Promise<object>} mailparser ParsedMail
+ */
+function parseInboundEmail(raw) {
+  return simpleParser(raw, { skipImageLinks: true });
+}
+
+/**
+ * Flatten a mailparser address field into { name, email } pairs
+ */
+function listAddresses(field) {
+  if (!field) return [];
+
+  return (Array.isArray(field) ? field : [field])
+    .flatMap((entry) => entry.value || [])
+    .flatMap((addr) => (addr.group ? listAddresses({ value: addr.group }) : [addr]))
+    .map((addr) => ({ name: addr.name?.trim() || null, email: normalizeEmail(addr.address) }))
+    .filter((addr) => addr.email);
+}
+
+/**
+ * Get the inbound token a message was sent to
+ * The envelope recipient is used when the provider passes it on; otherwise the
+ * delivery headers and visible recipients are searched (BCC recipients only
+ * appear in the envelope and Delivered-To headers).
+ * @param {object} parsed - From parseInboundEmail
+ * @param {Array<string>} envelopeRecipients - SMTP RCPT TO addresses
+ * @returns {string|null}
+ */
+function findInboundToken(parsed, envelopeRecipients = []) {
+  const headerValues = ['delivered-to', 'x-original-to', 'envelope-to']
+    .flatMap((name) => [].concat(parsed.headers.get(name) || []))
+    .map((value) => (typeof value === 'string' ? value : value?.text || ''));
+
+  const candidates = [
+    ...envelopeRecipients,
+    ...headerValues,
+    ...listAddresses(parsed.to).map((a) => a.email),
+    ...listAddresses(parsed.cc).map((a) => a.email),
+  ];
+
+  for (const candidate of candidates) {
+    const email = normalizeEmail(String(candidate).replace(/^.*<|>.*$/g, ''));
+    if (!email) continue;
+
+    const [local, domain] = email.split('@');
+    const [prefix, token] = local.split('+');
+
+    if (domain === INBOUND_EMAIL_DOMAIN && prefix === ADDRESS_PREFIX && TOKEN_PATTERN.test(token || '')) {
+      return token;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the user an inbound token belongs to
+ * @param {string} token - Inbound token
+ * @returns {Promise<object|null>} Profile
+ */
+async function getUserByInboundToken(token) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('*')
+    .eq('inbound_email_token', token)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data || null;
+}
+
+/**
+ * Get the body text of a message without quoted replies, trimmed to a snippet
+ * For forwards the forwarded message is the content, so only its header is dropped
+ */
+function buildSnippet(text, { forwarded = false } = {}) {
+  const lines = [];
+
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (forwarded && FORWARD_HEADER.test(trimmed)) continue;
+    if (QUOTE_MARKERS.some((marker) => marker.test(trimmed))) break;
+    if (trimmed.startsWith('>')) continue;
+    lines.push(trimmed);
+  }
+
+  const snippet = lines.join(' ').replace(/\s+/g, ' ').trim();
+  return snippet.length > SNIPPET_LENGTH ? `${snippet.slice(0, SNIPPET_LENGTH - 3)}...` : snippet;
+}
+
+/**
+ * Find the original sender of a forwarded message in its body
+ */
+function findForwardedSender(parsed) {
+  if (!/^\s*fwd?:/i.test(parsed.subject || '')) return null;
+
+  const match = String(parsed.text || '').match(/^\s*From:\s*(?:"?([^"<\n]*?)"?\s*)?<?([^\s<>]+@[^\s<>]+)>?\s*$/m);
+  const email = normalizeEmail(match?.[2]);
+
+  return email ? { name: match[1]?.trim() || null, email } : null;
+}
+
+/**
+ * Work out who the email was with
+ * BCC'd mail the user sent is outbound to its recipients; mail the user received
+ * (or forwarded) is inbound from its sender.
+ * @returns {{direction: string, forwarded: boolean, participants: Array<{name: string|null, email: string}>}}
+ */
+function getParticipants(parsed, userEmails) {
+  const isOwn = (addr) => userEmails.includes(addr.email) || addr.email.endsWith(`@${INBOUND_EMAIL_DOMAIN}`);
+
+  const [from] = listAddresses(parsed.from);
+  const recipients = [...listAddresses(parsed.to), ...listAddresses(parsed.cc)];
+
+  let participants;
+  let direction;
+
+  if (from && isOwn(from)) {
+    const forwardedSender = recipients.some((addr) => !isOwn(addr)) ? null : findForwardedSender(parsed);
+    direction = forwardedSender ? 'inbound' : 'outbound';
+    participants = forwardedSender ? [forwardedSender] : recipients;
+  } else {
+    direction = 'inbound';
+    participants = [from, ...recipients].filter(Boolean);
+  }
+
+  const seen = new Set();
+
+  return {
+    direction,
+    forwarded: direction === 'inbound' && Boolean(from && isOwn(from)),
+    participants: participants.filter((addr) => {
+      if (isOwn(addr) || seen.has(addr.email)) return false;
+      seen.add(addr.email);
+      return true;
+    }),
+  };
+}
+
+/**
+ * Get the message's attachments as upload files, skipping inline images and
+ * files the attachment rules don't allow
+ * @returns {{files: Array<object>, skipped: Array<string>}}
+ */
+function collectAttachments(parsed) {
+  const files = [];
+  const skipped = [];
+
+  for (const attachment of parsed.attachments || []) {
+    // Signature logos and other images embedded in the body
+    if (attachment.related || attachment.contentDisposition === 'inline') continue;
+
+    const file = {
+      originalname: attachment.filename || 'attachment',
+      mimetype: attachment.contentType,
+      size: attachment.size,
+      buffer: attachment.content,
+    };
+
+    const error = validateAttachment(file);
+
+    if (error) {
+      skipped.push(error);
+    } else if (files.length >= MAX_ATTACHMENTS_PER_INTERACTION) {
+      skipped.push(`${file.originalname}: at most ${MAX_ATTACHMENTS_PER_INTERACTION} attachments per interaction`);
+    } else {
+      files.push(file);
+    }
+  }
+
+  return { files, skipped };
+}
+
+/**
+ * Create lead contacts for participants without a contact
+ */
+async function createLeadContacts(participants, { userId, ownership, contactLimit }) {
+  const toCreate = participants.slice(0, contactLimit.remaining);
+
+  if (toCreate.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('contacts')
+    .insert(toCreate.map((addr) => ({
+      user_id: userId,
+      ...ownership,
+      name: addr.name || addr.email.split('@')[0],
+      email: addr.email,
+      category: 'Lead',
+      source: 'inbound_email',
+      status: 'active',
+    })))
+    .select();
+
+  if (error) throw error;
+
+  await incrementContactCount(userId, data.length);
+
+  for (const contact of data) {
+    await recordContactHistory({
+      userId,
+      contactId: contact.id,
+      action: 'create',
+      source: 'inbound_email',
+      before: null,
+      after: contact,
+    });
+  }
+
+  return data;
+}
+
+/**
+ * Log a parsed email as `email` interactions with every matched contact
+ * Messages are logged once - retried webhooks with the same Message-ID are skipped.
+ * @param {object} parsed - From parseInboundEmail
+ * @param {object} options - { profile, workspace (membership or null), contactLimit }
+ * @returns {Promise<object>} { duplicate, direction, interactions, createdContacts, unmatched, skippedAttachments }
+ */
+async function logInboundEmail(parsed, { profile, workspace, contactLimit }) {
+  const userId = profile.id;
+  const access = { user: { id: userId }, workspace };
+  const ownership = { workspace_id: workspace?.id || null };
+  const messageId = parsed.messageId || null;
+
+  const result = {
+    messageId,
+    duplicate: false,
+    direction: null,
+    interactions: [],
+    createdContacts: [],
+    unmatched: [],
+    skippedAttachments: [],
+  };
+
+  if (messageId) {
+    const { data: existing, error } = await supabase
+      .from('interactions')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('metadata->>message_id', messageId)
+      .limit(1);
+
+    if (error) throw error;
+
+    if (existing.length > 0) {
+      result.duplicate = true;
+      return result;
+    }
+  }
+
+  const userEmails = [normalizeEmail(profile.email)].filter(Boolean);
+  const { direction, forwarded, participants } = getParticipants(parsed, userEmails);
+  result.direction = direction;
+
+  if (participants.length === 0) return result;
+
+  const { data: matched, error: matchError } = await scopeToAccess(
+    supabase.from('contacts').select('id, name, email, last_interaction'),
+    access
+  )
+    .is('deleted_at', null)
+    // Stored emails aren't always lowercase (imports, older rows), so match case-insensitively
+    .or(participants.map((addr) => `email.ilike."${addr.email.replace(/"/g, '')}"`).join(','));
+
+  if (matchError) throw matchError;
+
+  // One contact per address (the most recently contacted one when there are duplicates)
+  // "_" is a wildcard in ilike, so candidates are checked for an exact match here
+  const contactsByEmail = {};
+  for (const contact of matched) {
+    const email = normalizeEmail(contact.email);
+    if (!participants.some((addr) => addr.email === email)) continue;
+
+    const current = contactsByEmail[email];
+    if (!current || (contact.last_interaction || '') > (current.last_interaction || '')) {
+      contactsByEmail[email] = contact;
+    }
+  }
+
+  const unknown = participants.filter((addr) => !contactsByEmail[addr.email]);
+
+  if (unknown.length > 0 && getInboundSettings(profile).createUnknownContacts) {
+    result.createdContacts = await createLeadContacts(unknown, { userId, ownership, contactLimit });
+    result.createdContacts.forEach((contact) => { contactsByEmail[contact.email] = contact; });
+  }
+
+  result.unmatched = participants.filter((addr) => !contactsByEmail[addr.email]).map((addr) => addr.email);
+
+  const contacts = participants.map((addr) => contactsByEmail[addr.email]).filter(Boolean);
+  if (contacts.length === 0) return result;
+
+  const subject = parsed.subject?.trim() || '(no subject)';
+  const snippet = buildSnippet(parsed.text, { forwarded });
+  const sentAt = parsed.date && !isNaN(parsed.date.getTime()) && parsed.date <= new Date()
+    ? parsed.date.toISOString()
+    : new Date().toISOString();
+
+  const { data: interactions, error } = await supabase
+    .from('interactions')
+    .insert(contacts.map((contact) => ({
+      user_id: userId,
+      ...ownership,
+      contact_id: contact.id,
+      type: 'email',
+      notes: snippet ? `${subject}\n\n${snippet}` : subject,
+      interaction_date: sentAt,
+      metadata: {
+        source: 'inbound_email',
+        message_id: messageId,
+        direction,
+        subject,
+        snippet,
+        from: listAddresses(parsed.from).map((a) => a.email),
+        to: listAddresses(parsed.to).map((a) => a.email),
+        cc: listAddresses(parsed.cc).map((a) => a.email),
+      },
+    })))
+    .select();
+
+  if (error) throw error;
+
+  const { files, skipped } = collectAttachments(parsed);
+  result.skippedAttachments = skipped;
+
+  for (const interaction of interactions) {
+    if (files.length > 0) {
+      try {
+        interaction.attachments = await addAttachments(interaction, files, userId);
+      } catch (err) {
+        console.error('[InboundEmail] Attachment upload error:', err.message);
+        interaction.attachments = [];
+        result.skippedAttachments.push(`Attachments could not be saved for interaction ${interaction.id}`);
+      }
+    }
+
+    await advanceLastInteraction(interaction.contact_id, sentAt);
+
+    await advanceLifecycle(interaction.contact_id, 'interaction', { interactionId: interaction.id });
+  }
+
+  result.interactions = interactions;
+  return result;
+}
+
+module.exports = {
+  INBOUND_EMAIL_DOMAIN,
+  MAX_MESSAGE_BYTES,
+  getInboundSettings,
+  validateInboundSettings,
+  saveInboundSettings,
+  getInboundAddress,
+  rotateInboundAddress,
+  parseInboundEmail,
+  findInboundToken,
+  getUserByInboundToken,
+  logInboundEmail,
+};
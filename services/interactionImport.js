@@ -0,0 +1,474 @@
+/**
+ * Interaction Import Service
+ * ResultMarketing CRM - Import call/meeting history from another CRM's CSV/XLSX export
+ */
+
+const XLSX = require('xlsx');
+const { supabase } = require('./supabase');
+const { scopeToAccess } = require('./workspaces');
+const { INTERACTION_TYPES } = require('./interactions');
+const { validateDisposition } = require('./dispositions');
+const { normalizeName, normalizeCompany } = require('./duplicates');
+const { normalizeEmail, normalizePhone } = require('../utils/normalize');
+
+// Columns a file can be mapped to (contact_* columns identify the contact)
+const IMPORT_FIELDS = [
+  'contact_email',
+  'contact_phone',
+  'contact_name',
+  'contact_company',
+  'type',
+  'date',
+  'notes',
+  'outcome',
+  'disposition',
+  'duration_minutes',
+];
+
+// Header keywords used to suggest a mapping, checked in order
+const FIELD_KEYWORDS = {
+  contact_email: ['email', 'e-mail', 'emel'],
+  contact_phone: ['phone', 'mobile', 'tel', 'telefon', 'whatsapp number'],
+  contact_company: ['company', 'syarikat', 'organisation', 'organization', 'account'],
+  contact_name: ['contact', 'name', 'nama', 'customer', 'client'],
+  type: ['type', 'activity', 'jenis', 'channel'],
+  date: ['date', 'tarikh', 'time', 'when'],
+  duration_minutes: ['duration', 'minutes', 'mins'],
+  disposition: ['disposition', 'result code', 'call result'],
+  outcome: ['outcome', 'result', 'keputusan'],
+  notes: ['notes', 'note', 'description', 'details', 'comment', 'summary', 'subject'],
+};
+
+// Common type labels from other CRMs
+const TYPE_ALIASES = {
+  'phone call': 'call',
+  phone: 'call',
+  'outbound call': 'call',
+  'inbound call': 'call',
+  panggilan: 'call',
+  'e-mail': 'email',
+  emel: 'email',
+  visit: 'meeting',
+  appointment: 'meeting',
+  mesyuarat: 'meeting',
+  lawatan: 'meeting',
+  wa: 'whatsapp',
+  'whats app': 'whatsapp',
+  text: 'sms',
+  'text message': 'sms',
+  linkedin: 'social',
+  facebook: 'social',
+  nota: 'note',
+};
+
+// Spreadsheet dates without a timezone are Malaysia time (UTC+8)
+const IMPORT_UTC_OFFSET_MINUTES = 8 * 60;
+
+// Rows inserted per request
+const INSERT_BATCH_SIZE = 500;
+
+// Contacts read per page when matching
+const CONTACT_PAGE_SIZE = 1000;
+
+// Maximum rows per import file
+const MAX_IMPORT_ROWS = 50000;
+
+/**
+ * Read the first sheet of an uploaded CSV/XLSX file
+ * CSV values are kept as text so DD/MM/YYYY dates aren't read as US dates
+ * @param {Buffer} buffer - File contents
+ * @returns {{headers: Array<string>, rows: Array<object>, sampleRows: Array<Array>}}
+ */
+function readImportFile(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true, raw: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const table = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+
+  return {
+    headers: (table[0] || []).map((h) => String(h ?? '').trim()),
+    rows: XLSX.utils.sheet_to_json(sheet),
+    sampleRows: table.slice(1, 11),
+  };
+}
+
+/**
+ * Suggest a column for each import field from the file's headers
+ * @param {Array<string>} headers - Header row
+ * @returns {object} Field -> header
+ */
+function suggestMappings(headers) {
+  const mappings = {};
+  const used = new Set();
+
+  for (const [field, keywords] of Object.entries(FIELD_KEYWORDS)) {
+    const header = headers.find((h) => !used.has(h)
+      && keywords.some((keyword) => String(h || '').toLowerCase().includes(keyword)));
+
+    if (header) {
+      mappings[field] = header;
+      used.add(header);
+    }
+  }
+
+  return mappings;
+}
+
+/**
+ * Validate column mappings
+ * @param {object} mappings - Field -> header
+ * @param {Array<string>} headers - Header row
+ * @param {object} options - { defaultType }
+ * @returns {Array<string>} Validation errors
+ */
+function validateMappings(mappings, headers, { defaultType } = {}) {
+  if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+    return ['Mappings must be an object of field -> column'];
+  }
+
+  const errors = [];
+
+  for (const [field, column] of Object.entries(mappings)) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      errors.push(`Unknown field '${field}'. Must be one of: ${IMPORT_FIELDS.join(', ')}`);
+    } else if (column && !headers.includes(column)) {
+      errors.push(`Column '${column}' for ${field} is not in the file`);
+    }
+  }
+
+  if (!mappings.date) {
+    errors.push('A date column is required');
+  }
+
+  if (!mappings.contact_email && !mappings.contact_phone && !mappings.contact_name) {
+    errors.push('Map at least one of contact_email, contact_phone or contact_name');
+  }
+
+  if (!mappings.type && !defaultType) {
+    errors.push('Map a type column or set a default type');
+  }
+
+  if (defaultType && !INTERACTION_TYPES.includes(defaultType)) {
+    errors.push(`Default type must be one of: ${INTERACTION_TYPES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve a type label from the file to an interaction type
+ * @param {string} value - Cell value
+ * @param {object} typeMap - Label -> type overrides from the user
+ * @returns {string|null}
+ */
+function resolveType(value, typeMap = {}) {
+  const label = String(value ?? '').trim();
+  if (!label) return null;
+
+  const override = Object.entries(typeMap).find(([key]) => key.trim().toLowerCase() === label.toLowerCase());
+  if (override) return INTERACTION_TYPES.includes(override[1]) ? override[1] : null;
+
+  const lower = label.toLowerCase();
+  if (INTERACTION_TYPES.includes(lower)) return lower;
+  return TYPE_ALIASES[lower] || null;
+}
+
+/**
+ * Convert a Malaysia wall-clock time to an ISO timestamp
+ */
+function fromMalaysiaTime(year, month, day, hour = 0, minute = 0, second = 0) {
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+
+  const localTime = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (new Date(localTime).getUTCDate() !== day) return null; // e.g. 31/02
+
+  return new Date(localTime - IMPORT_UTC_OFFSET_MINUTES * 60 * 1000).toISOString();
+}
+
+/**
+ * Parse a date cell
+ * Accepts spreadsheet dates, YYYY-MM-DD[ HH:mm], DD/MM/YYYY[ HH:mm[ am/pm]] and
+ * timestamps with an explicit timezone
+ * @param {*} value - Cell value
+ * @returns {string|null} ISO timestamp
+ */
+function parseImportDate(value) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+
+    // xlsx builds dates from the sheet's wall-clock time in the server's timezone
+    return fromMalaysiaTime(
+      value.getFullYear(), value.getMonth() + 1, value.getDate(),
+      value.getHours(), value.getMinutes(), value.getSeconds()
+    );
+  }
+
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (match) {
+    const [, y, m, d, hh, mm, ss] = match.map((part) => (part === undefined ? 0 : parseInt(part)));
+    return fromMalaysiaTime(y, m, d, hh, mm, ss);
+  }
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:,?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap]\.?m\.?)?)?$/i);
+  if (match) {
+    const [, d, m, y, hh = '0', mm = '0', ss = '0', meridiem] = match;
+    let hour = parseInt(hh);
+
+    if (meridiem) {
+      const pm = /^p/i.test(meridiem);
+      if (hour === 12) hour = pm ? 12 : 0;
+      else if (pm) hour += 12;
+    }
+
+    const year = y.length === 2 ? 2000 + parseInt(y) : parseInt(y);
+    return fromMalaysiaTime(year, parseInt(m), parseInt(d), hour, parseInt(mm), parseInt(ss));
+  }
+
+  // Anything else needs an explicit timezone to be unambiguous
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) return null;
+
+  const parsed = new Date(text);
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+/**
+ * Load the caller's contacts indexed by email, phone and name
+ * @param {object} req - Express request (after authenticateToken)
+ * @returns {Promise<{byEmail: Map, byPhone: Map, byName: Map}>}
+ */
+async function loadContactIndex(req) {
+  const index = { byEmail: new Map(), byPhone: new Map(), byName: new Map() };
+
+  const add = (map, key, contact) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(contact);
+  };
+
+  for (let offset = 0; ; offset += CONTACT_PAGE_SIZE) {
+    const { data, error } = await scopeToAccess(
+      supabase.from('contacts').select('id, name, email, phone, company'),
+      req
+    )
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + CONTACT_PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    for (const contact of data) {
+      add(index.byEmail, normalizeEmail(contact.email), contact);
+      add(index.byPhone, normalizePhone(contact.phone), contact);
+      add(index.byName, normalizeName(contact.name), contact);
+    }
+
+    if (data.length < CONTACT_PAGE_SIZE) break;
+  }
+
+  return index;
+}
+
+/**
+ * Match a row's contact columns to one contact
+ * Email is tried first, then phone, then name (narrowed by company when mapped)
+ * @returns {{contact?: object, reason?: string}}
+ */
+function matchContact(index, { email, phone, name, company }) {
+  const attempts = [
+    ['email', index.byEmail.get(normalizeEmail(email))],
+    ['phone', index.byPhone.get(normalizePhone(phone))],
+    ['name', index.byName.get(normalizeName(name))],
+  ];
+
+  for (const [matchedBy, candidates] of attempts) {
+    if (!candidates || candidates.length === 0) continue;
+
+    let matches = [...new Map(candidates.map((c) => [c.id, c])).values()];
+
+    if (matches.length > 1 && company) {
+      const wanted = normalizeCompany(company);
+      const sameCompany = matches.filter((c) => normalizeCompany(c.company) === wanted);
+      if (sameCompany.length > 0) matches = sameCompany;
+    }
+
+    if (matches.length === 1) {
+      return { contact: matches[0], matchedBy };
+    }
+
+    return { reason: `Several contacts match this ${matchedBy}` };
+  }
+
+  return { reason: 'No contact matches this row' };
+}
+
+/**
+ * Read a cell by mapped column
+ */
+function cell(row, column) {
+  if (!column) return null;
+  const value = row[column];
+  if (value === undefined || value === null) return null;
+  return value instanceof Date ? value : String(value).trim() || null;
+}
+
+/**
+ * Turn file rows into interactions
+ * @param {Array<object>} rows - Rows keyed by header (from XLSX sheet_to_json)
+ * @param {object} options - { mappings, typeMap, defaultType, index (from loadContactIndex), dispositionCodes }
+ * @returns {{interactions: Array<object>, unmatched: Array<object>, invalid: Array<object>}}
+ *   interactions carry their spreadsheet row number in metadata.row
+ */
+function buildImportRows(rows, { mappings, typeMap, defaultType, index, dispositionCodes }) {
+  const interactions = [];
+  const unmatched = [];
+  const invalid = [];
+  const now = Date.now();
+
+  rows.forEach((row, i) => {
+    const rowNumber = i + 2; // Header is row 1
+    const contactColumns = {
+      email: cell(row, mappings.contact_email),
+      phone: cell(row, mappings.contact_phone),
+      name: cell(row, mappings.contact_name),
+      company: cell(row, mappings.contact_company),
+    };
+
+    const errors = [];
+
+    const typeLabel = cell(row, mappings.type);
+    const type = typeLabel ? resolveType(typeLabel, typeMap) : defaultType;
+    if (!type) {
+      errors.push(`Unknown type '${typeLabel}'. Map it to one of: ${INTERACTION_TYPES.join(', ')}`);
+    }
+
+    const interactionDate = parseImportDate(cell(row, mappings.date));
+    if (!interactionDate) {
+      errors.push('Date is missing or not a recognised format (use DD/MM/YYYY or YYYY-MM-DD)');
+    } else if (Date.parse(interactionDate) > now) {
+      errors.push('Date is in the future');
+    }
+
+    const durationText = cell(row, mappings.duration_minutes);
+    const duration = durationText === null ? null : parseInt(durationText);
+    if (durationText !== null && (isNaN(duration) || duration < 0)) {
+      errors.push('Duration must be a number of minutes');
+    }
+
+    const disposition = cell(row, mappings.disposition)?.toLowerCase().replace(/\s+/g, '_') || null;
+    if (disposition && type) {
+      const dispositionError = validateDisposition(dispositionCodes, type, disposition);
+      if (dispositionError) errors.push(dispositionError);
+    }
+
+    if (errors.length > 0) {
+      invalid.push({ row: rowNumber, reason: errors.join('; ') });
+      return;
+    }
+
+    const match = matchContact(index, contactColumns);
+
+    if (!match.contact) {
+      unmatched.push({
+        row: rowNumber,
+        reason: match.reason,
+        ...contactColumns,
+      });
+      return;
+    }
+
+    interactions.push({
+      contact_id: match.contact.id,
+      type,
+      disposition,
+      notes: cell(row, mappings.notes),
+      outcome: cell(row, mappings.outcome),
+      duration_minutes: duration,
+      interaction_date: interactionDate,
+      metadata: {
+        source: 'interaction_import',
+        row: rowNumber,
+        matched_by: match.matchedBy,
+      },
+    });
+  });
+
+  return { interactions, unmatched, invalid };
+}
+
+/**
+ * Find interactions that already exist (same contact, type and time), e.g. when an
+ * import is run twice
+ * @param {Array<object>} interactions - From buildImportRows
+ * @returns {Promise<Set<string>>} Keys of existing interactions
+ */
+async function findExistingInteractions(interactions) {
+  const existing = new Set();
+  const contactIds = [...new Set(interactions.map((i) => i.contact_id))];
+  if (contactIds.length === 0) return existing;
+
+  const dates = interactions.map((i) => i.interaction_date).sort();
+
+  for (let i = 0; i < contactIds.length; i += 200) {
+    for (let offset = 0; ; offset += CONTACT_PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('interactions')
+        .select('contact_id, type, interaction_date')
+        .in('contact_id', contactIds.slice(i, i + 200))
+        .gte('interaction_date', dates[0])
+        .lte('interaction_date', dates[dates.length - 1])
+        .is('deleted_at', null)
+        .order('id', { ascending: true })
+        .range(offset, offset + CONTACT_PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      data.forEach((row) => existing.add(interactionKey(row)));
+      if (data.length < CONTACT_PAGE_SIZE) break;
+    }
+  }
+
+  return existing;
+}
+
+/**
+ * Key identifying an interaction for duplicate checks
+ */
+function interactionKey({ contact_id: contactId, type, interaction_date: date }) {
+  return `${contactId}|${type}|${new Date(date).toISOString()}`;
+}
+
+/**
+ * Latest interaction date per contact
+ * @param {Array<object>} interactions - Interactions with contact_id and interaction_date
+ * @returns {object} Contact ID -> ISO timestamp
+ */
+function latestDateByContact(interactions) {
+  const latest = {};
+
+  for (const { contact_id: contactId, interaction_date: date } of interactions) {
+    if (!latest[contactId] || date > latest[contactId]) {
+      latest[contactId] = date;
+    }
+  }
+
+  return latest;
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  INSERT_BATCH_SIZE,
+  MAX_IMPORT_ROWS,
+  readImportFile,
+  suggestMappings,
+  validateMappings,
+  resolveType,
+  parseImportDate,
+  loadContactIndex,
+  buildImportRows,
+  findExistingInteractions,
+  interactionKey,
+  latestDateByContact,
+};
@@ -0,0 +1,208 @@
+/**
+ * Interactions Service
+ * ResultMarketing CRM - Interaction types, contact activity dates and follow-up reminders
+ */
+
+const { supabase } = require('./supabase');
+
+// Valid interaction types
+const INTERACTION_TYPES = [
+  'call',
+  'email',
+  'meeting',
+  'whatsapp',
+  'sms',
+  'social',
+  'note',
+  'other',
+];
+
+// Follow-up reminders that can still be moved or cancelled with their interaction
+const OPEN_REMINDER_STATUSES = ['pending', 'snoozed'];
+
+/**
+ * Move a contact's last_interaction forward to a date (never backwards)
+ * For interactions logged after the fact, e.g. imported history or forwarded email
+ * Never throws - the interaction is already saved
+ * @param {string} contactId - Contact ID
+ * @param {string} date - ISO timestamp of the interaction
+ */
+async function advanceLastInteraction(contactId, date) {
+  const { error } = await supabase
+    .from('contacts')
+    .update({ last_interaction: date })
+    .eq('id', contactId)
+    .or(`last_interaction.is.null,last_interaction.lt.${date}`);
+
+  if (error) {
+    console.error('[Interactions] Last interaction update error:', error.message);
+  }
+}
+
+/**
+ * Recompute a contact's last_interaction from its remaining interactions
+ * For edits and deletes, which can move the latest interaction backwards
+ * Never throws - the interaction change is already saved
+ * @param {string} contactId - Contact ID
+ */
+async function refreshLastInteraction(contactId) {
+  try {
+    const { data, error } = await supabase
+      .from('interactions')
+      .select('interaction_date')
+      .eq('contact_id', contactId)
+      .is('deleted_at', null)
+      .order('interaction_date', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+
+    const { error: updateError } = await supabase
+      .from('contacts')
+      .update({ last_interaction: data[0]?.interaction_date || null })
+      .eq('id', contactId);
+
+    if (updateError) throw updateError;
+  } catch (err) {
+    console.error('[Interactions] Last interaction refresh error:', err.message);
+  }
+}
+
+/**
+ * Build the follow-up reminder columns for an interaction
+ */
+function followUpReminderFields(interaction) {
+  return {
+    description: `Follow up after ${interaction.type}: ${interaction.notes || 'No notes'}`,
+    due_date: interaction.follow_up_date,
+  };
+}
+
+/**
+ * Create the follow-up reminder for an interaction, linked by interaction_id
+ * The reminder belongs to the interaction's owner and workspace
+ * Never throws - the interaction is already saved
+ * @param {object} interaction - Interaction row with follow_up_date
+ * @param {string} contactName - Contact name for the title
+ * @returns {Promise<object|null>} Reminder row, null on failure
+ */
+async function createFollowUpReminder(interaction, contactName) {
+  const { data, error } = await supabase
+    .from('reminders')
+    .insert({
+      user_id: interaction.user_id,
+      workspace_id: interaction.workspace_id || null,
+      contact_id: interaction.contact_id,
+      interaction_id: interaction.id,
+      title: `Follow up with ${contactName}`,
+      ...followUpReminderFields(interaction),
+      type: 'follow_up',
+      priority: 'medium',
+      status: 'pending',
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[Interactions] Follow-up reminder create error:', error.message);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Bring an interaction's follow-up reminder in line with the interaction after an edit
+ * A new follow_up_date moves the open reminder (or creates one), a cleared date cancels it.
+ * Completed and cancelled reminders are left alone.
+ * Never throws - the interaction is already saved
+ * @param {object} interaction - Updated interaction row
+ * @returns {Promise<{action: string, reminder: object|null}|null>} Null when nothing changed
+ */
+async function syncFollowUpReminder(interaction) {
+  try {
+    const { data: reminders, error } = await supabase
+      .from('reminders')
+      .select('*')
+      .eq('interaction_id', interaction.id)
+      .in('status', OPEN_REMINDER_STATUSES)
+      .is('deleted_at', null);
+
+    if (error) throw error;
+
+    if (!interaction.follow_up_date) {
+      if (reminders.length === 0) return null;
+
+      const cancelled = await cancelFollowUpReminders([interaction.id]);
+      return { action: 'cancelled', reminder: cancelled[0] || null };
+    }
+
+    if (reminders.length === 0) {
+      const { data: contact } = await supabase
+        .from('contacts')
+        .select('name')
+        .eq('id', interaction.contact_id)
+        .single();
+
+      const reminder = await createFollowUpReminder(interaction, contact?.name || 'contact');
+      return reminder ? { action: 'created', reminder } : null;
+    }
+
+    const reminder = reminders[0];
+    const fields = followUpReminderFields(interaction);
+    const dueDateChanged = Date.parse(reminder.due_date) !== Date.parse(fields.due_date);
+
+    if (!dueDateChanged && reminder.description === fields.description) return null;
+
+    const { data, error: updateError } = await supabase
+      .from('reminders')
+      .update({
+        ...fields,
+        // A new date replaces any snooze
+        ...(dueDateChanged ? { status: 'pending' } : {}),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', reminder.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+    return { action: 'updated', reminder: data };
+  } catch (err) {
+    console.error('[Interactions] Follow-up reminder sync error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Cancel the open follow-up reminders of interactions
+ * Call before deleting the interactions - the delete clears reminders.interaction_id
+ * Never throws
+ * @param {Array<string>} interactionIds - Interaction IDs
+ * @returns {Promise<Array>} Cancelled reminders
+ */
+async function cancelFollowUpReminders(interactionIds) {
+  const { data, error } = await supabase
+    .from('reminders')
+    .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+    .in('interaction_id', interactionIds)
+    .in('status', OPEN_REMINDER_STATUSES)
+    .is('deleted_at', null)
+    .select();
+
+  if (error) {
+    console.error('[Interactions] Follow-up reminder cancel error:', error.message);
+    return [];
+  }
+
+  return data;
+}
+
+module.exports = {
+  INTERACTION_TYPES,
+  advanceLastInteraction,
+  refreshLastInteraction,
+  createFollowUpReminder,
+  syncFollowUpReminder,
+  cancelFollowUpReminders,
+};
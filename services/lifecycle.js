@@ -0,0 +1,364 @@
+/**
+ * Lifecycle Service
+ * ResultMarketing CRM - Contact lifecycle stages and automatic transitions
+ */
+
+const { supabase, getUserProfile } = require('./supabase');
+const { recordContactHistory, recordContactHistoryBatch } = require('./audit');
+
+// Lifecycle stages, stored in contacts.category (which defaults to 'Lead')
+const LIFECYCLE_STAGES = ['Lead', 'Prospect', 'Customer', 'Repeat Customer', 'Dormant'];
+
+// What caused a transition
+const LIFECYCLE_TRIGGERS = [
+  'first_interaction',
+  'deal_won',
+  'inactivity',
+  'reactivated',
+  'manual',
+];
+
+// Per-user settings (stored in profiles.lifecycle_settings) fall back to these
+const DEFAULT_LIFECYCLE_SETTINGS = {
+  autoTransitions: true,
+  dormantAfterDays: parseInt(process.env.LIFECYCLE_DORMANT_DAYS || '180', 10),
+};
+
+// Bounds for dormantAfterDays
+const MIN_DORMANT_DAYS = 14;
+const MAX_DORMANT_DAYS = 730;
+
+// Rows fetched/updated per batch in the dormancy sweep
+const SWEEP_BATCH_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Map a category to its lifecycle stage (case-insensitive)
+ * @param {string} category - contacts.category
+ * @returns {string|null} Null for custom categories outside the lifecycle
+ */
+function getLifecycleStage(category) {
+  if (!category) return null;
+  const wanted = String(category).trim().toLowerCase();
+  return LIFECYCLE_STAGES.find((stage) => stage.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Stage a contact moves to after an event
+ * @param {string} stage - Current lifecycle stage
+ * @param {string} event - 'interaction' or 'deal_won'
+ * @returns {string|null} Null when the event doesn't move the contact
+ */
+function nextStageForEvent(stage, event) {
+  if (event === 'interaction') {
+    return stage === 'Lead' ? 'Prospect' : null;
+  }
+
+  if (event === 'deal_won') {
+    if (stage === 'Customer') return 'Repeat Customer';
+    return stage === 'Repeat Customer' ? null : 'Customer';
+  }
+
+  return null;
+}
+
+/**
+ * Validate lifecycle settings
+ * @param {object} settings - { autoTransitions, dormantAfterDays }
+ * @returns {Array<string>} Validation errors
+ */
+function validateLifecycleSettings(settings) {
+  const errors = [];
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['Settings must be an object'];
+  }
+
+  for (const key of Object.keys(settings)) {
+    if (!(key in DEFAULT_LIFECYCLE_SETTINGS)) {
+      errors.push(`Unknown setting '${key}'`);
+    }
+  }
+
+  if (settings.autoTransitions !== undefined && typeof settings.autoTransitions !== 'boolean') {
+    errors.push('autoTransitions must be true or false');
+  }
+
+  if (settings.dormantAfterDays !== undefined) {
+    const days = settings.dormantAfterDays;
+    if (!Number.isInteger(days) || days < MIN_DORMANT_DAYS || days > MAX_DORMANT_DAYS) {
+      errors.push(`dormantAfterDays must be a whole number between ${MIN_DORMANT_DAYS} and ${MAX_DORMANT_DAYS}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get a user's lifecycle settings merged with the defaults
+ * @param {string} userId - User ID
+ * @returns {Promise<object>}
+ */
+async function getLifecycleSettings(userId) {
+  const { profile } = await getUserProfile(userId);
+  return { ...DEFAULT_LIFECYCLE_SETTINGS, ...(profile?.lifecycle_settings || {}) };
+}
+
+/**
+ * Record lifecycle transitions (never throws - transitions are a side effect)
+ * @param {Array<object>} transitions - { userId, contactId, from, to, trigger, metadata }
+ */
+async function recordTransitions(transitions) {
+  if (transitions.length === 0) return;
+
+  try {
+    const { error } = await supabase.from('contact_lifecycle_transitions').insert(
+      transitions.map((t) => ({
+        user_id: t.userId,
+        contact_id: t.contactId,
+        from_stage: t.from,
+        to_stage: t.to,
+        trigger: t.trigger,
+        metadata: t.metadata || {},
+      }))
+    );
+
+    if (error) {
+      console.error('[Lifecycle] Record transitions error:', error);
+    }
+  } catch (err) {
+    console.error('[Lifecycle] Record transitions error:', err);
+  }
+}
+
+/**
+ * Record a manual stage change made through the contact API
+ * Only changes between lifecycle stages are recorded
+ * @param {object} entry - { userId, contactId, fromCategory, toCategory }
+ */
+async function recordManualTransition(entry) {
+  await recordManualTransitions([entry]);
+}
+
+/**
+ * Record manual stage changes for many contacts (bulk updates, reverts)
+ * @param {Array<object>} entries - { userId, contactId, fromCategory, toCategory }
+ */
+async function recordManualTransitions(entries) {
+  const transitions = entries
+    .map(({ userId, contactId, fromCategory, toCategory }) => ({
+      userId,
+      contactId,
+      from: getLifecycleStage(fromCategory),
+      to: getLifecycleStage(toCategory),
+      trigger: 'manual',
+    }))
+    .filter((t) => t.to && t.from !== t.to);
+
+  await recordTransitions(transitions);
+}
+
+/**
+ * Stage a dormant contact returns to: the stage it went dormant from
+ * @returns {Promise<string>}
+ */
+async function getPreDormantStage(contactId) {
+  const { data } = await supabase
+    .from('contact_lifecycle_transitions')
+    .select('from_stage')
+    .eq('contact_id', contactId)
+    .eq('to_stage', 'Dormant')
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  const stage = data?.[0]?.from_stage;
+  return stage && stage !== 'Dormant' ? stage : 'Prospect';
+}
+
+/**
+ * Advance a contact's lifecycle after an event (never throws)
+ * Callers must have checked access to the contact; the owner's settings apply
+ * @param {string} contactId - Contact ID
+ * @param {string} event - 'interaction' or 'deal_won'
+ * @param {object} metadata - Stored with the transition (e.g. { opportunityId })
+ * @returns {Promise<{from: string, to: string, trigger: string}|null>}
+ */
+async function advanceLifecycle(contactId, event, metadata = {}) {
+  try {
+    const { data: contact } = await supabase
+      .from('contacts')
+      .select('*')
+      .eq('id', contactId)
+      .is('deleted_at', null)
+      .single();
+
+    const from = getLifecycleStage(contact?.category);
+    if (!from) return null;
+
+    const userId = contact.user_id;
+    const settings = await getLifecycleSettings(userId);
+    if (!settings.autoTransitions) return null;
+
+    let to = nextStageForEvent(from, event);
+    let trigger = event === 'deal_won' ? 'deal_won' : 'first_interaction';
+
+    if (from === 'Dormant') {
+      const previous = await getPreDormantStage(contactId);
+
+      if (event === 'interaction') {
+        to = previous;
+        trigger = 'reactivated';
+      } else {
+        to = nextStageForEvent(previous, event) || previous;
+      }
+    }
+
+    if (!to) return null;
+
+    // Guard on the current category so concurrent changes aren't overwritten
+    const { data: updated, error } = await supabase
+      .from('contacts')
+      .update({ category: to, updated_at: new Date().toISOString() })
+      .eq('id', contactId)
+      .eq('user_id', userId)
+      .eq('category', contact.category)
+      .select()
+      .single();
+
+    if (error || !updated) return null;
+
+    await recordTransitions([{ userId, contactId, from, to, trigger, metadata }]);
+    await recordContactHistory({
+      userId,
+      contactId,
+      action: 'update',
+      source: 'system',
+      before: contact,
+      after: updated,
+      metadata: { lifecycleTrigger: trigger, ...metadata },
+    });
+
+    return { from, to, trigger };
+  } catch (err) {
+    console.error('[Lifecycle] Advance error:', err);
+    return null;
+  }
+}
+
+/**
+ * Move one user's inactive contacts to Dormant
+ * @param {string} userId - User ID
+ * @param {object} settings - Lifecycle settings
+ * @returns {Promise<number>} Contacts moved
+ */
+async function markDormantContacts(userId, settings) {
+  const cutoff = new Date(Date.now() - settings.dormantAfterDays * DAY_MS).toISOString();
+  const activeStages = LIFECYCLE_STAGES.filter((s) => s !== 'Dormant');
+  const categories = [...activeStages, ...activeStages.map((s) => s.toLowerCase())];
+
+  let moved = 0;
+
+  for (;;) {
+    const { data: contacts, error } = await supabase
+      .from('contacts')
+      .select('*')
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .in('category', categories)
+      // Never-contacted contacts count from when they were added
+      .or(`last_interaction.lt.${cutoff},and(last_interaction.is.null,created_at.lt.${cutoff})`)
+      .limit(SWEEP_BATCH_SIZE);
+
+    if (error) throw error;
+    if (contacts.length === 0) break;
+
+    const now = new Date().toISOString();
+    const { error: updateError } = await supabase
+      .from('contacts')
+      .update({ category: 'Dormant', updated_at: now })
+      .eq('user_id', userId)
+      .in('id', contacts.map((c) => c.id));
+
+    if (updateError) throw updateError;
+
+    const metadata = { dormantAfterDays: settings.dormantAfterDays };
+
+    await recordTransitions(contacts.map((c) => ({
+      userId,
+      contactId: c.id,
+      from: getLifecycleStage(c.category),
+      to: 'Dormant',
+      trigger: 'inactivity',
+      metadata: { ...metadata, lastInteraction: c.last_interaction },
+    })));
+    await recordContactHistoryBatch(contacts.map((c) => ({
+      userId,
+      contactId: c.id,
+      action: 'update',
+      source: 'system',
+      before: c,
+      after: { ...c, category: 'Dormant' },
+      metadata: { lifecycleTrigger: 'inactivity', ...metadata },
+    })));
+
+    moved += contacts.length;
+    if (contacts.length < SWEEP_BATCH_SIZE) break;
+  }
+
+  return moved;
+}
+
+/**
+ * Move contacts with no interaction for each user's dormantAfterDays to Dormant
+ * @returns {Promise<{success: boolean, users?: number, dormant?: number, error?: string}>}
+ */
+async function runDormancySweep() {
+  try {
+    let users = 0;
+    let dormant = 0;
+
+    for (let offset = 0; ; offset += SWEEP_BATCH_SIZE) {
+      const { data: profiles, error } = await supabase
+        .from('profiles')
+        .select('id, lifecycle_settings')
+        .order('id', { ascending: true })
+        .range(offset, offset + SWEEP_BATCH_SIZE - 1);
+
+      if (error) {
+        return { success: false, error: error.message };
+      }
+
+      for (const profile of profiles) {
+        const settings = { ...DEFAULT_LIFECYCLE_SETTINGS, ...(profile.lifecycle_settings || {}) };
+        if (!settings.autoTransitions) continue;
+
+        users++;
+        dormant += await markDormantContacts(profile.id, settings);
+      }
+
+      if (profiles.length < SWEEP_BATCH_SIZE) break;
+    }
+
+    console.log('[Lifecycle] Dormancy sweep:', { users, dormant });
+
+    return { success: true, users, dormant };
+  } catch (err) {
+    console.error('[Lifecycle] Dormancy sweep error:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  LIFECYCLE_STAGES,
+  LIFECYCLE_TRIGGERS,
+  DEFAULT_LIFECYCLE_SETTINGS,
+  getLifecycleStage,
+  nextStageForEvent,
+  validateLifecycleSettings,
+  getLifecycleSettings,
+  recordManualTransition,
+  recordManualTransitions,
+  advanceLifecycle,
+  runDormancySweep,
+};
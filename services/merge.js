@@ -0,0 +1,175 @@
+/**
+ * Contact Merge Service
+ * ResultMarketing CRM - Field-level conflict resolution for merging contacts
+ */
+
+// Strategies allowed per field, first entry is the default
+const MERGE_FIELDS = {
+  name: ['keep', 'overwrite'],
+  email: ['keep', 'overwrite'],
+  phone: ['keep', 'overwrite'],
+  company: ['keep', 'overwrite'],
+  position: ['keep', 'overwrite'],
+  industry: ['keep', 'overwrite'],
+  category: ['keep', 'overwrite'],
+  address: ['keep', 'overwrite'],
+  status: ['keep', 'overwrite'],
+  namecard_image: ['keep', 'overwrite'],
+  notes: ['concatenate', 'keep', 'overwrite'],
+  tags: ['union', 'keep', 'overwrite'],
+  custom_fields: ['merge', 'keep', 'overwrite'],
+};
+
+// Separator placed between concatenated notes
+const NOTES_SEPARATOR = '\n\n---\n\n';
+
+/**
+ * Check whether a value counts as empty for merge purposes
+ */
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim().length === 0;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * Check for a plain (non-array) object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merge objects - values already in target win on conflict
+ * @param {object} target - Surviving object
+ * @param {object} source - Object merged underneath
+ * @returns {object}
+ */
+function deepMerge(target = {}, source = {}) {
+  const result = { ...source };
+
+  for (const [key, value] of Object.entries(target)) {
+    if (isPlainObject(value) && isPlainObject(source[key])) {
+      result[key] = deepMerge(value, source[key]);
+    } else if (!isEmpty(value) || !(key in source)) {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate per-field merge strategies
+ * @param {object} strategies - Map of field -> strategy
+ * @returns {Array<string>} Validation errors
+ */
+function validateMergeStrategies(strategies = {}) {
+  const errors = [];
+
+  if (!isPlainObject(strategies)) {
+    return ['Fields must be an object of field: strategy'];
+  }
+
+  for (const [field, strategy] of Object.entries(strategies)) {
+    const allowed = MERGE_FIELDS[field];
+    if (!allowed) {
+      errors.push(`Field '${field}' cannot be merged`);
+    } else if (!allowed.includes(strategy)) {
+      errors.push(`Strategy for '${field}' must be one of: ${allowed.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve the merged field values for the surviving contact
+ *
+ * - keep: surviving contact's value (blank values are filled from sources)
+ * - overwrite: first non-empty source value, in the order sources were given
+ * - concatenate: all non-empty notes joined together
+ * - union: de-duplicated tags from all contacts
+ * - merge: deep merge of custom_fields, surviving contact wins on conflict
+ *
+ * @param {object} target - Surviving contact
+ * @param {Array} sources - Contacts being merged into target
+ * @param {object} strategies - Map of field -> strategy
+ * @returns {object} Field updates for the surviving contact
+ */
+function resolveMergedFields(target, sources, strategies = {}) {
+  const updates = {};
+
+  for (const [field, allowed] of Object.entries(MERGE_FIELDS)) {
+    const strategy = strategies[field] || allowed[0];
+    const sourceValues = sources.map((s) => s[field]).filter((v) => !isEmpty(v));
+    const firstSourceValue = sourceValues.length > 0 ? sourceValues[0] : null;
+
+    switch (strategy) {
+      case 'keep':
+        updates[field] = isEmpty(target[field]) && firstSourceValue !== null
+          ? firstSourceValue
+          : target[field];
+        break;
+
+      case 'overwrite':
+        updates[field] = firstSourceValue !== null ? firstSourceValue : target[field];
+        break;
+
+      case 'concatenate':
+        updates[field] = [target[field], ...sourceValues]
+          .filter((v) => !isEmpty(v))
+          .map((v) => v.trim())
+          .join(NOTES_SEPARATOR) || null;
+        break;
+
+      case 'union': {
+        const seen = new Set();
+        updates[field] = [target[field] || [], ...sourceValues]
+          .flat()
+          .filter((tag) => {
+            const key = String(tag).toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          });
+        break;
+      }
+
+      case 'merge':
+        updates[field] = sourceValues.reduce(
+          (acc, value) => deepMerge(acc, value),
+          target[field] || {}
+        );
+        break;
+
+      default:
+        break;
+    }
+
+    // Don't send columns the contacts didn't have
+    if (updates[field] === undefined) {
+      delete updates[field];
+    }
+  }
+
+  // Latest interaction across all merged contacts
+  const interactionDates = [target, ...sources]
+    .map((c) => c.last_interaction)
+    .filter(Boolean)
+    .sort();
+  updates.last_interaction = interactionDates.length > 0
+    ? interactionDates[interactionDates.length - 1]
+    : null;
+
+  return updates;
+}
+
+module.exports = {
+  MERGE_FIELDS,
+  deepMerge,
+  validateMergeStrategies,
+  resolveMergedFields,
+};
@@ -0,0 +1,119 @@
+/**
+ * Permissions Service
+ * ResultMarketing CRM - Role-based permissions for workspace members
+ */
+
+// Every permission a route can require ("resource:action")
+const PERMISSIONS = [
+  'contacts:read',
+  'contacts:write',
+  'contacts:delete',
+  'contacts:import',
+  'contacts:export',
+  'interactions:read',
+  'interactions:write',
+  'interactions:delete',
+  'opportunities:read',
+  'opportunities:write',
+  'opportunities:delete',
+  'reminders:read',
+  'reminders:write',
+  'reminders:delete',
+  'companies:read',
+  'companies:write',
+  'companies:delete',
+  'groups:read',
+  'groups:write',
+  'groups:delete',
+  'lists:read',
+  'lists:write',
+  'lists:delete',
+  'chat:use',
+  'settings:manage',
+  'team:read',
+  'workspace:manage',
+  'workspace:reassign',
+];
+
+// Permissions only meaningful inside a workspace (other members' records and the team itself)
+const WORKSPACE_PERMISSIONS = ['team:read', 'workspace:manage', 'workspace:reassign'];
+
+// Permissions granted to each role ("resource:*" grants every action)
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  manager: [
+    'contacts:*',
+    'interactions:*',
+    'opportunities:*',
+    'reminders:*',
+    'companies:*',
+    'groups:*',
+    'lists:*',
+    'chat:use',
+    'settings:manage',
+    'team:read',
+    'workspace:reassign',
+  ],
+  // Reps work their own book but can't delete shared records or change team settings
+  rep: [
+    'contacts:read',
+    'contacts:write',
+    'contacts:import',
+    'interactions:*',
+    'opportunities:read',
+    'opportunities:write',
+    'reminders:*',
+    'companies:read',
+    'companies:write',
+    'groups:read',
+    'groups:write',
+    'lists:read',
+    'lists:write',
+    'chat:use',
+  ],
+  // Users without a workspace manage their own book but have no team to act on
+  solo: PERMISSIONS.filter((permission) => !WORKSPACE_PERMISSIONS.includes(permission)),
+};
+
+/**
+ * Get the caller's role
+ * Roles are kept on the workspace membership rather than the profile: a role only means
+ * something within a workspace, and leaving or joining one must drop or set it with the
+ * membership. authenticateToken loads it into req.workspace.role.
+ * Users without a workspace get 'solo' (their own book only, no workspace-wide actions).
+ * @param {object} req - Express request (after authenticateToken)
+ * @returns {string}
+ */
+function getRole(req) {
+  return req.workspace ? req.workspace.role : 'solo';
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Workspace role
+ * @param {string} permission - e.g. 'contacts:delete'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  const [resource] = permission.split(':');
+
+  return granted.includes('*') || granted.includes(`${resource}:*`) || granted.includes(permission);
+}
+
+/**
+ * List every permission a role grants
+ * @param {string} role - Workspace role
+ * @returns {Array<string>}
+ */
+function getRolePermissions(role) {
+  return PERMISSIONS.filter((permission) => hasPermission(role, permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRole,
+  hasPermission,
+  getRolePermissions,
+};
@@ -5,6 +5,11 @@
 
 const Queue = require('bull');
 const Redis = require('ioredis');
+const { purgeExpiredTrash } = require('./trash');
+const { runDataQualityNudges } = require('./dataQuality');
+const { runDormancySweep } = require('./lifecycle');
+const { runDuplicateScan } = require('./duplicates');
+const { scopeToAccess } = require('./workspaces');
 
 // Redis connection configuration
 const redisConfig = {
@@ -112,6 +117,16 @@ const reminderQueue = getQueue('reminders');
 // Analytics processing queue
 const analyticsQueue = getQueue('analytics');
 
+// Maintenance queue (scheduled trash purge etc., and on-demand duplicate scans)
+const maintenanceQueue = getQueue('maintenance');
+
+// Repeatable maintenance tasks (cron in Malaysia time)
+const MAINTENANCE_SCHEDULE = {
+  purge_trash: '0 3 * * *', // Daily at 3 AM
+  data_quality_nudges: '0 10 * * 1', // Mondays at 10 AM
+  lifecycle_dormancy: '0 4 * * *', // Daily at 4 AM
+};
+
 // ===========================================
 // JOB PROCESSORS
 // ===========================================
@@ -303,6 +318,39 @@ analyticsQueue.process(async (job) => {
   }
 });
 
+/**
+ * Process scheduled maintenance job
+ */
+maintenanceQueue.process(async (job) => {
+  const { task } = job.data;
+
+  console.log(`Running maintenance task: ${task}`);
+
+  let result;
+  switch (task) {
+    case 'purge_trash':
+      result = await purgeExpiredTrash();
+      break;
+    case 'data_quality_nudges':
+      result = await runDataQualityNudges();
+      break;
+    case 'lifecycle_dormancy':
+      result = await runDormancySweep();
+      break;
+    case 'duplicate_scan':
+      result = await runDuplicateScan(job.data.scanId, (query) => scopeToAccess(query, job.data.access));
+      break;
+    default:
+      throw new Error(`Unknown maintenance task: ${task}`);
+  }
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result;
+});
+
 // ===========================================
 // JOB SCHEDULING FUNCTIONS
 // ===========================================
@@ -419,6 +467,43 @@ async function addAnalyticsJob(userId, type, startDate, endDate) {
   return { jobId: job.id, queue: 'analytics' };
 }
 
+/**
+ * Add duplicate scan job
+ * @param {string} scanId - duplicate_scans row ID
+ * @param {object} access - Requester's access (from accessContext)
+ */
+async function addDuplicateScanJob(scanId, access) {
+  const job = await maintenanceQueue.add(
+    { task: 'duplicate_scan', scanId, access },
+    {
+      priority: 3,
+      jobId: `duplicate-scan-${scanId}`,
+    }
+  );
+  return { jobId: job.id, queue: 'maintenance' };
+}
+
+/**
+ * Register repeatable maintenance jobs (safe to call on every startup)
+ */
+async function scheduleMaintenanceJobs() {
+  const scheduled = [];
+
+  for (const [task, cron] of Object.entries(MAINTENANCE_SCHEDULE)) {
+    await maintenanceQueue.add(
+      { task },
+      {
+        priority: 5,
+        repeat: { cron, tz: 'Asia/Kuala_Lumpur' },
+        jobId: `maintenance-${task}`,
+      }
+    );
+    scheduled.push({ task, cron });
+  }
+
+  return { queue: 'maintenance', scheduled };
+}
+
 // ===========================================
 // JOB STATUS FUNCTIONS
 // ===========================================
@@ -613,6 +698,8 @@ module.exports = {
   scheduleReminder,
   cancelScheduledReminder,
   addAnalyticsJob,
+  addDuplicateScanJob,
+  scheduleMaintenanceJobs,
 
   // Job status
   getJobStatus,
@@ -632,5 +719,6 @@ module.exports = {
     pushNotification: pushNotificationQueue,
     reminder: reminderQueue,
     analytics: analyticsQueue,
+    maintenance: maintenanceQueue,
   },
 };
@@ -0,0 +1,401 @@
+/**
+ * Search Service
+ * ResultMarketing CRM - Ranked fuzzy contact search with Malaysian name variants
+ *
+ * Ranking runs in Postgres (search_contacts, supabase/migrations/20261019000000_contact_search.sql)
+ * over trigram indexes; this module expands name variants and builds match highlights.
+ */
+
+const { supabase } = require('./supabase');
+const { similarity } = require('./duplicates');
+const { scopeToAccess, hasTeamAccess } = require('./workspaces');
+
+// Spelling/transliteration variants treated as the same name
+const NAME_VARIANT_GROUPS = [
+  ['mohd', 'muhammad', 'mohammad', 'mohamad', 'mohamed', 'muhamad', 'muhammed', 'md'],
+  ['abdul', 'abd'],
+  ['ahmad', 'ahmed', 'ahmat'],
+  ['nur', 'noor', 'nor'],
+  ['siti', 'sitti'],
+  ['hj', 'haji'],
+  ['tan', 'tang', 'chen', 'chan', 'chin'],
+  ['lim', 'lin', 'lam'],
+  ['wong', 'huang', 'ong', 'ng'],
+  ['goh', 'wu', 'ng'],
+  ['lee', 'li', 'lie'],
+  ['teo', 'teoh', 'chang', 'zhang', 'cheong', 'chong'],
+  ['chua', 'cai', 'choy', 'tsai'],
+  ['yap', 'yeap', 'ye', 'yip'],
+  ['lau', 'liu', 'low', 'lew'],
+  ['koh', 'khoo', 'xu', 'hsu'],
+];
+
+const NAME_VARIANTS = NAME_VARIANT_GROUPS.reduce((acc, group) => {
+  for (const name of group) {
+    if (!acc.has(name)) acc.set(name, new Set());
+    group.forEach((variant) => acc.get(name).add(variant));
+  }
+  return acc;
+}, new Map());
+
+// Relative weight of a match in each field (contact_term_score in SQL uses the same weights)
+const FIELD_WEIGHTS = {
+  name: 1,
+  company: 0.7,
+  position: 0.5,
+  tags: 0.6,
+  notes: 0.3,
+  interactions: 0.25,
+};
+
+// Columns applyTextSearch matches by default
+const CANDIDATE_COLUMNS = ['name', 'company', 'position', 'notes'];
+
+// Interactions scanned for matching notes to highlight on a page of results
+const INTERACTION_MATCH_LIMIT = 200;
+
+// Maximum query words considered
+const MAX_QUERY_TOKENS = 6;
+
+// Characters of context kept around a match in long fields
+const SNIPPET_RADIUS = 60;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split a search query into lowercase words
+ * @param {string} query - Raw query
+ * @returns {Array<string>}
+ */
+function tokenizeQuery(query) {
+  const tokens = String(query || '').toLowerCase().match(WORD_PATTERN) || [];
+  return [...new Set(tokens)].slice(0, MAX_QUERY_TOKENS);
+}
+
+/**
+ * A word and its known name variants
+ * @param {string} token - Query word
+ * @returns {Array<string>}
+ */
+function expandToken(token) {
+  return [token, ...[...(NAME_VARIANTS.get(token) || [])].filter((v) => v !== token)];
+}
+
+/**
+ * Substrings used to find candidates for a word in the database
+ * Variants shorter than 3 letters are only used when typed, and long words
+ * also match on their first/last 4 letters so typos still find candidates
+ */
+function candidateFragments(token) {
+  const fragments = new Set([token]);
+
+  expandToken(token)
+    .filter((v) => v.length >= 3)
+    .forEach((v) => fragments.add(v));
+
+  if (token.length >= 6) {
+    fragments.add(token.slice(0, 4));
+    fragments.add(token.slice(-4));
+  }
+
+  return [...fragments];
+}
+
+/**
+ * Build a PostgREST or-filter matching one query word in any of the columns
+ * (tokens only contain letters and digits, so they are safe to interpolate)
+ */
+function buildTokenFilter(token, columns) {
+  const conditions = [];
+
+  for (const fragment of candidateFragments(token)) {
+    columns.forEach((column) => conditions.push(`${column}.ilike.%${fragment}%`));
+  }
+
+  if (columns.includes('tags')) {
+    const capitalized = token.charAt(0).toUpperCase() + token.slice(1);
+    conditions.push(`tags.ov.{${token},${capitalized}}`);
+  }
+
+  return conditions.join(',');
+}
+
+/**
+ * Apply a free-text search to a query - every word must match one of the columns
+ * Phone-like and email-like queries are matched as a whole
+ * @param {object} query - Supabase query
+ * @param {string} text - Search text
+ * @param {Array<string>} columns - Text columns to search
+ * @returns {object} Filtered query
+ */
+function applyTextSearch(query, text, columns = CANDIDATE_COLUMNS) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return query;
+
+  // Phone numbers are stored normalized, so compare the trailing digits
+  const digits = trimmed.replace(/[^\d]/g, '');
+  if (/^[\d\s\-+()]+$/.test(trimmed) && digits.length >= 6) {
+    return query.ilike('phone', `%${digits.slice(-8)}%`);
+  }
+
+  if (trimmed.includes('@')) {
+    return query.ilike('email', `%${trimmed.replace(/[%,()]/g, '')}%`);
+  }
+
+  for (const token of tokenizeQuery(trimmed)) {
+    query = query.or(buildTokenFilter(token, columns));
+  }
+
+  return query;
+}
+
+/**
+ * Words of a text with their positions
+ */
+function wordsOf(text) {
+  const words = [];
+  for (const match of String(text).matchAll(WORD_PATTERN)) {
+    words.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return words;
+}
+
+/**
+ * Score how well one query word matches a text (0-1) and where
+ */
+function matchToken(token, text) {
+  const variants = expandToken(token);
+  let best = 0;
+  const ranges = [];
+
+  for (const { word, start, end } of wordsOf(text)) {
+    let quality = 0;
+
+    if (word === token) {
+      quality = 1;
+    } else if (variants.includes(word)) {
+      quality = 0.9;
+    } else if (variants.some((v) => v.length >= 2 && word.startsWith(v))) {
+      quality = 0.8;
+    } else if (token.length >= 3 && word.includes(token)) {
+      quality = 0.6;
+    } else if (token.length >= 4 && word.length >= 3) {
+      const score = similarity(word, token);
+      if (score >= 0.6) quality = score * 0.7;
+    }
+
+    if (quality > 0) {
+      ranges.push([start, end]);
+      best = Math.max(best, quality);
+    }
+  }
+
+  return { quality: best, ranges };
+}
+
+/**
+ * Trim a long text to a window around its first match, shifting ranges to fit
+ */
+function toSnippet(text, ranges) {
+  if (text.length <= SNIPPET_RADIUS * 3) {
+    return { text, ranges };
+  }
+
+  const from = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  const to = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS * 2);
+  const prefix = from > 0 ? '…' : '';
+  const offset = prefix.length - from;
+
+  return {
+    text: `${prefix}${text.slice(from, to)}${to < text.length ? '…' : ''}`,
+    ranges: ranges
+      .filter(([start, end]) => start >= from && end <= to)
+      .map(([start, end]) => [start + offset, end + offset]),
+  };
+}
+
+/**
+ * Rank a contact against the query words
+ * @param {object} contact - Contact row
+ * @param {Array<string>} tokens - Query words
+ * @param {Array<string>} interactionNotes - Matching interaction notes for the contact
+ * @returns {{score: number, highlights: Array}}
+ */
+function scoreContact(contact, tokens, interactionNotes = []) {
+  const fields = {
+    name: contact.name ? [contact.name] : [],
+    company: contact.company ? [contact.company] : [],
+    position: contact.position ? [contact.position] : [],
+    tags: Array.isArray(contact.tags) && contact.tags.length > 0 ? [contact.tags.join(', ')] : [],
+    notes: contact.notes ? [contact.notes] : [],
+    interactions: interactionNotes,
+  };
+
+  const fieldRanges = new Map();
+  let total = 0;
+
+  for (const token of tokens) {
+    let tokenScore = 0;
+
+    for (const [field, texts] of Object.entries(fields)) {
+      texts.forEach((text, index) => {
+        const { quality, ranges } = matchToken(token, text);
+        if (quality === 0) return;
+
+        tokenScore = Math.max(tokenScore, quality * FIELD_WEIGHTS[field]);
+
+        const key = `${field}:${index}`;
+        if (!fieldRanges.has(key)) fieldRanges.set(key, { field, text, ranges: [] });
+        fieldRanges.get(key).ranges.push(...ranges);
+      });
+    }
+
+    total += tokenScore;
+  }
+
+  let score = tokens.length > 0 ? total / tokens.length : 0;
+
+  // Whole query at the start of the name ranks first
+  if (contact.name && contact.name.toLowerCase().startsWith(tokens.join(' '))) {
+    score += 0.1;
+  }
+
+  const highlights = [...fieldRanges.values()].map(({ field, text, ranges }) => {
+    const merged = ranges
+      .sort((a, b) => a[0] - b[0])
+      .filter((range, i, all) => i === 0 || range[0] >= all[i - 1][1]);
+    return { field, ...toSnippet(text, merged) };
+  });
+
+  return { score: Math.round(score * 1000) / 1000, highlights };
+}
+
+/**
+ * Encode a ranked-search cursor (score + id of the last result)
+ */
+function encodeSearchCursor(result) {
+  return Buffer.from(JSON.stringify({ s: Number(result.score), i: result.id })).toString('base64url');
+}
+
+/**
+ * Decode a ranked-search cursor
+ * @returns {{s: number, i: string}|null}
+ */
+function decodeSearchCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    // The id is interpolated into a PostgREST filter, so only accept ID characters
+    return Number.isFinite(decoded.s) && /^[\w-]+$/.test(String(decoded.i)) ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Interaction notes matching every query word, per contact (for highlights)
+ * @returns {Promise<Map>} Contact ID -> notes
+ */
+async function getMatchingNotes(req, tokens, contactIds) {
+  let query = scopeToAccess(supabase.from('interactions').select('contact_id, notes'), req)
+    .is('deleted_at', null)
+    .in('contact_id', contactIds);
+
+  for (const token of tokens) {
+    query = query.or(buildTokenFilter(token, ['notes']));
+  }
+
+  const { data, error } = await query
+    .order('interaction_date', { ascending: false })
+    .limit(INTERACTION_MATCH_LIMIT);
+
+  if (error) throw error;
+
+  const notesByContact = new Map();
+  for (const { contact_id: contactId, notes } of data || []) {
+    if (!notes) continue;
+    if (!notesByContact.has(contactId)) notesByContact.set(contactId, []);
+    notesByContact.get(contactId).push(notes);
+  }
+
+  return notesByContact;
+}
+
+/**
+ * Ranked fuzzy search over the contacts the caller can access
+ * Matching, ranking and the cursor all run on the search_contacts query, so any
+ * matching contact in the book is reachable
+ * @param {object} req - Express request (after authenticateToken)
+ * @param {string} text - Search text
+ * @param {object} options - { applyFilters (contact column filters), limit, cursor }
+ * @returns {Promise<{results: Array, nextCursor: string|null}>}
+ */
+async function searchContacts(req, text, options = {}) {
+  const { applyFilters = (query) => query, limit = 20, cursor = null } = options;
+  const tokens = tokenizeQuery(text);
+
+  if (tokens.length === 0) {
+    return { results: [], nextCursor: null };
+  }
+
+  let query = applyFilters(supabase.rpc('search_contacts', {
+    p_terms: tokens.map((token) => expandToken(token).join('|')),
+    p_query: tokens.join(' '),
+    p_user_id: req.user.id,
+    p_workspace_id: req.workspace?.id || null,
+    p_team: hasTeamAccess(req),
+  }));
+
+  const after = cursor ? decodeSearchCursor(cursor) : null;
+  if (after) {
+    query = query.or(`score.lt.${after.s},and(score.eq.${after.s},id.gt.${after.i})`);
+  }
+
+  // One extra row tells whether there is another page
+  const { data: ranked, error } = await query
+    .order('score', { ascending: false })
+    .order('id', { ascending: true })
+    .limit(limit + 1);
+
+  if (error) throw error;
+
+  const page = ranked.slice(0, limit);
+  if (page.length === 0) {
+    return { results: [], nextCursor: null };
+  }
+
+  const ids = page.map((r) => r.id);
+  const { data: contacts, error: contactsError } = await scopeToAccess(
+    supabase.from('contacts').select('*'),
+    req
+  )
+    .is('deleted_at', null)
+    .in('id', ids);
+
+  if (contactsError) throw contactsError;
+
+  const byId = new Map(contacts.map((c) => [c.id, c]));
+  const notesByContact = await getMatchingNotes(req, tokens, ids);
+
+  const results = page
+    .filter((r) => byId.has(r.id))
+    .map((r) => {
+      const contact = byId.get(r.id);
+      const { highlights } = scoreContact(contact, tokens, notesByContact.get(r.id));
+      return { ...contact, score: Number(r.score), highlights };
+    });
+
+  return {
+    results,
+    nextCursor: ranked.length > limit ? encodeSearchCursor(page[page.length - 1]) : null,
+  };
+}
+
+module.exports = {
+  NAME_VARIANT_GROUPS,
+  tokenizeQuery,
+  expandToken,
+  applyTextSearch,
+  scoreContact,
+  decodeSearchCursor,
+  searchContacts,
+};
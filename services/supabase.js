@@ -260,6 +260,40 @@ async function deleteFile(bucket, path) {
   }
 }
 
+/**
+ * Create signed download URLs for files in a private bucket
+ * @param {string} bucket - Storage bucket name
+ * @param {Array<string>} paths - File paths in bucket
+ * @param {number} expiresIn - Seconds until the URLs expire
+ * @returns {Promise<{success: boolean, urls?: object, error?: string}>} urls maps path -> signed URL
+ */
+async function createSignedUrls(bucket, paths, expiresIn = 3600) {
+  try {
+    if (paths.length === 0) {
+      return { success: true, urls: {} };
+    }
+
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .createSignedUrls(paths, expiresIn);
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+
+    const urls = {};
+    data.forEach((item) => {
+      if (item.signedUrl) {
+        urls[item.path] = item.signedUrl;
+      }
+    });
+
+    return { success: true, urls };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
 /**
  * Update user profile (partial update)
  * @param {string} userId - User ID
@@ -361,4 +395,5 @@ module.exports = {
   decrementContactCount,
   uploadFile,
   deleteFile,
+  createSignedUrls,
 };
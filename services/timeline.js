@@ -0,0 +1,226 @@
+/**
+ * Timeline Service
+ * ResultMarketing CRM - Chronological activity feed for a contact
+ */
+
+const { supabase } = require('./supabase');
+const { applyKeyset, buildCursorPage } = require('../utils/pagination');
+
+// Types a timeline can be filtered by
+const TIMELINE_TYPES = [
+  'interaction',
+  'reminder',
+  'opportunity',
+  'namecard',
+  'import',
+  'chat',
+  'lifecycle',
+];
+
+const REMINDER_COLUMNS = 'id, title, type, priority, status, due_date, snoozed_count, user_id, created_at, completed_at, last_snoozed_at';
+const HISTORY_COLUMNS = 'id, action, source, changes, metadata, actor_id, created_at';
+
+// Event streams merged into the timeline. Each stream reads one table ordered by one
+// timestamp column; the stream key prefixes event ids so they are unique across streams.
+// Reminders only keep their latest snooze, so each reminder has at most one snoozed event.
+const TIMELINE_STREAMS = [
+  {
+    key: 'interaction',
+    type: 'interaction',
+    event: 'logged',
+    table: 'interactions',
+    column: 'interaction_date',
+    select: 'id, type, notes, outcome, duration_minutes, metadata, user_id, interaction_date',
+    filter: (query) => query.is('deleted_at', null),
+  },
+  {
+    key: 'reminder_created',
+    type: 'reminder',
+    event: 'created',
+    table: 'reminders',
+    column: 'created_at',
+    select: REMINDER_COLUMNS,
+    filter: (query) => query.is('deleted_at', null),
+  },
+  {
+    key: 'reminder_completed',
+    type: 'reminder',
+    event: 'completed',
+    table: 'reminders',
+    column: 'completed_at',
+    select: REMINDER_COLUMNS,
+    filter: (query) => query.is('deleted_at', null),
+  },
+  {
+    key: 'reminder_snoozed',
+    type: 'reminder',
+    event: 'snoozed',
+    table: 'reminders',
+    column: 'last_snoozed_at',
+    select: REMINDER_COLUMNS,
+    filter: (query) => query.is('deleted_at', null),
+  },
+  {
+    key: 'stage_change',
+    type: 'opportunity',
+    event: 'stage_changed',
+    table: 'opportunity_stage_changes',
+    column: 'created_at',
+    select: 'id, opportunity_id, from_stage, to_stage, actor_id, created_at, opportunities(id, title, value, currency)',
+  },
+  {
+    key: 'namecard_scan',
+    type: 'namecard',
+    event: 'scanned',
+    table: 'contact_history',
+    column: 'created_at',
+    select: HISTORY_COLUMNS,
+    filter: (query) => query.eq('source', 'namecard_scan'),
+  },
+  {
+    key: 'spreadsheet_import',
+    type: 'import',
+    event: 'imported',
+    table: 'contact_history',
+    column: 'created_at',
+    select: HISTORY_COLUMNS,
+    filter: (query) => query.eq('source', 'spreadsheet_import'),
+  },
+  {
+    key: 'chat_quick_action',
+    type: 'chat',
+    event: 'quick_action',
+    table: 'contact_history',
+    column: 'created_at',
+    select: HISTORY_COLUMNS,
+    filter: (query) => query.eq('source', 'chat_quick_action'),
+  },
+  {
+    key: 'lifecycle',
+    type: 'lifecycle',
+    event: 'stage_changed',
+    table: 'contact_lifecycle_transitions',
+    column: 'created_at',
+    select: 'id, from_stage, to_stage, trigger, metadata, created_at',
+  },
+];
+
+/**
+ * Parse a comma-separated type filter
+ * @param {string} types - e.g. 'interaction,reminder' (empty for all types)
+ * @returns {{types: Array<string>, errors: Array<string>}}
+ */
+function parseTimelineTypes(types) {
+  if (!types) {
+    return { types: TIMELINE_TYPES, errors: [] };
+  }
+
+  const requested = String(types).split(',').map((t) => t.trim()).filter(Boolean);
+  const unknown = requested.filter((t) => !TIMELINE_TYPES.includes(t));
+
+  return {
+    types: requested,
+    errors: unknown.length > 0
+      ? [`Unknown timeline type: ${unknown.join(', ')}. Must be one of: ${TIMELINE_TYPES.join(', ')}`]
+      : [],
+  };
+}
+
+/**
+ * Split a timeline event id into its stream key and row id
+ */
+function splitEventId(eventId) {
+  const separator = String(eventId).indexOf(':');
+  return separator === -1
+    ? [null, null]
+    : [eventId.slice(0, separator), eventId.slice(separator + 1)];
+}
+
+/**
+ * Newest first; ties are broken by event id (descending) to match the stream queries
+ */
+function compareEvents(a, b) {
+  const byTime = Date.parse(b.occurredAt) - Date.parse(a.occurredAt);
+  if (byTime !== 0) return byTime;
+  if (a.occurredAt !== b.occurredAt) return a.occurredAt < b.occurredAt ? 1 : -1;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+}
+
+/**
+ * Fetch the next events of one stream after the cursor
+ * @returns {Promise<Array>} Up to limit + 1 events
+ */
+async function fetchStream(stream, contactId, after, limit) {
+  let query = supabase
+    .from(stream.table)
+    .select(stream.select)
+    .eq('contact_id', contactId)
+    .not(stream.column, 'is', null);
+
+  if (stream.filter) {
+    query = stream.filter(query);
+  }
+
+  let keysetAfter = null;
+
+  if (after) {
+    const [afterKey, afterId] = splitEventId(after.id);
+
+    if (afterKey === stream.key) {
+      keysetAfter = { v: after.v, id: afterId };
+    } else {
+      // At the cursor's timestamp, streams with a lower key sort after the cursor event
+      query = afterKey > stream.key ? query.lte(stream.column, after.v) : query.lt(stream.column, after.v);
+    }
+  }
+
+  const { data, error } = await applyKeyset(query, {
+    sortField: stream.column,
+    ascending: false,
+    after: keysetAfter,
+    limit,
+  });
+
+  if (error) throw error;
+
+  return data.map((row) => ({
+    id: `${stream.key}:${row.id}`,
+    type: stream.type,
+    event: stream.event,
+    occurredAt: row[stream.column],
+    record: row,
+  }));
+}
+
+/**
+ * Get one page of a contact's timeline, newest first
+ * Callers must have checked access to the contact
+ * @param {string} contactId - Contact ID
+ * @param {object} options - { types, limit, after (decoded cursor, sorted by occurredAt) }
+ * @returns {Promise<{items: Array, nextCursor: string|null, hasMore: boolean}>}
+ */
+async function getContactTimeline(contactId, { types = TIMELINE_TYPES, limit, after = null }) {
+  const streams = TIMELINE_STREAMS.filter((stream) => types.includes(stream.type));
+  const batches = await Promise.all(streams.map((stream) => fetchStream(stream, contactId, after, limit)));
+
+  const events = batches.flat().sort(compareEvents).slice(0, limit + 1);
+
+  return buildCursorPage(events, limit, 'occurredAt');
+}
+
+/**
+ * Check whether a decoded cursor points at a timeline event
+ * @param {object|null} after - From decodeCursor(cursor, 'occurredAt')
+ * @returns {boolean}
+ */
+function isTimelineCursor(after) {
+  return Boolean(after && after.v && TIMELINE_STREAMS.some((s) => s.key === splitEventId(after.id)[0]));
+}
+
+module.exports = {
+  TIMELINE_TYPES,
+  parseTimelineTypes,
+  isTimelineCursor,
+  getContactTimeline,
+};
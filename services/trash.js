@@ -0,0 +1,102 @@
+/**
+ * Trash Service
+ * ResultMarketing CRM - Soft-deleted contact retention and purging
+ */
+
+const { supabase } = require('./supabase');
+const { deleteAttachments } = require('./attachments');
+
+// Days a trashed contact can be restored before it is purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+
+// Tables whose rows are trashed and restored together with their contact
+const TRASHED_WITH_CONTACT = ['interactions', 'reminders'];
+
+// Interactions whose attachments are removed per request while purging
+const ATTACHMENT_PURGE_BATCH_SIZE = 200;
+
+/**
+ * Get the date a trashed record becomes eligible for purging
+ * @param {string} deletedAt - ISO timestamp the record was trashed
+ * @returns {string|null}
+ */
+function getTrashPurgeDate(deletedAt) {
+  if (!deletedAt) return null;
+
+  const purgeDate = new Date(deletedAt);
+  purgeDate.setDate(purgeDate.getDate() + TRASH_RETENTION_DAYS);
+  return purgeDate.toISOString();
+}
+
+/**
+ * Permanently delete trashed records older than the retention window
+ * @returns {Promise<{success: boolean, purged?: object, error?: string}>}
+ */
+async function purgeExpiredTrash() {
+  try {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - TRASH_RETENTION_DAYS);
+
+    const purged = {};
+
+    // Attachment files aren't removed with their rows, so clean them up first
+    // (paged by id - a single select stops at the API row limit)
+    for (let lastId = null; ;) {
+      let query = supabase
+        .from('interactions')
+        .select('id')
+        .lt('deleted_at', cutoff.toISOString());
+
+      if (lastId) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data: expired, error: expiredError } = await query
+        .order('id', { ascending: true })
+        .limit(ATTACHMENT_PURGE_BATCH_SIZE);
+
+      if (expiredError) {
+        return { success: false, error: expiredError.message };
+      }
+
+      if (expired.length === 0) break;
+
+      const result = await deleteAttachments({ interactionIds: expired.map((row) => row.id) });
+      if (!result.success) {
+        // Purging the rows now would orphan their files
+        return { success: false, error: result.error };
+      }
+
+      lastId = expired[expired.length - 1].id;
+    }
+
+    // Related rows first, then the contacts themselves
+    for (const table of [...TRASHED_WITH_CONTACT, 'contacts']) {
+      const { data, error } = await supabase
+        .from(table)
+        .delete()
+        .lt('deleted_at', cutoff.toISOString())
+        .select('id');
+
+      if (error) {
+        return { success: false, error: error.message };
+      }
+
+      purged[table] = data?.length || 0;
+    }
+
+    console.log('[Trash] Purged expired records:', purged);
+
+    return { success: true, purged };
+  } catch (err) {
+    console.error('[Trash] Purge error:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASHED_WITH_CONTACT,
+  getTrashPurgeDate,
+  purgeExpiredTrash,
+};
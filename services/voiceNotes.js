@@ -0,0 +1,131 @@
+/**
+ * Voice Notes Service
+ * ResultMarketing CRM - Draft interactions from recorded voice notes
+ */
+
+const { supabase } = require('./supabase');
+const { applyTextSearch, tokenizeQuery, scoreContact } = require('./search');
+const { scopeToAccess } = require('./workspaces');
+const { validateDisposition } = require('./dispositions');
+
+// Languages a rep can force for transcription (auto-detected otherwise)
+const VOICE_LANGUAGES = ['ms', 'en'];
+
+// Contact candidates returned for confirmation
+const MAX_CONTACT_MATCHES = 5;
+
+// Score lead the best candidate needs over the next one to be picked automatically
+const AUTO_MATCH_LEAD = 0.2;
+
+// Names and companies searched when matching a spoken contact
+const MATCH_COLUMNS = 'id, name, company, position, phone';
+
+/**
+ * Today's date in Malaysia (relative follow-up dates are resolved against it)
+ * @returns {string} YYYY-MM-DD
+ */
+function malaysiaToday() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kuala_Lumpur' });
+}
+
+/**
+ * Find contacts matching a spoken name (and company), best first
+ * @param {object} req - Express request (after authenticateToken)
+ * @param {object} spoken - { contactName, company } from the transcript
+ * @returns {Promise<Array>} Contacts with score
+ */
+async function findContactMatches(req, { contactName, company }) {
+  const tokens = tokenizeQuery(contactName || '');
+  if (tokens.length === 0) return [];
+
+  const { data, error } = await applyTextSearch(
+    scopeToAccess(supabase.from('contacts').select(MATCH_COLUMNS), req).is('deleted_at', null),
+    contactName,
+    ['name']
+  ).limit(50);
+
+  if (error) throw error;
+
+  const spokenCompany = company?.trim().toLowerCase();
+
+  return (data || [])
+    .map((contact) => {
+      let { score } = scoreContact(contact, tokens);
+
+      // The company the rep mentioned breaks ties between people with the same name
+      if (spokenCompany && contact.company?.toLowerCase().includes(spokenCompany)) {
+        score += AUTO_MATCH_LEAD;
+      }
+
+      return { ...contact, score: Math.round(score * 1000) / 1000 };
+    })
+    .filter((c) => c.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CONTACT_MATCHES);
+}
+
+/**
+ * Pick a contact from the matches when one is clearly meant
+ * @param {Array} matches - From findContactMatches
+ * @returns {object|null}
+ */
+function pickContact(matches) {
+  if (matches.length === 0) return null;
+  if (matches.length === 1) return matches[0];
+  return matches[0].score - matches[1].score >= AUTO_MATCH_LEAD ? matches[0] : null;
+}
+
+/**
+ * Build the draft interaction and reminder for the rep to confirm
+ * Nothing is saved - the client posts the confirmed drafts to /api/interactions and /api/reminders
+ * @param {object} extraction - From extractInteractionFromVoice
+ * @param {object} options - { contact, transcription, interactionTypes, dispositions }
+ * @returns {{interaction: object, reminder: object|null}}
+ */
+function buildVoiceDraft(extraction, { contact, transcription, interactionTypes, dispositions }) {
+  const type = interactionTypes.includes(extraction.type) ? extraction.type : 'note';
+  const disposition = extraction.disposition && !validateDisposition(dispositions, type, extraction.disposition)
+    ? extraction.disposition
+    : null;
+
+  const duration = parseInt(extraction.durationMinutes);
+  const followUpDate = extraction.followUp?.date;
+  const hasFollowUp = Boolean(followUpDate) && /^\d{4}-\d{2}-\d{2}$/.test(followUpDate)
+    && !isNaN(new Date(followUpDate).getTime());
+
+  const interaction = {
+    contact_id: contact?.id || null,
+    type,
+    disposition,
+    outcome: extraction.outcome?.trim() || null,
+    notes: extraction.notes?.trim() || transcription.text,
+    duration_minutes: duration > 0 ? duration : null,
+    interaction_date: new Date().toISOString(),
+    metadata: {
+      source: 'voice_note',
+      transcript: transcription.text,
+      language: transcription.language || null,
+    },
+  };
+
+  const reminder = hasFollowUp
+    ? {
+      contact_id: contact?.id || null,
+      title: extraction.followUp.title?.trim()
+        || (contact ? `Follow up with ${contact.name}` : 'Follow up'),
+      due_date: new Date(`${followUpDate}T09:00:00+08:00`).toISOString(),
+      type: 'follow_up',
+      priority: 'medium',
+    }
+    : null;
+
+  return { interaction, reminder };
+}
+
+module.exports = {
+  VOICE_LANGUAGES,
+  malaysiaToday,
+  findContactMatches,
+  pickContact,
+  buildVoiceDraft,
+};
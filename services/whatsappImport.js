@@ -0,0 +1,308 @@
+/**
+ * WhatsApp Import Service
+ * ResultMarketing CRM - Parse exported WhatsApp chats into interactions
+ */
+
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { supabase } = require('./supabase');
+const { scopeToAccess } = require('./workspaces');
+const { normalizePhone } = require('../utils/normalize');
+
+// How imported messages are grouped into interactions
+const WHATSAPP_GROUPINGS = ['day', 'thread'];
+
+// A quiet gap this long starts a new conversation thread
+const THREAD_GAP_MINUTES = 4 * 60;
+
+// Exports use the phone's local time; our users' phones are on Malaysia time (UTC+8)
+const EXPORT_UTC_OFFSET_MINUTES = 8 * 60;
+
+// Interactions summarized by AI per import (the rest keep the transcript as notes)
+const MAX_AI_SUMMARIES = 100;
+
+// Transcript kept in notes when there's no summary, and in metadata
+const MAX_NOTES_LENGTH = 2000;
+const MAX_TRANSCRIPT_LENGTH = 20000;
+
+// Start of a message line, e.g.
+//   Android: 12/10/2026, 10:15 - Aina: Hi       12/10/26, 3:20 pm - +60 12-345 6789: Hi
+//   iOS:     [12/10/2026, 10:15:32] Aina: Hi    [12/10/26, 3:20:05 PTG] Aina: Hi
+const MESSAGE_LINE = /^\[?(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4}),?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap]\.?\s?m\.?|pg|ptg)?\]?\s*(?:-\s*)?(.*)$/i;
+
+// Message bodies that stand for a file that wasn't exported
+const MEDIA_MESSAGE = /^<?(media omitted|media tidak disertakan|attached: .+)>?$|\(file attached\)$|^(image|video|audio|sticker|gif|document) omitted$/i;
+
+// Notices WhatsApp adds that aren't part of the conversation
+const SYSTEM_MESSAGES = [
+  /end-to-end encrypted/i,
+  /^(this message was deleted|you deleted this message|mesej ini telah dipadam)$/i,
+];
+
+/**
+ * Get the chat text from an uploaded .txt or .zip export
+ * @param {object} file - Multer file
+ * @returns {{success: boolean, text?: string, chatName?: string|null, error?: string}}
+ */
+function readChatExport(file) {
+  let buffer = file.buffer;
+  let fileName = file.originalname;
+
+  // Zip archives start with "PK"
+  if (buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    let entries;
+
+    try {
+      entries = new AdmZip(buffer).getEntries();
+    } catch (err) {
+      return { success: false, error: 'Could not open the zip file' };
+    }
+
+    const chat = entries.find((e) => !e.isDirectory && path.basename(e.entryName) === '_chat.txt')
+      || entries.find((e) => !e.isDirectory && /\.txt$/i.test(e.entryName));
+
+    if (!chat) {
+      return { success: false, error: 'The zip file does not contain a WhatsApp chat (.txt)' };
+    }
+
+    buffer = chat.getData();
+    fileName = path.basename(chat.entryName) === '_chat.txt' ? file.originalname : chat.entryName;
+  }
+
+  // "WhatsApp Chat with Aina.txt" / "WhatsApp Chat - Aina.zip"
+  const chatName = path.basename(fileName, path.extname(fileName))
+    .match(/^WhatsApp Chat (?:with|-|dengan)\s+(.+)$/i)?.[1]?.trim() || null;
+
+  return { success: true, text: buffer.toString('utf8').replace(/^\ufeff/, ''), chatName };
+}
+
+/**
+ * Convert a 12h time to 24h
+ */
+function to24Hour(hour, meridiem) {
+  if (!meridiem) return hour;
+
+  const pm = /^(p|ptg)/i.test(meridiem);
+  if (hour === 12) return pm ? 12 : 0;
+  return pm ? hour + 12 : hour;
+}
+
+/**
+ * Parse the text of a WhatsApp chat export
+ * Dates are read day-first (DD/MM/YYYY) unless the export can only be month-first.
+ * @param {string} text - Chat export
+ * @returns {Array<{sentAt: string, day: string, sender: string, text: string, media: boolean}>}
+ */
+function parseChatExport(text) {
+  const lines = text
+    .replace(/[\u200e\u200f\u202a-\u202e]/g, '')
+    .replace(/[\u202f\u00a0]/g, ' ')
+    .split(/\r?\n/);
+
+  const raw = [];
+
+  for (const line of lines) {
+    const match = line.match(MESSAGE_LINE);
+
+    if (match) {
+      raw.push({ parts: match.slice(1, 8), body: match[8] });
+    } else if (raw.length > 0) {
+      // Continuation of a multi-line message
+      raw[raw.length - 1].body += `\n${line}`;
+    }
+  }
+
+  const monthFirst = raw.some(({ parts }) => parseInt(parts[1]) > 12)
+    && !raw.some(({ parts }) => parseInt(parts[0]) > 12);
+
+  const messages = [];
+
+  for (const { parts, body } of raw) {
+    const [a, b, y, hh, mm, ss, meridiem] = parts;
+    const day = parseInt(monthFirst ? b : a);
+    const month = parseInt(monthFirst ? a : b);
+    const year = y.length === 2 ? 2000 + parseInt(y) : parseInt(y);
+    const hour = to24Hour(parseInt(hh), meridiem);
+
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23) continue;
+
+    // System lines ("Aina added you") have no "Sender: " prefix
+    const separator = body.indexOf(': ');
+    if (separator === -1) continue;
+
+    const sender = body.slice(0, separator).trim();
+    const message = body.slice(separator + 2).trim();
+
+    if (!sender || SYSTEM_MESSAGES.some((pattern) => pattern.test(message))) continue;
+
+    const localTime = Date.UTC(year, month - 1, day, hour, parseInt(mm), parseInt(ss || '0'));
+
+    messages.push({
+      sentAt: new Date(localTime - EXPORT_UTC_OFFSET_MINUTES * 60 * 1000).toISOString(),
+      day: new Date(localTime).toISOString().split('T')[0],
+      sender,
+      text: message,
+      media: MEDIA_MESSAGE.test(message),
+    });
+  }
+
+  return messages.sort((a, b) => (a.sentAt < b.sentAt ? -1 : a.sentAt > b.sentAt ? 1 : 0));
+}
+
+/**
+ * List the people who sent messages, most active first
+ * @param {Array} messages - From parseChatExport
+ * @returns {Array<string>}
+ */
+function listSenders(messages) {
+  const counts = {};
+  messages.forEach((m) => { counts[m.sender] = (counts[m.sender] || 0) + 1; });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+}
+
+/**
+ * Phone numbers among the senders (people not saved in the exporting phone show as numbers)
+ * @param {Array<string>} senders - From listSenders
+ * @returns {Array<string>} Normalized phone numbers
+ */
+function senderPhones(senders) {
+  return [...new Set(senders
+    .filter((sender) => /^[+\d\s\-()]+$/.test(sender) && sender.replace(/\D/g, '').length >= 8)
+    .map(normalizePhone)
+    .filter(Boolean))];
+}
+
+/**
+ * Find the caller's contacts with a phone number
+ * Stored numbers aren't always normalized, so candidates are narrowed by their last digits
+ * @param {object} req - Express request (after authenticateToken)
+ * @param {string} phone - Normalized phone number
+ * @returns {Promise<Array>}
+ */
+async function findContactsByPhone(req, phone) {
+  const { data, error } = await scopeToAccess(
+    supabase.from('contacts').select('id, name, phone, company'),
+    req
+  )
+    .is('deleted_at', null)
+    .ilike('phone', `%${phone.slice(-4)}`)
+    .limit(200);
+
+  if (error) throw error;
+  return data.filter((contact) => normalizePhone(contact.phone) === phone);
+}
+
+/**
+ * Group messages into conversations
+ * @param {Array} messages - From parseChatExport
+ * @param {string} groupBy - 'day' or 'thread'
+ * @returns {Array<{key: string, messages: Array}>} Oldest first
+ */
+function groupMessages(messages, groupBy) {
+  const groups = [];
+  let current = null;
+
+  for (const message of messages) {
+    const startsGroup = !current || (groupBy === 'day'
+      ? message.day !== current.messages[0].day
+      : Date.parse(message.sentAt) - Date.parse(current.messages[current.messages.length - 1].sentAt)
+        > THREAD_GAP_MINUTES * 60 * 1000);
+
+    if (startsGroup) {
+      current = {
+        key: groupBy === 'day' ? `day:${message.day}` : `thread:${message.sentAt}`,
+        messages: [],
+      };
+      groups.push(current);
+    }
+
+    current.messages.push(message);
+  }
+
+  return groups;
+}
+
+/**
+ * Format messages as "HH:mm Sender: text" lines (Malaysia time)
+ * @param {Array} messages - Messages of one group
+ * @returns {string}
+ */
+function formatTranscript(messages) {
+  return messages
+    .map((m) => {
+      const time = new Date(Date.parse(m.sentAt) + EXPORT_UTC_OFFSET_MINUTES * 60 * 1000).toISOString().slice(11, 16);
+      return `${time} ${m.sender}: ${m.text.replace(/\n/g, ' ')}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Build the interaction for a group of messages
+ * @param {object} group - From groupMessages
+ * @param {object} options - { groupBy, importId, summary ({notes, outcome} or null) }
+ * @returns {object} Interaction columns (without owner and contact)
+ */
+function buildWhatsAppInteraction(group, { groupBy, importId, summary }) {
+  const { messages } = group;
+  const transcript = formatTranscript(messages);
+  const truncate = (value, max) => (value.length > max ? `${value.slice(0, max - 3)}...` : value);
+
+  return {
+    type: 'whatsapp',
+    notes: summary?.notes?.trim() || truncate(transcript, MAX_NOTES_LENGTH),
+    outcome: summary?.outcome?.trim() || null,
+    interaction_date: messages[0].sentAt,
+    metadata: {
+      source: 'whatsapp_import',
+      import_id: importId,
+      group_by: groupBy,
+      thread_key: group.key,
+      started_at: messages[0].sentAt,
+      ended_at: messages[messages.length - 1].sentAt,
+      message_count: messages.length,
+      media_count: messages.filter((m) => m.media).length,
+      participants: listSenders(messages),
+      summarized: Boolean(summary),
+      transcript: truncate(transcript, MAX_TRANSCRIPT_LENGTH),
+    },
+  };
+}
+
+/**
+ * Get the thread keys already imported for a contact (re-imports skip them)
+ * @param {string} contactId - Contact ID
+ * @param {Array<string>} keys - Thread keys of the new import
+ * @returns {Promise<Set<string>>}
+ */
+async function getImportedThreadKeys(contactId, keys) {
+  const imported = new Set();
+
+  for (let i = 0; i < keys.length; i += 200) {
+    const { data, error } = await supabase
+      .from('interactions')
+      .select('metadata->>thread_key')
+      .eq('contact_id', contactId)
+      .eq('metadata->>source', 'whatsapp_import')
+      .in('metadata->>thread_key', keys.slice(i, i + 200))
+      .is('deleted_at', null);
+
+    if (error) throw error;
+    data.forEach((row) => imported.add(row.thread_key));
+  }
+
+  return imported;
+}
+
+module.exports = {
+  WHATSAPP_GROUPINGS,
+  MAX_AI_SUMMARIES,
+  readChatExport,
+  parseChatExport,
+  listSenders,
+  senderPhones,
+  findContactsByPhone,
+  groupMessages,
+  formatTranscript,
+  buildWhatsAppInteraction,
+  getImportedThreadKeys,
+};
@@ -0,0 +1,228 @@
+/**
+ * WhatsApp Templates Service
+ * ResultMarketing CRM - Per-user message templates and click-to-chat links
+ */
+
+const { supabase } = require('./supabase');
+const { normalizePhone } = require('../utils/normalize');
+
+// Maximum templates per user
+const MAX_TEMPLATES = 50;
+
+// Template limits (long messages make wa.me links unreliable on some phones)
+const MAX_NAME_LENGTH = 60;
+const MAX_BODY_LENGTH = 1500;
+
+// Placeholders a template can use, e.g. "Hi {{first_name}}, the quote is {{opportunity.value}}"
+// Custom contact fields are available as {{custom.<key>}}
+const TEMPLATE_PLACEHOLDERS = [
+  'name',
+  'first_name',
+  'company',
+  'position',
+  'email',
+  'phone',
+  'opportunity.title',
+  'opportunity.value',
+  'opportunity.stage',
+  'opportunity.expected_close_date',
+  'my.name',
+  'today',
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z0-9_.]+)\s*\}\}/gi;
+
+/**
+ * List the placeholders used in a template body
+ * @param {string} body - Template body
+ * @returns {Array<string>}
+ */
+function listPlaceholders(body) {
+  return [...new Set([...String(body).matchAll(PLACEHOLDER_PATTERN)].map((m) => m[1].toLowerCase()))];
+}
+
+/**
+ * Check whether a placeholder is supported
+ */
+function isKnownPlaceholder(placeholder) {
+  return TEMPLATE_PLACEHOLDERS.includes(placeholder) || /^custom\.[a-z][a-z0-9_]*$/.test(placeholder);
+}
+
+/**
+ * Validate a message template
+ * @param {object} data - { name, body }
+ * @param {object} options - { partial } for updates
+ * @returns {Array<string>} Validation errors
+ */
+function validateTemplate(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > MAX_NAME_LENGTH) {
+      errors.push(`Name is required (max ${MAX_NAME_LENGTH} characters)`);
+    }
+  }
+
+  if (!partial || data.body !== undefined) {
+    if (typeof data.body !== 'string' || !data.body.trim() || data.body.length > MAX_BODY_LENGTH) {
+      errors.push(`Body is required (max ${MAX_BODY_LENGTH} characters)`);
+    } else {
+      const unknown = listPlaceholders(data.body).filter((p) => !isKnownPlaceholder(p));
+      if (unknown.length > 0) {
+        errors.push(`Unknown placeholder: ${unknown.map((p) => `{{${p}}}`).join(', ')}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get one of a user's templates
+ * @param {string} userId - User ID
+ * @param {string} templateId - Template ID
+ * @returns {Promise<object|null>}
+ */
+async function getTemplate(userId, templateId) {
+  const { data, error } = await supabase
+    .from('whatsapp_templates')
+    .select('*')
+    .eq('id', templateId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data || null;
+}
+
+/**
+ * Format an amount the way Malaysian customers expect, e.g. "RM 4,500.00"
+ * @param {number} value - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string}
+ */
+function formatAmount(value, currency = 'MYR') {
+  const amount = Number(value || 0).toLocaleString('en-MY', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+  return `${!currency || currency === 'MYR' ? 'RM' : currency} ${amount}`;
+}
+
+/**
+ * Format a date as DD/MM/YYYY (Malaysia time)
+ * @param {string|Date} date - Date or ISO string
+ * @returns {string}
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-GB', { timeZone: 'Asia/Kuala_Lumpur' });
+}
+
+/**
+ * Get the value of a placeholder
+ */
+function placeholderValue(placeholder, { contact, opportunity, sender }) {
+  if (placeholder.startsWith('custom.')) {
+    const value = contact.custom_fields?.[placeholder.slice('custom.'.length)];
+    return Array.isArray(value) ? value.join(', ') : value;
+  }
+
+  switch (placeholder) {
+    case 'first_name':
+      return contact.name?.trim().split(/\s+/)[0];
+    case 'opportunity.value':
+      return opportunity ? formatAmount(opportunity.value, opportunity.currency) : null;
+    case 'opportunity.expected_close_date':
+      return opportunity?.expected_close_date ? formatDate(opportunity.expected_close_date) : null;
+    case 'opportunity.title':
+    case 'opportunity.stage':
+      return opportunity?.[placeholder.slice('opportunity.'.length)];
+    case 'my.name':
+      return sender?.name;
+    case 'today':
+      return formatDate(new Date());
+    default:
+      return contact[placeholder];
+  }
+}
+
+/**
+ * Fill in a template's placeholders
+ * Placeholders without a value are left out and reported as missing
+ * @param {string} body - Template body
+ * @param {object} values - { contact, opportunity, sender (profile) }
+ * @returns {{message: string, missing: Array<string>}}
+ */
+function renderTemplate(body, values) {
+  const missing = new Set();
+
+  const message = String(body).replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = placeholderValue(name.toLowerCase(), values);
+
+    if (value === undefined || value === null || value === '') {
+      missing.add(name.toLowerCase());
+      return '';
+    }
+
+    return String(value);
+  });
+
+  return {
+    message: message.replace(/[ \t]{2,}/g, ' ').trim(),
+    missing: [...missing],
+  };
+}
+
+/**
+ * Build a wa.me click-to-chat link
+ * @param {string} phone - Contact phone (any format)
+ * @param {string} message - Prefilled message
+ * @returns {{phone: string, url: string}|null} Null when the phone number is invalid
+ */
+function buildWhatsAppLink(phone, message) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+
+  const text = message ? `?text=${encodeURIComponent(message)}` : '';
+
+  return {
+    phone: normalized,
+    url: `https://wa.me/${normalized.replace(/^\+/, '')}${text}`,
+  };
+}
+
+/**
+ * Record that a template was sent
+ * Never throws - usage stats must not break logging the message
+ * @param {object} template - Template row
+ */
+async function recordTemplateUse(template) {
+  try {
+    const { error } = await supabase
+      .from('whatsapp_templates')
+      .update({
+        use_count: (template.use_count || 0) + 1,
+        last_used_at: new Date().toISOString(),
+      })
+      .eq('id', template.id);
+
+    if (error) {
+      console.error('[WhatsAppTemplates] Usage update error:', error.message);
+    }
+  } catch (err) {
+    console.error('[WhatsAppTemplates] Usage update error:', err);
+  }
+}
+
+module.exports = {
+  MAX_TEMPLATES,
+  TEMPLATE_PLACEHOLDERS,
+  listPlaceholders,
+  validateTemplate,
+  getTemplate,
+  formatAmount,
+  renderTemplate,
+  buildWhatsAppLink,
+  recordTemplateUse,
+};
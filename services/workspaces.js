@@ -0,0 +1,396 @@
+/**
+ * Workspaces Service
+ * ResultMarketing CRM - Team workspaces, record ownership and owner reassignment
+ */
+
+const { supabase, incrementContactCount, decrementContactCount } = require('./supabase');
+const { recordContactHistoryBatch } = require('./audit');
+const { getRole, hasPermission } = require('./permissions');
+const { relinkCompanies } = require('./companies');
+
+// Member roles, most privileged first
+const WORKSPACE_ROLES = ['admin', 'manager', 'rep'];
+
+// Tables whose rows belong to a workspace (user_id is the record owner)
+const WORKSPACE_TABLES = ['contacts', 'interactions', 'opportunities', 'reminders'];
+
+// Rows updated per request when moving or reassigning records
+const OWNERSHIP_BATCH_SIZE = 200;
+
+/**
+ * Get the workspace a user belongs to
+ * A user is in at most one workspace; more than one membership row is an error, not "no workspace"
+ * @param {string} userId - User ID
+ * @returns {Promise<{success: boolean, workspace?: {id: string, name: string, role: string}|null, error?: string}>}
+ */
+async function getWorkspaceMembership(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .select('role, workspaces(id, name)')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      return { success: false, error: `Workspace membership lookup failed: ${error.message}` };
+    }
+
+    if (!data?.workspaces) {
+      return { success: true, workspace: null };
+    }
+
+    return {
+      success: true,
+      workspace: {
+        id: data.workspaces.id,
+        name: data.workspaces.name,
+        role: data.role,
+      },
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Check whether the caller can access every record in their workspace
+ * @param {object} req - Express request (after authenticateToken)
+ * @returns {boolean}
+ */
+function hasTeamAccess(req) {
+  return hasPermission(getRole(req), 'team:read');
+}
+
+/**
+ * Restrict a query on a workspace table to the records the caller can access
+ * - No workspace: the caller's own records outside any workspace
+ * - Without team:read (reps): the caller's own records in the workspace
+ * - With team:read (managers, admins): every record in the workspace (optionally one owner's)
+ * @param {object} query - Supabase query on a WORKSPACE_TABLES table
+ * @param {object} req - Express request (after authenticateToken)
+ * @param {object} options - { ownerId } to filter by owner, { column } to scope an embedded table
+ * @returns {object} Scoped query
+ */
+function scopeToAccess(query, req, { ownerId, column } = {}) {
+  const field = (name) => (column ? `${column}.${name}` : name);
+
+  if (!req.workspace) {
+    return query.eq(field('user_id'), req.user.id).is(field('workspace_id'), null);
+  }
+
+  query = query.eq(field('workspace_id'), req.workspace.id);
+
+  if (!hasTeamAccess(req)) {
+    return query.eq(field('user_id'), req.user.id);
+  }
+
+  return ownerId ? query.eq(field('user_id'), ownerId) : query;
+}
+
+/**
+ * The parts of a request scopeToAccess needs, for work done after it (queued jobs)
+ * @param {object} req - Express request (after authenticateToken)
+ * @returns {{user: {id: string}, workspace: {id: string, role: string}|null}}
+ */
+function accessContext(req) {
+  return {
+    user: { id: req.user.id },
+    workspace: req.workspace ? { id: req.workspace.id, role: req.workspace.role } : null,
+  };
+}
+
+/**
+ * Columns stamped on new workspace records
+ * @param {object} req - Express request (after authenticateToken)
+ * @returns {{workspace_id: string|null}}
+ */
+function workspaceColumns(req) {
+  return { workspace_id: req.workspace?.id || null };
+}
+
+/**
+ * Get the members of a workspace with their profiles
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array>}
+ */
+async function getWorkspaceMembers(workspaceId) {
+  const { data, error } = await supabase
+    .from('workspace_members')
+    .select('user_id, role, created_at, profiles(id, name, email, phone)')
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Move a user's records outside any workspace into a workspace (on joining)
+ * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<object>} Rows moved per table
+ */
+async function moveRecordsToWorkspace(userId, workspaceId) {
+  const moved = {};
+
+  for (const table of WORKSPACE_TABLES) {
+    const { data, error } = await supabase
+      .from(table)
+      .update({ workspace_id: workspaceId })
+      .eq('user_id', userId)
+      .is('workspace_id', null)
+      .select('id');
+
+    if (error) throw error;
+    moved[table] = data?.length || 0;
+  }
+
+  moved.custom_field_definitions = await moveFieldDefinitionsToWorkspace(userId, workspaceId);
+
+  return moved;
+}
+
+/**
+ * Share a user's own custom field definitions with a workspace (on joining)
+ * Keys the workspace already defines keep the workspace's definition
+ * @returns {Promise<number>} Definitions moved
+ */
+async function moveFieldDefinitionsToWorkspace(userId, workspaceId) {
+  const { data: existing, error } = await supabase
+    .from('custom_field_definitions')
+    .select('key')
+    .eq('workspace_id', workspaceId);
+
+  if (error) throw error;
+
+  let query = supabase
+    .from('custom_field_definitions')
+    .update({ workspace_id: workspaceId, updated_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('workspace_id', null);
+
+  if (existing.length > 0) {
+    query = query.not('key', 'in', `(${existing.map((d) => d.key).join(',')})`);
+  }
+
+  const { data, error: moveError } = await query.select('id');
+
+  if (moveError) throw moveError;
+  return data?.length || 0;
+}
+
+/**
+ * Update the owner of rows in batches
+ * @returns {Promise<number>} Rows updated
+ */
+async function updateOwner(table, workspaceId, ids, toUserId, column = 'id') {
+  let updated = 0;
+
+  for (let i = 0; i < ids.length; i += OWNERSHIP_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .update({ user_id: toUserId, updated_at: new Date().toISOString() })
+      .eq('workspace_id', workspaceId)
+      .in(column, ids.slice(i, i + OWNERSHIP_BATCH_SIZE))
+      .select('id');
+
+    if (error) throw error;
+    updated += data?.length || 0;
+  }
+
+  return updated;
+}
+
+/**
+ * Move contacts' group memberships to the new owner's groups of the same name (created if missing)
+ * Groups are per user and only hold their owner's contacts
+ * @param {Array<string>} contactIds - Contacts that changed owner
+ * @param {string} fromUserId - Previous owner
+ * @param {string} toUserId - New owner
+ * @returns {Promise<number>} Memberships moved
+ */
+async function moveGroupMemberships(contactIds, fromUserId, toUserId) {
+  const { data: memberships, error } = await supabase
+    .from('contact_group_members')
+    .select('group_id, contact_id')
+    .eq('user_id', fromUserId)
+    .in('contact_id', contactIds);
+
+  if (error) throw error;
+  if (memberships.length === 0) return 0;
+
+  const { data: fromGroups, error: fromError } = await supabase
+    .from('contact_groups')
+    .select('id, name, description, color')
+    .in('id', [...new Set(memberships.map((m) => m.group_id))]);
+
+  if (fromError) throw fromError;
+
+  const { data: toGroups, error: toError } = await supabase
+    .from('contact_groups')
+    .select('id, name')
+    .eq('user_id', toUserId)
+    .in('name', fromGroups.map((g) => g.name));
+
+  if (toError) throw toError;
+
+  const groupIds = new Map();
+  for (const group of fromGroups) {
+    let target = toGroups.find((g) => g.name === group.name);
+
+    if (!target) {
+      const { data: created, error: createError } = await supabase
+        .from('contact_groups')
+        .insert({
+          user_id: toUserId,
+          name: group.name,
+          description: group.description,
+          color: group.color,
+        })
+        .select('id, name')
+        .single();
+
+      if (createError) throw createError;
+      target = created;
+    }
+
+    groupIds.set(group.id, target.id);
+  }
+
+  const { error: upsertError } = await supabase
+    .from('contact_group_members')
+    .upsert(
+      memberships.map((m) => ({
+        group_id: groupIds.get(m.group_id),
+        contact_id: m.contact_id,
+        user_id: toUserId,
+      })),
+      { onConflict: 'group_id,contact_id', ignoreDuplicates: true }
+    );
+
+  if (upsertError) throw upsertError;
+
+  const { error: deleteError } = await supabase
+    .from('contact_group_members')
+    .delete()
+    .eq('user_id', fromUserId)
+    .in('contact_id', contactIds);
+
+  if (deleteError) throw deleteError;
+  return memberships.length;
+}
+
+/**
+ * Reassign records from one workspace member to another
+ * Interactions, opportunities and reminders follow their contacts. Companies and groups
+ * belong to a user, so contacts are re-matched to the new owner's (created where missing).
+ * Custom field definitions are shared by the workspace and need no change.
+ * @param {object} options - { workspaceId, fromUserId, toUserId, contactIds (optional, default all), actorId }
+ * @returns {Promise<{contacts: number, interactions: number, opportunities: number, reminders: number, companies: number, groupMemberships: number}>}
+ */
+async function reassignOwner({ workspaceId, fromUserId, toUserId, contactIds, actorId }) {
+  const result = {
+    contacts: 0,
+    interactions: 0,
+    opportunities: 0,
+    reminders: 0,
+    companies: 0,
+    groupMemberships: 0,
+  };
+  let active = 0;
+
+  // Reassigned contacts drop out of the filter, so keep taking the first page until none are left
+  for (;;) {
+    let query = supabase
+      .from('contacts')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', fromUserId);
+
+    if (contactIds) {
+      query = query.in('id', contactIds);
+    }
+
+    const { data: page, error } = await query
+      .order('id', { ascending: true })
+      .limit(OWNERSHIP_BATCH_SIZE);
+
+    if (error) throw error;
+    if (page.length === 0) break;
+
+    const { data: contacts, error: updateError } = await supabase
+      .from('contacts')
+      .update({ user_id: toUserId, updated_at: new Date().toISOString() })
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', fromUserId)
+      .in('id', page.map((c) => c.id))
+      .select('*');
+
+    if (updateError) throw updateError;
+    if (contacts.length === 0) break;
+
+    const ids = contacts.map((c) => c.id);
+    result.contacts += contacts.length;
+
+    for (const table of ['interactions', 'opportunities', 'reminders']) {
+      result[table] += await updateOwner(table, workspaceId, ids, toUserId, 'contact_id');
+    }
+
+    const relinked = await relinkCompanies(toUserId, contacts);
+    contacts.forEach((c) => {
+      if (relinked.has(c.id)) c.company_id = relinked.get(c.id);
+    });
+    result.companies += relinked.size;
+
+    result.groupMemberships += await moveGroupMemberships(ids, fromUserId, toUserId);
+
+    // Contact limits count active contacts per owner
+    active += contacts.filter((c) => !c.deleted_at).length;
+
+    const before = new Map(page.map((c) => [c.id, c]));
+    await recordContactHistoryBatch(contacts.map((c) => ({
+      userId: toUserId,
+      actorId,
+      contactId: c.id,
+      action: 'reassign',
+      before: before.get(c.id),
+      after: c,
+      metadata: { reassignedFrom: fromUserId, reassignedTo: toUserId },
+    })));
+  }
+
+  // A whole-book transfer also moves records that aren't linked to a contact
+  if (!contactIds) {
+    for (const table of ['interactions', 'opportunities', 'reminders']) {
+      const { data, error: moveError } = await supabase
+        .from(table)
+        .update({ user_id: toUserId, updated_at: new Date().toISOString() })
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', fromUserId)
+        .select('id');
+
+      if (moveError) throw moveError;
+      result[table] += data?.length || 0;
+    }
+  }
+
+  if (active > 0) {
+    await decrementContactCount(fromUserId, active);
+    await incrementContactCount(toUserId, active);
+  }
+
+  return result;
+}
+
+module.exports = {
+  WORKSPACE_ROLES,
+  WORKSPACE_TABLES,
+  getWorkspaceMembership,
+  hasTeamAccess,
+  scopeToAccess,
+  accessContext,
+  workspaceColumns,
+  getWorkspaceMembers,
+  moveRecordsToWorkspace,
+  reassignOwner,
+};
@@ -0,0 +1,159 @@
+-- Ranked contact search (GET /api/contacts/search?q=)
+-- Candidates are found through trigram indexes and ranked in SQL, so every match in a
+-- book is reachable and paging happens on the ranked query (services/search.js).
+
+create extension if not exists pg_trgm;
+
+-- Searchable text of a contact (immutable so it can back an index)
+create or replace function contact_search_text(name text, company text, "position" text, notes text, tags text[])
+returns text
+language sql
+immutable
+parallel safe
+as $$
+  select lower(concat_ws(' ', name, company, "position", notes, array_to_string(tags, ' ')))
+$$;
+
+create index if not exists contacts_search_trgm_idx
+  on contacts
+  using gin (contact_search_text(name, company, "position", notes, tags) gin_trgm_ops)
+  where deleted_at is null;
+
+create index if not exists interactions_notes_trgm_idx
+  on interactions
+  using gin (lower(notes) gin_trgm_ops)
+  where deleted_at is null;
+
+-- Best weighted match of one query word (the typed spelling first, then its name variants)
+-- Field weights match FIELD_WEIGHTS in services/search.js
+create or replace function contact_term_score(
+  variants text[],
+  name text,
+  company text,
+  "position" text,
+  tags text[],
+  notes text,
+  interaction_notes text
+)
+returns numeric
+language sql
+immutable
+parallel safe
+as $$
+  select coalesce(max(greatest(
+    word_similarity(v, lower(coalesce(name, ''))),
+    word_similarity(v, lower(coalesce(company, ''))) * 0.7,
+    word_similarity(v, lower(coalesce("position", ''))) * 0.5,
+    word_similarity(v, lower(coalesce(array_to_string(tags, ' '), ''))) * 0.6,
+    word_similarity(v, lower(coalesce(notes, ''))) * 0.3,
+    word_similarity(v, coalesce(interaction_notes, '')) * 0.25
+  ) * case when ord = 1 then 1 else 0.9 end), 0)::numeric
+  from unnest(variants) with ordinality as u(v, ord)
+$$;
+
+-- Contacts matching every query word in their own fields or in their interaction notes,
+-- with a relevance score. Scoped like scopeToAccess in services/workspaces.js.
+-- p_terms: one entry per query word, its spelling variants separated by '|'
+create or replace function search_contacts(
+  p_terms text[],
+  p_query text,
+  p_user_id uuid,
+  p_workspace_id uuid,
+  p_team boolean
+)
+returns table (
+  id uuid,
+  user_id uuid,
+  name text,
+  company text,
+  "position" text,
+  industry text,
+  category text,
+  status text,
+  phone text,
+  email text,
+  address text,
+  tags text[],
+  custom_fields jsonb,
+  last_interaction timestamptz,
+  created_at timestamptz,
+  score numeric
+)
+language plpgsql
+stable
+-- Loose enough for typos ("maybnk"); results are ranked, so weak matches sink
+set pg_trgm.word_similarity_threshold = 0.4
+as $$
+declare
+  term text;
+  contact_match text[] := '{}';
+  note_match text[] := '{}';
+  access_scope constant text :=
+    'case when $4 is null then %1$s.user_id = $3 and %1$s.workspace_id is null '
+    'else %1$s.workspace_id = $4 and ($5 or %1$s.user_id = $3) end';
+begin
+  if coalesce(array_length(p_terms, 1), 0) = 0 then
+    return;
+  end if;
+
+  -- One indexable condition per word: any of its variants is similar to a word in the text
+  foreach term in array p_terms loop
+    select
+      array_append(contact_match, '(' || string_agg(format(
+        'contact_search_text(c.name, c.company, c."position", c.notes, c.tags) %%> %L', v
+      ), ' or ') || ')'),
+      array_append(note_match, '(' || string_agg(format('lower(i.notes) %%> %L', v), ' or ') || ')')
+    into contact_match, note_match
+    from unnest(string_to_array(term, '|')) as v;
+  end loop;
+
+  return query execute format($q$
+    with candidates as (
+      select c.id
+      from contacts c
+      where c.deleted_at is null and %1$s and %2$s
+      union
+      select i.contact_id
+      from interactions i
+      where i.deleted_at is null and i.contact_id is not null and %3$s and %4$s
+    ),
+    matched_notes as (
+      select i.contact_id, string_agg(lower(i.notes), ' ') as notes
+      from interactions i
+      join candidates k on k.id = i.contact_id
+      where i.deleted_at is null and %3$s and %4$s
+      group by i.contact_id
+    ),
+    ranked as (
+      select
+        c.*,
+        (
+          select avg(contact_term_score(
+            string_to_array(t, '|'), c.name, c.company, c."position", c.tags, c.notes, n.notes
+          ))
+          from unnest($1) as t
+        ) + case when starts_with(lower(coalesce(c.name, '')), $2) then 0.1 else 0 end as raw_score
+      from contacts c
+      join candidates k on k.id = c.id
+      left join matched_notes n on n.contact_id = c.id
+      where c.deleted_at is null and %1$s
+    )
+    select
+      r.id, r.user_id, r.name, r.company, r."position", r.industry, r.category, r.status,
+      r.phone, r.email, r.address, r.tags, r.custom_fields, r.last_interaction, r.created_at,
+      round(r.raw_score, 3)
+    from ranked r
+    where r.raw_score >= 0.2
+    $q$,
+    format(access_scope, 'c'),
+    array_to_string(contact_match, ' and '),
+    format(access_scope, 'i'),
+    array_to_string(note_match, ' and ')
+  )
+  using p_terms, lower(p_query), p_user_id, p_workspace_id, p_team;
+end;
+$$;
+
+-- Only the API (service role) may search - the function takes the caller's identity as arguments
+revoke execute on function search_contacts(text[], text, uuid, uuid, boolean) from public, anon, authenticated;
+grant execute on function search_contacts(text[], text, uuid, uuid, boolean) to service_role;
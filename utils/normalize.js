@@ -0,0 +1,37 @@
+/**
+ * Normalization Helpers
+ * ResultMarketing CRM
+ */
+
+/**
+ * Normalize email
+ */
+function normalizeEmail(email) {
+  if (!email) return null;
+  const cleaned = email.toLowerCase().trim();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * Normalize phone (Malaysian format)
+ */
+function normalizePhone(phone) {
+  if (!phone) return null;
+  let cleaned = String(phone).replace(/[^\d+]/g, '');
+
+  // Convert local format to +60
+  if (cleaned.startsWith('0')) {
+    cleaned = '+60' + cleaned.slice(1);
+  } else if (cleaned.startsWith('60') && !cleaned.startsWith('+')) {
+    cleaned = '+' + cleaned;
+  } else if (!cleaned.startsWith('+') && cleaned.length >= 9) {
+    cleaned = '+60' + cleaned;
+  }
+
+  return cleaned.length >= 10 ? cleaned : null;
+}
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+};
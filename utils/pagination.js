@@ -0,0 +1,117 @@
+/**
+ * Pagination Utilities
+ * ResultMarketing CRM - Opaque keyset cursors (sort field + id)
+ */
+
+// Largest page a list endpoint returns
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Check whether a request asked for cursor mode
+ * An empty `cursor` requests the first page
+ * @param {object} query - req.query
+ * @returns {boolean}
+ */
+function isCursorMode(query) {
+  return query.cursor !== undefined;
+}
+
+/**
+ * Clamp a requested page size
+ */
+function parsePageSize(limit, fallback = 50) {
+  const size = parseInt(limit);
+  if (isNaN(size) || size < 1) return fallback;
+  return Math.min(size, MAX_PAGE_SIZE);
+}
+
+/**
+ * Encode a cursor pointing after a row
+ * @param {object} row - Last row of the page
+ * @param {string} sortField - Field the list is sorted by
+ * @returns {string}
+ */
+function encodeCursor(row, sortField) {
+  return Buffer.from(JSON.stringify({ f: sortField, v: row[sortField] ?? null, id: row.id }))
+    .toString('base64url');
+}
+
+/**
+ * Decode a cursor for the given sort field
+ * @param {string} cursor - Opaque cursor
+ * @param {string} sortField - Field the list is sorted by
+ * @returns {{v: any, id: string}|null} Null when invalid or made for another sort
+ */
+function decodeCursor(cursor, sortField) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (decoded.f !== sortField || !decoded.id || !('v' in decoded)) return null;
+    return decoded;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Quote a value for a PostgREST or-filter
+ */
+function quoteValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Order a query by sort field + id and restrict it to rows after the cursor
+ * NULL sort values always come last, in either direction
+ * @param {object} query - Supabase query
+ * @param {object} options - { sortField, ascending, after (decoded cursor), limit }
+ * @returns {object} Query fetching limit + 1 rows (the extra row signals more pages)
+ */
+function applyKeyset(query, { sortField, ascending, after, limit }) {
+  const op = ascending ? 'gt' : 'lt';
+
+  if (after) {
+    const id = quoteValue(after.id);
+
+    if (after.v === null) {
+      query = query.is(sortField, null).filter('id', op, after.id);
+    } else {
+      const value = quoteValue(after.v);
+      query = query.or(
+        `${sortField}.${op}.${value},and(${sortField}.eq.${value},id.${op}.${id}),${sortField}.is.null`
+      );
+    }
+  }
+
+  return query
+    .order(sortField, { ascending, nullsFirst: false })
+    .order('id', { ascending })
+    .limit(limit + 1);
+}
+
+/**
+ * Split a keyset result into the page and the next cursor
+ * @param {Array} rows - Rows fetched with applyKeyset
+ * @param {number} limit - Page size
+ * @param {string} sortField - Field the list is sorted by
+ * @returns {{items: Array, nextCursor: string|null, hasMore: boolean}}
+ */
+function buildCursorPage(rows, limit, sortField) {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null,
+    hasMore,
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  isCursorMode,
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  applyKeyset,
+  buildCursorPage,
+};